@@ -13,7 +13,7 @@ const SPEECH_CONFIG = {
     // 基本設定
     continuous: true,           // 連続認識
     interimResults: true,       // 中間結果表示
-    maxAlternatives: 1,         // 代替候補数
+    maxAlternatives: 1,         // 代替候補数（ユーザー設定未指定時の既定値）
     
     // タイムアウト管理
     deadTime: 5000,            // Watchdog判定時間（ms）
@@ -21,14 +21,36 @@ const SPEECH_CONFIG = {
     watchdogInterval: 1000,    // Watchdog監視間隔（ms）
     
     // エラー処理
-    maxErrorCount: 10,         // 最大エラー回数
+    maxErrorCount: 10,         // 自動再開を一時停止するまでの連続失敗回数
     restartDelay: 100,         // 再起動遅延（ms）
-    duplicateCheckTimeout: 1500 // 重複処理チェック時間（ms）
+    backoffBaseDelay: 500,     // 連続失敗時の再起動遅延の初期値（ms、失敗ごとに倍増）
+    backoffMaxDelay: 30000,    // 連続失敗時の再起動遅延の上限（ms）
+    backoffJitter: 0.3,        // 再起動遅延の揺らぎ幅（±割合）
+    stableSessionTime: 3000,   // エラーなしでこの時間継続したセッションを正常とみなす（ms）
+    circuitBreakerCooldown: 60000,     // 一時停止から再開確認までの待機時間（ms、一時停止が続くと倍増）
+    circuitBreakerMaxCooldown: 600000, // 再開確認までの待機時間の上限（ms）
+    duplicateCheckTimeout: 1500, // 重複処理チェック時間（ms）
+    
+    // 中間結果の自動確定
+    autoCommitOverlapWindow: 10000, // 自動確定後、次の確定結果と重複除去する時間（ms）
+    
+    // 文単位の組み立て
+    sentencePauseTime: 1500,    // 確定結果の後、この時間発話がなければ文を確定（ms）
+    sentenceMaxWait: 10000,     // 句読点や間がなくても最初の断片からこの時間で文を確定（ms）
+    
+    // ギャップレス引き継ぎ（重複セッション）
+    handoverLeadTime: 3000,     // 最大セッション時間の何ms前に次のインスタンスを起動するか
+    handoverOverlap: 1500,      // 新旧インスタンスを並行動作させる時間（ms）
+    handoverSeamWindow: 3000,   // 旧インスタンス停止後も継ぎ目の重複除去を行う時間（ms）
+    
+    // 診断
+    sessionLogSize: 200         // 記録するセッション履歴の最大件数
 };
 
 // UIシステム設定
 const UI_CONFIG = {
     maxTextLines: 50,          // 最大テキスト行数
+    lowConfidenceThreshold: 0.6, // 低信頼度として強調表示する信頼度の閾値
     interimTextCleanupDelay: {
         // 中間テキスト削除の段階的遅延設定（'delayed'モード用）
         first: 10,             // DOM更新後の1回目削除遅延（ms）
@@ -38,7 +60,27 @@ const UI_CONFIG = {
         recognition: '音声認識',
         recognizing: '音声認識中...',
         error: 'エラー - 再試行',
-        interim: '認識中...'
+        interim: '認識中...',
+        reconnecting: '再接続待機中...',
+        paused: '一時停止中',
+        probing: '再開確認中...'
+    },
+    voiceActivity: {
+        noMatchDisplayDuration: 3000,   // 認識不可（nomatch）表示の保持時間（ms）
+        labels: {
+            idle: '停止中',
+            silent: '無音',
+            sound: '音声あり',
+            speech: '発話中',
+            nomatch: '認識不可'
+        },
+        descriptions: {
+            idle: '音声認識は停止しています',
+            silent: '音声が入力されていません。音声の経路（マイク・仮想オーディオ）を確認してください',
+            sound: '音は届いていますが、発話として検出されていません',
+            speech: '発話を検出して認識しています',
+            nomatch: '音声を検出しましたが、テキストとして認識できませんでした'
+        }
     },
     quickTranslate: {
         selectionClearDelay: 300,       // テキスト選択解除遅延（ms）
@@ -59,6 +101,7 @@ const API_CONFIG = {
 const STORAGE_CONFIG = {
     KEY_PREFIX: 'english_speech_to_text_',
     SETTINGS_KEY: 'settings',
+    TRANSLATION_HISTORY_KEY: 'translation_history',
     VERSION: '1.0.0'
 };
 
@@ -73,16 +116,26 @@ const ERROR_MESSAGES = {
         ABORTED: '音声認識が中断されました。',
         AUDIO_CAPTURE: '音声キャプチャでエラーが発生しました。',
         NETWORK: 'ネットワークエラーが発生しました。',
-        NOT_SUPPORTED: 'このブラウザは音声認識をサポートしていません。'
+        NOT_SUPPORTED: 'このブラウザは音声認識をサポートしていません。',
+        INVALID_SCRIPT: '認識スクリプトの形式が不正です。JSONを確認してください。',
+        CIRCUIT_OPEN: '音声認識のエラーが続いたため自動再開を一時停止しました。しばらくすると自動で再試行します。'
+    },
+    
+    // 音声入力モニター関連エラー
+    AUDIO: {
+        SILENCE_DETECTED: '音声入力が途絶えています。マイクや仮想オーディオの経路を確認してください。',
+        MONITOR_FAILED: '入力レベルの監視を開始できませんでした。マイクの設定を確認してください。'
     },
     
     // 翻訳関連エラー
     TRANSLATION: {
-        API_KEY_MISSING: 'Gemini APIキーが設定されていません。設定メニューから入力してください。',
+        API_KEY_MISSING: '翻訳サービスのAPIキーまたは接続先が設定されていません。設定メニューから入力してください。',
         API_ERROR: '翻訳APIでエラーが発生しました。しばらく待ってから再試行してください。',
         RATE_LIMIT: 'APIリクエスト制限に達しました。しばらく待ってから再試行してください。',
         INVALID_RESPONSE: '不正なAPI応答です。APIキーを確認してください。',
         NETWORK_ERROR: 'ネットワークエラーが発生しました。接続を確認してください。',
+        ENDPOINT_NOT_ALLOWED: '翻訳サービスの接続先URLへの接続が許可されていません。index.htmlのContent-Security-Policy（connect-src）に接続先を追加してください。',
+        TIMEOUT: '翻訳リクエストがタイムアウトしました。しばらく待ってから再試行してください。',
         TEXT_TOO_LONG: '翻訳するテキストが長すぎます。'
     },
     
@@ -102,14 +155,40 @@ const ERROR_MESSAGES = {
 // デフォルト設定
 const DEFAULT_SETTINGS = {
     language: 'en-US',          // 認識言語
+    recognitionEngine: 'webspeech', // 認識エンジン（webspeech, websocket, scripted）
+    recognitionServerUrl: 'ws://localhost:2700', // ローカル認識サーバーURL（websocket用）
+    recognitionScript: '',      // 認識スクリプトJSON（scripted用、空欄時は内蔵デモ）
+    maxAlternatives: 3,         // 認識候補数（1=候補なし）
+    segmentationMode: 'sentence', // 表示単位（sentence=文単位で組み立て, fragment=認識結果ごと）
+    gaplessHandover: false,     // ギャップレス引き継ぎ（定期再起動時に新旧セッションを重複させる）
+    audioMonitorEnabled: true,  // 入力レベルメーター
+    silenceAlarmSeconds: 15,    // 無音警告までの秒数（0=警告しない）
+    silenceAlarmSound: false,   // 無音警告時に警告音を鳴らす
+    silenceThreshold: -50,      // 無音と判定する入力レベル（dBFS）
+    replacementRules: [],       // 語句置換ルール（認識結果の誤認識補正）
+    glossaryTerms: [],          // 用語集（翻訳で必ず使う訳語）
+    translationProvider: 'gemini', // 翻訳プロバイダー（gemini, openai, deepl, libretranslate, mock）
     geminiApiKey: '',           // Gemini APIキー
     geminiModel: 'gemini-2.5-flash-lite', // 使用モデル
+    openaiBaseUrl: 'http://localhost:11434/v1', // OpenAI互換サーバーのURL（Ollama、llama.cppなど）
+    openaiApiKey: '',           // OpenAI互換サーバーのAPIキー（ローカルサーバーは空欄可）
+    openaiModel: '',            // OpenAI互換サーバーのモデル名
+    deeplApiKey: '',            // DeepL APIキー
+    deeplApiUrl: '',            // DeepL APIのURL（空欄時はAPIキーからFree/Proを判定）
+    libreTranslateUrl: 'http://localhost:5000', // LibreTranslateサーバーのURL
+    libreTranslateApiKey: '',   // LibreTranslateのAPIキー（不要なサーバーは空欄）
+    streamTranslation: false,   // ストリーミング翻訳（翻訳結果を受信しながら表示）
     maxTextLines: 50,           // 最大テキスト行数
     autoScroll: true,           // 自動スクロール
     fontSize: 'medium',         // フォントサイズ
     autoTranslate: false,       // 自動翻訳
+    timestampMode: 'clock',     // 行の時刻表示（clock=時刻, elapsed=配信開始からの経過時間）
     theme: 'light',            // テーマ
     translationStyle: '',       // 翻訳スタイル設定
+    contextLines: 3,            // 翻訳時に文脈として含める直前の行数（0=文脈なし）
+    contextTokenBudget: 400,    // 文脈に使う最大トークン数（概算）
+    translationMemoryEnabled: true, // 翻訳メモリ（同じ原文の翻訳を再利用）
+    translationMemoryFuzzy: false, // ほぼ同じ原文の過去の翻訳を提案
     showTranslationArea: true   // 翻訳エリア表示状態
 };
 
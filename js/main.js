@@ -95,9 +95,21 @@ class EnglishLearningApp {
      * 各モジュールの順次初期化処理
      * 依存関係を考慮した順序で初期化を実行：
      * 1. StateManager（状態管理の基盤）
-     * 2. SpeechRecognitionManager（音声認識）
-     * 3. GeminiTranslator（翻訳機能、StateManagerから設定取得）
-     * 4. UIController（UI制御、最後に初期化）
+     * 2. PhraseReplacer（語句置換ルール、StateManagerから設定取得）
+     * 3. SpeechRecognitionManager（音声認識）
+     * 4. AudioMonitor（入力レベル監視、音声認識状態に連動）
+     * 5. GeminiTranslator（翻訳機能、StateManagerから設定取得）
+     * 6. TranslationMemory（翻訳メモリ、IndexedDBが利用できない場合は再利用なしで続行）
+     * 7. TranslationHistory（翻訳履歴、localStorageから読み込み）
+     * 8. Glossary（用語集、StateManagerから設定取得）
+     * 9. DiagnosticsPanel（診断パネル）
+     * 10. SessionBrowser（セッション一覧、復元案内を受け取るためSessionStoreより先に初期化）
+     * 11. TranslationMemoryBrowser（翻訳メモリ一覧）
+     * 12. TranslationHistoryPanel（翻訳履歴のドロワー）
+     * 13. SessionStore（セッション保存、IndexedDBが利用できない場合は保存なしで続行）
+     * 14. TranscriptExporter（書き出しダイアログ）
+     * 15. TranscriptImporter（読み込みダイアログと再生）
+     * 16. UIController（UI制御、最後に初期化）
      * 
      * @returns {Promise<void>}
      */
@@ -112,11 +124,23 @@ class EnglishLearningApp {
             this.modules.stateManager = window.stateManager;
         }
         
+        // 語句置換（認識結果の誤認識補正、音声認識より先に初期化）
+        if (window.phraseReplacer) {
+            window.phraseReplacer.initialize();
+            this.modules.phraseReplacer = window.phraseReplacer;
+        }
+        
         // 音声認識（Web Speech API）
         if (window.speechRecognitionManager) {
             this.modules.speechRecognitionManager = window.speechRecognitionManager;
         }
         
+        // 音声入力モニター（入力レベルメーター、無音警告）
+        if (window.audioMonitor) {
+            window.audioMonitor.initialize();
+            this.modules.audioMonitor = window.audioMonitor;
+        }
+        
         // 翻訳機能（Google Gemini API）
         if (window.geminiTranslator) {
             // StateManager初期化後にAPIキーを再設定
@@ -124,6 +148,66 @@ class EnglishLearningApp {
             this.modules.geminiTranslator = window.geminiTranslator;
         }
         
+        // 翻訳メモリ（IndexedDB、失敗しても翻訳メモリなしで動作）
+        if (window.translationMemory) {
+            await window.translationMemory.initialize();
+            this.modules.translationMemory = window.translationMemory;
+        }
+        
+        // 翻訳履歴（実行したすべての翻訳の記録）
+        if (window.translationHistory) {
+            window.translationHistory.initialize();
+            this.modules.translationHistory = window.translationHistory;
+        }
+        
+        // 用語集（翻訳プロンプトへの訳語の指定と訳語の確認）
+        if (window.glossary) {
+            window.glossary.initialize();
+            this.modules.glossary = window.glossary;
+        }
+        
+        // 診断パネル（セッション履歴のタイムライン、Ctrl+Shift+Dで表示）
+        if (window.diagnosticsPanel) {
+            window.diagnosticsPanel.initialize();
+            this.modules.diagnosticsPanel = window.diagnosticsPanel;
+        }
+        
+        // セッション一覧（保存済みセッションの再表示、異常終了したセッションの復元案内）
+        if (window.sessionBrowser) {
+            window.sessionBrowser.initialize();
+            this.modules.sessionBrowser = window.sessionBrowser;
+        }
+        
+        // 翻訳メモリ一覧（保存した翻訳の編集・削除）
+        if (window.translationMemoryBrowser) {
+            window.translationMemoryBrowser.initialize();
+            this.modules.translationMemoryBrowser = window.translationMemoryBrowser;
+        }
+        
+        // 翻訳履歴パネル（過去の翻訳の検索・コピー・再翻訳・ピン留め）
+        if (window.translationHistoryPanel) {
+            window.translationHistoryPanel.initialize();
+            this.modules.translationHistoryPanel = window.translationHistoryPanel;
+        }
+        
+        // セッション保存（IndexedDB、失敗してもアプリは保存なしで動作）
+        if (window.sessionStore) {
+            await window.sessionStore.initialize();
+            this.modules.sessionStore = window.sessionStore;
+        }
+        
+        // 書き出し（SRT・WebVTT・テキスト・Markdown・JSON）
+        if (window.transcriptExporter) {
+            window.transcriptExporter.initialize();
+            this.modules.transcriptExporter = window.transcriptExporter;
+        }
+        
+        // 読み込み（SRT・WebVTT・テキスト・JSON、元のタイミングでの再生）
+        if (window.transcriptImporter) {
+            window.transcriptImporter.initialize();
+            this.modules.transcriptImporter = window.transcriptImporter;
+        }
+        
         // UIコントローラー（DOM操作、最後に初期化して他モジュールとの連携を確立）
         if (window.uiController) {
             const success = await window.uiController.initialize();
@@ -293,6 +377,9 @@ class EnglishLearningApp {
             case 'TRANSLATION':
                 this.handleTranslationError(error);
                 break;
+            case 'AUDIO':
+                this.handleAudioError(error);
+                break;
             case 'SYSTEM':
                 this.handleSystemError(error);
                 break;
@@ -329,20 +416,34 @@ class EnglishLearningApp {
 
     /**
      * 翻訳エラーの個別処理
-     * Google Gemini API関連エラーの適切なログ出力
-     * APIキー未設定、レート制限、ネットワークエラーなどを区別して処理
+     * 翻訳プロバイダー関連エラーの適切なログ出力
+     * APIキー・接続先の未設定、レート制限、ネットワークエラーなどを区別して処理
      * 
      * @param {Object} error - 翻訳エラーオブジェクト
      */
     handleTranslationError(error) {
         if (error.code === 'API_KEY_MISSING') {
-            console.warn('翻訳エラー: Gemini APIキーが設定されていません', error);
+            console.warn('翻訳エラー: 翻訳サービスのAPIキーまたは接続先が設定されていません', error);
         } else {
             console.error('翻訳エラー:', error);
         }
     }
 
 
+    /**
+     * 音声入力モニターエラーの個別処理
+     * 無音警告は経路切れの可能性として警告、監視開始失敗はエラーとしてログ出力
+     * 
+     * @param {Object} error - 音声入力エラーオブジェクト
+     */
+    handleAudioError(error) {
+        if (error.code === 'SILENCE_DETECTED') {
+            console.warn('音声入力: 入力が途絶えています', error);
+        } else {
+            console.error('音声入力エラー:', error);
+        }
+    }
+
     /**
      * システムレベルエラーの個別処理
      * アプリケーション全体に影響する可能性のあるエラーのログ出力
@@ -448,6 +549,12 @@ class EnglishLearningApp {
     showDebugInfo() {
         const debugInfo = this.getDebugInfo();
         
+        // 診断パネルにセッションタイムラインと併せて表示
+        if (this.modules.diagnosticsPanel) {
+            this.modules.diagnosticsPanel.show(debugInfo);
+            return;
+        }
+        
         // モーダル表示（簡易版）
         alert(`Debug Info:\n${JSON.stringify(debugInfo, null, 2)}`);
     }
@@ -0,0 +1,326 @@
+/**
+ * 音声入力モニターモジュール
+ * English Speech to Text
+ *
+ * getUserMediaとAnalyserNodeでマイク入力レベルを監視し、ヘッダーのレベルメーターに反映する
+ * 音声認識中に入力が一定時間途絶えた場合は警告（任意で警告音）を発し、
+ * VoiceMeeterなど仮想オーディオの経路切れを早期に検知する
+ *
+ * 機能概要:
+ * - 音声認識の開始・停止に連動した入力レベル監視
+ * - RMSレベル（dBFS）の算出とレベルメーター用の正規化値
+ * - 無音継続時間の計測とstateManager.setErrorによる警告
+ * - 警告音の再生（設定で有効化）
+ */
+
+// 音声入力モニター設定定数
+const AUDIO_MONITOR_CONSTANTS = {
+    FFT_SIZE: 2048,              // AnalyserNodeのFFTサイズ
+    SAMPLE_INTERVAL: 100,        // レベル計測間隔（ミリ秒）
+    LEVEL_FLOOR_DB: -60,         // メーター表示の下限（dBFS）
+    LEVEL_SMOOTHING: 0.5,        // メーター表示の平滑化係数（0=平滑化なし）
+    BEEP_FREQUENCY: 880,         // 警告音の周波数（Hz）
+    BEEP_DURATION: 0.3,          // 警告音の長さ（秒）
+    BEEP_VOLUME: 0.2             // 警告音の音量（0〜1）
+};
+
+class AudioMonitor {
+    constructor() {
+        // 音声処理リソース
+        this.mediaStream = null;
+        this.audioContext = null;
+        this.analyser = null;
+        this.source = null;
+        this.sampleBuffer = null;
+        this.sampleTimer = null;
+
+        // 監視状態
+        this.isMonitoring = false;
+        this.isStarting = false;
+        this.startToken = 0;             // 開始要求ごとに更新し、停止後に完了した古いマイク取得を判別する
+        this.hasFailed = false;          // 開始失敗フラグ（設定保存まで再試行しない）
+        this.level = 0;                  // 平滑化済みレベル（0〜1）
+        this.silenceStartTime = null;    // 無音開始時刻
+        this.isAlarmActive = false;      // 無音警告中フラグ
+    }
+
+    /**
+     * 音声認識状態の監視を開始
+     * 認識の開始・停止に合わせてモニターを起動・停止する
+     */
+    initialize() {
+        $(document).on('state:recognitionStateChanged', (event, state) => {
+            this.syncWithRecognition(state);
+        });
+    }
+
+    /**
+     * 設定と音声認識状態に応じてモニターを起動・停止
+     *
+     * @param {Object} [recognitionState] - 音声認識状態（省略時はstateManagerから取得）
+     */
+    syncWithRecognition(recognitionState = stateManager.state.recognition) {
+        const enabled = !!stateManager.getState('config.audioMonitorEnabled');
+
+        if (enabled && recognitionState.isActive) {
+            if (!this.isMonitoring && !this.isStarting && !this.hasFailed) {
+                this.start();
+            }
+        } else if (this.isMonitoring || this.isStarting) {
+            this.stop();
+        }
+    }
+
+    /**
+     * 開始失敗状態を解除して再同期
+     * 設定保存時に呼び出し、マイク許可後などに監視を再試行する
+     */
+    retry() {
+        this.hasFailed = false;
+        this.syncWithRecognition();
+    }
+
+    /**
+     * ブラウザの対応状況確認
+     *
+     * @returns {boolean} 入力レベル監視が可能か
+     */
+    static isSupported() {
+        return !!(navigator.mediaDevices?.getUserMedia && (window.AudioContext || window.webkitAudioContext));
+    }
+
+    /**
+     * マイク入力の監視開始
+     * 認識エンジンとは別にマイクを取得し、加工なしの入力レベルを計測する
+     *
+     * @returns {Promise<boolean>} 開始成功可否
+     */
+    async start() {
+        if (this.isMonitoring || this.isStarting) return true;
+        this.isStarting = true;
+        const token = ++this.startToken;
+
+        try {
+            if (!AudioMonitor.isSupported()) {
+                throw new Error('getUserMedia / AudioContext is not supported');
+            }
+
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+
+            // 取得中に停止された場合（停止後に再開された場合を含む）は破棄
+            if (token !== this.startToken) {
+                stream.getTracks().forEach(track => track.stop());
+                return false;
+            }
+
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.mediaStream = stream;
+            this.audioContext = new AudioContextClass();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = AUDIO_MONITOR_CONSTANTS.FFT_SIZE;
+            this.source = this.audioContext.createMediaStreamSource(stream);
+            this.source.connect(this.analyser);
+            this.sampleBuffer = new Float32Array(this.analyser.fftSize);
+
+            this.isStarting = false;
+            this.isMonitoring = true;
+            this.silenceStartTime = null;
+            this.sampleTimer = setInterval(() => this.sample(), AUDIO_MONITOR_CONSTANTS.SAMPLE_INTERVAL);
+
+            stateManager.updateAudioState({ isMonitoring: true });
+            return true;
+
+        } catch (error) {
+            // 取得中に停止された場合は新しい開始要求の状態を変更しない
+            if (token !== this.startToken) {
+                return false;
+            }
+
+            this.isStarting = false;
+            this.hasFailed = true;
+            this.releaseResources();
+            stateManager.setError('AUDIO', 'MONITOR_FAILED', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * マイク入力の監視停止とリソース解放
+     */
+    stop() {
+        this.startToken++;
+        this.isStarting = false;
+        this.isMonitoring = false;
+        this.releaseResources();
+
+        this.level = 0;
+        this.silenceStartTime = null;
+        this.isAlarmActive = false;
+
+        stateManager.updateAudioState({
+            isMonitoring: false,
+            level: 0,
+            levelDb: -Infinity,
+            isSilent: false,
+            isAlarmActive: false
+        });
+    }
+
+    /**
+     * 音声処理リソースの解放
+     * @private
+     */
+    releaseResources() {
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+            this.sampleTimer = null;
+        }
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+
+        this.analyser = null;
+        this.sampleBuffer = null;
+    }
+
+    /**
+     * 入力レベルの計測と状態更新
+     * @private
+     */
+    sample() {
+        if (!this.analyser) return;
+
+        this.analyser.getFloatTimeDomainData(this.sampleBuffer);
+        const levelDb = AudioMonitor.calculateLevelDb(this.sampleBuffer);
+
+        // メーター表示用に0〜1へ正規化して平滑化
+        const floor = AUDIO_MONITOR_CONSTANTS.LEVEL_FLOOR_DB;
+        const normalized = Math.min(Math.max((levelDb - floor) / -floor, 0), 1);
+        const smoothing = AUDIO_MONITOR_CONSTANTS.LEVEL_SMOOTHING;
+        this.level = this.level * smoothing + normalized * (1 - smoothing);
+
+        const threshold = stateManager.getState('config.silenceThreshold') ?? APP_CONFIG.DEFAULT_SETTINGS.silenceThreshold;
+        const isSilent = levelDb < threshold;
+
+        this.checkSilence(isSilent);
+
+        stateManager.updateAudioState({
+            level: this.level,
+            levelDb,
+            isSilent,
+            isAlarmActive: this.isAlarmActive
+        });
+    }
+
+    /**
+     * 無音継続時間の判定と警告
+     * 音声認識中に無音が設定時間続いたら一度だけ警告し、入力が戻ったら解除する
+     * @private
+     *
+     * @param {boolean} isSilent - 現在の入力が無音か
+     */
+    checkSilence(isSilent) {
+        const now = Date.now();
+
+        if (!isSilent) {
+            this.silenceStartTime = null;
+            this.isAlarmActive = false;
+            return;
+        }
+
+        if (this.silenceStartTime === null) {
+            this.silenceStartTime = now;
+        }
+
+        const alarmSeconds = stateManager.getState('config.silenceAlarmSeconds') || 0;
+        const silentDuration = now - this.silenceStartTime;
+        const isActive = stateManager.getState('recognition.isActive');
+
+        if (alarmSeconds > 0 && isActive && !this.isAlarmActive && silentDuration >= alarmSeconds * 1000) {
+            this.isAlarmActive = true;
+            stateManager.setError('AUDIO', 'SILENCE_DETECTED', `${Math.round(silentDuration / 1000)}秒間入力なし`);
+
+            if (stateManager.getState('config.silenceAlarmSound')) {
+                this.playBeep();
+            }
+        }
+    }
+
+    /**
+     * 警告音の再生
+     * 監視用のAudioContextでサイン波を短く鳴らす
+     * @private
+     */
+    playBeep() {
+        if (!this.audioContext) return;
+
+        try {
+            const context = this.audioContext;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const endTime = context.currentTime + AUDIO_MONITOR_CONSTANTS.BEEP_DURATION;
+
+            oscillator.frequency.value = AUDIO_MONITOR_CONSTANTS.BEEP_FREQUENCY;
+            gain.gain.value = AUDIO_MONITOR_CONSTANTS.BEEP_VOLUME;
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start();
+            oscillator.stop(endTime);
+        } catch (error) {
+            // 警告音の再生失敗は無視（画面上の警告は表示済み）
+        }
+    }
+
+    /**
+     * サンプル列のRMSレベルをdBFSで算出
+     *
+     * @param {Float32Array} samples - 時間領域のサンプル（-1〜1）
+     * @returns {number} レベル（dBFS、無音時は-Infinity）
+     */
+    static calculateLevelDb(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(sum / samples.length);
+        return 20 * Math.log10(rms);
+    }
+
+    /**
+     * 音声入力モニターの現在状態を取得
+     *
+     * @returns {Object} 現在の状態情報
+     */
+    getStatus() {
+        return {
+            isMonitoring: this.isMonitoring,
+            level: this.level,
+            silenceStartTime: this.silenceStartTime,
+            isAlarmActive: this.isAlarmActive
+        };
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.audioMonitor = new AudioMonitor();
+} catch (error) {
+}
\ No newline at end of file
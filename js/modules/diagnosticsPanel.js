@@ -0,0 +1,397 @@
+/**
+ * 診断パネルモジュール
+ * English Speech to Text
+ *
+ * SpeechRecognitionManagerが記録したセッション履歴を集計し、
+ * 開始・終了のタイムラインとして描画する（Ctrl+Shift+Dで表示）
+ * 実際の再起動間隔や終了理由を確認し、SPEECH_CONFIGの調整に利用する
+ *
+ * 機能概要:
+ * - セッション数、平均継続時間、確定結果数、再起動間隔の集計
+ * - 終了理由ごとに色分けしたCanvasタイムライン（重複セッションは別レーン）
+ * - 直近セッションの一覧表と現在のSPEECH_CONFIG表示
+ * - 診断データ（設定＋セッション履歴）のJSONコピー
+ */
+
+// 診断パネル設定定数
+const DIAGNOSTICS_CONSTANTS = {
+    LANE_HEIGHT: 26,             // タイムラインの1レーンの高さ（px）
+    LANE_GAP: 6,                 // レーン間の余白（px）
+    AXIS_HEIGHT: 18,             // 時刻軸の高さ（px）
+    PADDING: 8,                  // Canvas内の余白（px）
+    AXIS_TICKS: 6,               // 時刻軸の目盛り数
+    TABLE_ROWS: 30,              // 一覧表に表示する直近セッション数
+    REFRESH_INTERVAL: 1000,      // 表示中の再描画間隔（ms、進行中セッションの伸長用）
+    OPEN_SESSION_COLOR: '#28a745',
+    ERROR_COLOR: '#dc3545',
+    REASON_LABELS: {
+        manual: '手動停止',
+        deadTime: '無応答タイムアウト',
+        maxSessionTime: '最大セッション時間',
+        handover: 'ギャップレス引き継ぎ',
+        languageChange: '言語変更',
+        engineChange: 'エンジン切り替え',
+        restart: '再起動',
+        ended: '自然終了'
+    },
+    REASON_COLORS: {
+        manual: '#6c757d',
+        deadTime: '#fd7e14',
+        maxSessionTime: '#0d6efd',
+        handover: '#20c997',
+        languageChange: '#6f42c1',
+        engineChange: '#6f42c1',
+        restart: '#0dcaf0',
+        ended: '#adb5bd'
+    }
+};
+
+class DiagnosticsPanel {
+    constructor() {
+        this.elements = {};
+        this.refreshTimer = null;
+        this.debugInfo = null;
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     * 表示中のみ定期再描画し、セッション終了時にも即時更新する
+     */
+    initialize() {
+        this.elements = {
+            $modal: $('#diagnosticsModal'),
+            $summary: $('#diagnostics-summary'),
+            $timeline: $('#diagnostics-timeline'),
+            $legend: $('#diagnostics-legend'),
+            $sessionTable: $('#diagnostics-session-table tbody'),
+            $config: $('#diagnostics-config'),
+            $debugInfo: $('#diagnostics-debug-info'),
+            $copyBtn: $('#diagnostics-copy-btn')
+        };
+
+        this.elements.$modal.on('shown.bs.modal', () => {
+            this.render();
+            this.refreshTimer = setInterval(() => this.render(), DIAGNOSTICS_CONSTANTS.REFRESH_INTERVAL);
+        });
+
+        this.elements.$modal.on('hidden.bs.modal', () => {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        });
+
+        $(document).on('recognitionSessionLogged', () => {
+            if (this.refreshTimer) {
+                this.render();
+            }
+        });
+
+        this.elements.$copyBtn.on('click', () => {
+            this.copyDiagnostics();
+        });
+    }
+
+    /**
+     * 診断パネルの表示
+     *
+     * @param {Object} [debugInfo] - アプリケーション全体のデバッグ情報（折りたたみ表示）
+     */
+    show(debugInfo = null) {
+        this.debugInfo = debugInfo;
+        this.render();
+        bootstrap.Modal.getOrCreateInstance(this.elements.$modal[0]).show();
+    }
+
+    /**
+     * パネル全体の再描画
+     */
+    render() {
+        const log = window.speechRecognitionManager ? window.speechRecognitionManager.getSessionLog() : [];
+
+        this.renderSummary(DiagnosticsPanel.summarize(log));
+        this.drawTimeline(log);
+        this.renderLegend(log);
+        this.renderSessionTable(log);
+
+        this.elements.$config.text(JSON.stringify(APP_CONFIG.SPEECH_CONFIG, null, 2));
+        this.elements.$debugInfo.text(this.debugInfo ? JSON.stringify(this.debugInfo, null, 2) : '');
+    }
+
+    /**
+     * セッション履歴の集計
+     * 再起動間隔は前セッション終了から次セッション開始までの時間（負値は重複）
+     *
+     * @param {Array<Object>} log - セッション記録の配列（時系列順）
+     * @returns {Object} 集計結果
+     */
+    static summarize(log) {
+        const completed = log.filter(record => record.endTime !== null);
+        const gaps = [];
+
+        for (let i = 1; i < log.length; i++) {
+            const previous = log[i - 1];
+            if (previous.endTime !== null) {
+                gaps.push(log[i].startTime - previous.endTime);
+            }
+        }
+
+        const reasonCounts = {};
+        completed.forEach(record => {
+            reasonCounts[record.reason] = (reasonCounts[record.reason] || 0) + 1;
+        });
+
+        const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+        return {
+            sessionCount: log.length,
+            completedCount: completed.length,
+            averageDuration: average(completed.map(record => record.duration)),
+            totalFinals: log.reduce((sum, record) => sum + record.finals, 0),
+            averageGap: average(gaps),
+            maxGap: gaps.length ? Math.max(...gaps) : 0,
+            reasonCounts
+        };
+    }
+
+    /**
+     * 集計結果の表示
+     * @private
+     *
+     * @param {Object} summary - summarize()の集計結果
+     */
+    renderSummary(summary) {
+        const items = [
+            ['セッション数', `${summary.sessionCount}`],
+            ['平均継続時間', DiagnosticsPanel.formatDuration(summary.averageDuration)],
+            ['確定結果数', `${summary.totalFinals}`],
+            ['平均再起動間隔', DiagnosticsPanel.formatDuration(summary.averageGap)],
+            ['最大再起動間隔', DiagnosticsPanel.formatDuration(summary.maxGap)]
+        ];
+
+        const reasons = Object.entries(summary.reasonCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([reason, count]) => `${Utils.escapeHtml(this.getReasonLabel(reason))}: ${count}`)
+            .join('、');
+
+        this.elements.$summary.html(`
+            <div class="d-flex flex-wrap gap-3 mb-2">
+                ${items.map(([label, value]) => `
+                    <div class="diagnostics-stat">
+                        <div class="diagnostics-stat-label">${label}</div>
+                        <div class="diagnostics-stat-value">${value}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="small text-muted">終了理由: ${reasons || 'なし'}</div>
+        `);
+    }
+
+    /**
+     * セッションタイムラインの描画
+     * 記録の最初から現在までを横軸に取り、セッションを終了理由の色で描く
+     * 時間が重なるセッション（ギャップレス引き継ぎ）は下のレーンに配置
+     * @private
+     *
+     * @param {Array<Object>} log - セッション記録の配列（時系列順）
+     */
+    drawTimeline(log) {
+        const canvas = this.elements.$timeline[0];
+        const context = canvas?.getContext ? canvas.getContext('2d') : null;
+        const cssWidth = canvas?.clientWidth || 0;
+
+        // 非表示中（幅0）は描画しない（表示完了時に再描画される）
+        if (!context || !cssWidth) return;
+
+        const { LANE_HEIGHT, LANE_GAP, AXIS_HEIGHT, PADDING, AXIS_TICKS } = DIAGNOSTICS_CONSTANTS;
+
+        // 重なりのないレーンに割り当て
+        const laneEnds = [];
+        const bars = log.map(record => {
+            const endTime = record.endTime ?? Date.now();
+            let lane = laneEnds.findIndex(laneEnd => laneEnd <= record.startTime);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(endTime);
+            } else {
+                laneEnds[lane] = endTime;
+            }
+            return { record, endTime, lane };
+        });
+
+        const laneCount = Math.max(laneEnds.length, 1);
+        const cssHeight = PADDING * 2 + laneCount * (LANE_HEIGHT + LANE_GAP) + AXIS_HEIGHT;
+        const ratio = window.devicePixelRatio || 1;
+
+        canvas.width = cssWidth * ratio;
+        canvas.height = cssHeight * ratio;
+        canvas.style.height = `${cssHeight}px`;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, cssWidth, cssHeight);
+
+        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+        const axisColor = isDark ? '#adb5bd' : '#6c757d';
+
+        if (bars.length === 0) {
+            context.fillStyle = axisColor;
+            context.font = '12px sans-serif';
+            context.fillText('セッション履歴はまだありません', PADDING, PADDING + 14);
+            return;
+        }
+
+        const rangeStart = bars[0].record.startTime;
+        const rangeEnd = Math.max(Date.now(), ...bars.map(bar => bar.endTime));
+        const span = Math.max(rangeEnd - rangeStart, 1);
+        const plotWidth = cssWidth - PADDING * 2;
+        const toX = time => PADDING + ((time - rangeStart) / span) * plotWidth;
+
+        // セッションバー
+        bars.forEach(({ record, endTime, lane }) => {
+            const x = toX(record.startTime);
+            const width = Math.max(toX(endTime) - x, 1);
+            const y = PADDING + lane * (LANE_HEIGHT + LANE_GAP);
+
+            context.fillStyle = record.endTime === null
+                ? DIAGNOSTICS_CONSTANTS.OPEN_SESSION_COLOR
+                : this.getReasonColor(record.reason);
+            context.fillRect(x, y, width, LANE_HEIGHT);
+
+            // 確定結果数（幅に余裕がある場合のみ）
+            if (width > 24 && record.finals > 0) {
+                context.fillStyle = '#ffffff';
+                context.font = '11px sans-serif';
+                context.fillText(`${record.finals}`, x + 4, y + LANE_HEIGHT / 2 + 4);
+            }
+        });
+
+        // 時刻軸
+        const axisY = cssHeight - AXIS_HEIGHT;
+        context.strokeStyle = axisColor;
+        context.fillStyle = axisColor;
+        context.font = '11px sans-serif';
+        context.beginPath();
+        context.moveTo(PADDING, axisY);
+        context.lineTo(cssWidth - PADDING, axisY);
+        context.stroke();
+
+        for (let i = 0; i <= AXIS_TICKS; i++) {
+            const time = rangeStart + (span * i) / AXIS_TICKS;
+            const x = toX(time);
+            const label = Utils.formatTimestamp(time);
+            const labelWidth = context.measureText(label).width;
+            const labelX = Math.min(Math.max(x - labelWidth / 2, PADDING), cssWidth - PADDING - labelWidth);
+
+            context.beginPath();
+            context.moveTo(x, axisY);
+            context.lineTo(x, axisY + 4);
+            context.stroke();
+            context.fillText(label, labelX, axisY + 15);
+        }
+    }
+
+    /**
+     * タイムラインの凡例表示（履歴に含まれる終了理由のみ）
+     * @private
+     *
+     * @param {Array<Object>} log - セッション記録の配列
+     */
+    renderLegend(log) {
+        const reasons = [...new Set(log.filter(record => record.endTime !== null).map(record => record.reason))];
+        const hasOpen = log.some(record => record.endTime === null);
+
+        const items = reasons.map(reason => [this.getReasonColor(reason), this.getReasonLabel(reason)]);
+        if (hasOpen) {
+            items.push([DIAGNOSTICS_CONSTANTS.OPEN_SESSION_COLOR, '進行中']);
+        }
+
+        this.elements.$legend.html(items.map(([color, label]) => `
+            <span class="diagnostics-legend-item">
+                <span class="diagnostics-legend-swatch" style="background-color: ${color}"></span>${Utils.escapeHtml(label)}
+            </span>
+        `).join(''));
+    }
+
+    /**
+     * 直近セッションの一覧表示（新しい順）
+     * @private
+     *
+     * @param {Array<Object>} log - セッション記録の配列（時系列順）
+     */
+    renderSessionTable(log) {
+        const rows = log.slice(-DIAGNOSTICS_CONSTANTS.TABLE_ROWS).reverse().map(record => `
+            <tr>
+                <td>${Utils.formatTimestamp(record.startTime)}</td>
+                <td>${DiagnosticsPanel.formatDuration(record.duration)}</td>
+                <td>${record.finals}</td>
+                <td>${record.endTime === null ? '進行中' : Utils.escapeHtml(this.getReasonLabel(record.reason))}</td>
+                <td>${Utils.escapeHtml(record.engine || '')}</td>
+            </tr>
+        `);
+
+        this.elements.$sessionTable.html(rows.join('') || '<tr><td colspan="5" class="text-muted">記録なし</td></tr>');
+    }
+
+    /**
+     * 診断データをJSONでクリップボードへコピー
+     * @private
+     */
+    async copyDiagnostics() {
+        const data = {
+            exportedAt: new Date().toISOString(),
+            speechConfig: APP_CONFIG.SPEECH_CONFIG,
+            summary: DiagnosticsPanel.summarize(window.speechRecognitionManager?.getSessionLog() || []),
+            sessions: window.speechRecognitionManager?.getSessionLog() || []
+        };
+
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
+            this.elements.$copyBtn.text('コピーしました');
+        } catch (error) {
+            this.elements.$copyBtn.text('コピーに失敗しました');
+        }
+
+        setTimeout(() => this.elements.$copyBtn.text('JSONをコピー'), 1500);
+    }
+
+    /**
+     * 終了理由の表示名（エラーコードは「エラー: code」）
+     *
+     * @param {string} reason - 終了理由
+     * @returns {string} 表示名
+     */
+    getReasonLabel(reason) {
+        return DIAGNOSTICS_CONSTANTS.REASON_LABELS[reason] || `エラー: ${reason}`;
+    }
+
+    /**
+     * 終了理由の表示色（エラーコードは共通のエラー色）
+     *
+     * @param {string} reason - 終了理由
+     * @returns {string} CSSカラー
+     */
+    getReasonColor(reason) {
+        return DIAGNOSTICS_CONSTANTS.REASON_COLORS[reason] || DIAGNOSTICS_CONSTANTS.ERROR_COLOR;
+    }
+
+    /**
+     * ミリ秒を「12.3秒」「2分05秒」形式に整形（負値は重複として表示）
+     *
+     * @param {number} ms - ミリ秒
+     * @returns {string} 整形済み文字列
+     */
+    static formatDuration(ms) {
+        if (ms < 0) {
+            return `重複 ${(-ms / 1000).toFixed(1)}秒`;
+        }
+        if (ms < 60000) {
+            return `${(ms / 1000).toFixed(1)}秒`;
+        }
+        const minutes = Math.floor(ms / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        return `${minutes}分${String(seconds).padStart(2, '0')}秒`;
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.diagnosticsPanel = new DiagnosticsPanel();
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * 用語集モジュール
+ * English Speech to Text
+ *
+ * 配信者名・ゲームの用語・ファンの間での呼び名など、決まった訳語を使わせたい用語を管理し、
+ * 翻訳プロンプトへの指定と翻訳後の訳語の確認に使用する
+ *
+ * 機能概要:
+ * - 用語（原語・訳語・大文字小文字の区別・メモ）の検証と単語単位の一致判定
+ * - 原文に含まれる用語の抽出（翻訳プロンプトには含まれる用語のみを指定）
+ * - 訳文で指定の訳語が使われていない用語の検出
+ * - 用語集のCSVエクスポート・インポート（チャンネルごとの用語集の共有用）
+ */
+
+// 用語集設定定数
+const GLOSSARY_CONSTANTS = {
+    EXPORT_FILE_NAME: 'glossary.csv',                            // エクスポート時のファイル名
+    CSV_COLUMNS: ['source', 'target', 'case_sensitive', 'notes'], // CSVの列（1行目の見出し）
+    WORD_CHAR: '[\\p{L}\\p{N}_]'                                  // 単語単位一致で境界とみなさない文字
+};
+
+class Glossary {
+    constructor() {
+        this.terms = [];           // 登録された用語
+        this.compiledTerms = [];   // 正しい用語のコンパイル結果
+    }
+
+    /**
+     * 保存済みの用語集の読み込みと設定変更の監視
+     */
+    initialize() {
+        this.setTerms(stateManager.getState('config.glossaryTerms') || []);
+
+        $(document).on('state:stateChanged', (event, change) => {
+            if (change.path === 'config.glossaryTerms') {
+                this.setTerms(change.newValue || []);
+            }
+        });
+    }
+
+    /**
+     * 用語一覧の設定とコンパイル
+     * 原語・訳語のどちらかが空の用語は判定対象から除外
+     *
+     * @param {Array<Object>} terms - 用語の配列
+     */
+    setTerms(terms) {
+        this.terms = terms.map(term => Glossary.normalizeTerm(term));
+        this.compiledTerms = this.terms
+            .filter(term => !Glossary.validateTerm(term))
+            .map(term => ({ term, regex: Glossary.compileTerm(term) }));
+    }
+
+    /**
+     * 原文に含まれる用語の抽出
+     *
+     * @param {string} text - 原文
+     * @returns {Array<Object>} 原文に含まれる用語（登録順）
+     */
+    findTerms(text) {
+        if (!text || this.compiledTerms.length === 0) {
+            return [];
+        }
+
+        return this.compiledTerms
+            .filter(({ regex }) => regex.test(text))
+            .map(({ term }) => term);
+    }
+
+    /**
+     * 訳文で指定の訳語が使われていない用語の検出
+     *
+     * @param {string} sourceText - 原文
+     * @param {string} translatedText - 訳文
+     * @returns {Array<{source: string, target: string}>} 訳語が使われていない用語（問題なければ空配列）
+     */
+    checkTranslation(sourceText, translatedText) {
+        const translated = translatedText || '';
+
+        return this.findTerms(sourceText)
+            .filter(term => term.caseSensitive
+                ? !translated.includes(term.target)
+                : !translated.toLowerCase().includes(term.target.toLowerCase()))
+            .map(term => ({ source: term.source, target: term.target }));
+    }
+
+    /**
+     * 用語集をCSV文字列としてエクスポート
+     * 表計算ソフトで文字化けしないようBOMを付ける
+     *
+     * @returns {string} CSV文字列
+     */
+    exportCsv() {
+        const rows = [
+            GLOSSARY_CONSTANTS.CSV_COLUMNS,
+            ...this.terms.map(term => [term.source, term.target, term.caseSensitive ? 'true' : 'false', term.notes])
+        ];
+
+        return '\uFEFF' + rows
+            .map(row => row.map(value => Glossary.escapeCsvValue(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * インポートしたCSVから用語を読み込み
+     * 列は原語・訳語・大文字小文字の区別・メモの順（1行目が見出しの場合は読み飛ばす）
+     *
+     * @param {string} csv - CSV文字列
+     * @returns {Array<Object>} 正規化済み用語の配列（原語か訳語が空の行は除く）
+     * @throws {Error} CSVの形式が不正な場合
+     */
+    static parseCsv(csv) {
+        const rows = Glossary.parseCsvRows(String(csv ?? '').replace(/^\uFEFF/, ''));
+
+        if (rows.length > 0 && rows[0][0]?.trim().toLowerCase() === GLOSSARY_CONSTANTS.CSV_COLUMNS[0]) {
+            rows.shift();
+        }
+
+        if (rows.some(row => row.length < 2 && row.join('').trim())) {
+            throw new Error('用語集の形式が不正です（原語と訳語の列が必要です）');
+        }
+
+        return rows
+            .map(([source = '', target = '', caseSensitive = '', notes = '']) => Glossary.normalizeTerm({
+                source,
+                target,
+                caseSensitive: /^(true|1|yes|y)$/i.test(caseSensitive.trim()),
+                notes
+            }))
+            .filter(term => !Glossary.validateTerm(term));
+    }
+
+    /**
+     * CSV文字列を行・列に分割（ダブルクォートで囲んだ値の区切り文字・改行・""に対応）
+     * @private
+     *
+     * @param {string} csv - CSV文字列
+     * @returns {Array<Array<string>>} 行ごとの値の配列（空行は除く）
+     * @throws {Error} ダブルクォートが閉じていない場合
+     */
+    static parseCsvRows(csv) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < csv.length; i++) {
+            const char = csv[i];
+
+            if (inQuotes) {
+                if (char === '"' && csv[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && csv[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('ダブルクォートが閉じていません');
+        }
+
+        row.push(value);
+        rows.push(row);
+
+        return rows.filter(cells => cells.join('').trim());
+    }
+
+    /**
+     * CSVの値のエスケープ（区切り文字・改行・ダブルクォートを含む場合はダブルクォートで囲む）
+     * @private
+     *
+     * @param {string} value - 値
+     * @returns {string} エスケープ済みの値
+     */
+    static escapeCsvValue(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 用語の既定値補完
+     *
+     * @param {Object} term - 用語
+     * @returns {Object} 正規化済み用語
+     */
+    static normalizeTerm(term) {
+        return {
+            id: term.id || Utils.generateId('term'),
+            source: String(term.source ?? '').trim(),
+            target: String(term.target ?? '').trim(),
+            caseSensitive: !!term.caseSensitive,
+            notes: String(term.notes ?? '').trim()
+        };
+    }
+
+    /**
+     * 用語の検証
+     *
+     * @param {Object} term - 用語
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    static validateTerm(term) {
+        if (!term.source) {
+            return '原語を入力してください';
+        }
+
+        if (!term.target) {
+            return '訳語を入力してください';
+        }
+
+        return null;
+    }
+
+    /**
+     * 原語を単語単位で一致する正規表現にコンパイル
+     * 前後が文字・数字でない位置のみ一致（記号で始まる用語にも対応）
+     *
+     * @param {Object} term - 用語
+     * @returns {RegExp} 正規表現
+     */
+    static compileTerm(term) {
+        const wordChar = GLOSSARY_CONSTANTS.WORD_CHAR;
+        const source = term.source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        return new RegExp(`(?<!${wordChar})(?:${source})(?!${wordChar})`, term.caseSensitive ? 'u' : 'iu');
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.glossary = new Glossary();
+    window.Glossary = Glossary;
+} catch (error) {
+}
\ No newline at end of file
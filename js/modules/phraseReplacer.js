@@ -0,0 +1,197 @@
+/**
+ * 語句置換モジュール
+ * English Speech to Text
+ *
+ * 音声認識が誤認識しやすい配信者名・ゲームタイトル・内輪ネタなどを
+ * ユーザー定義のルールで置き換える（確定結果と中間結果の両方に適用）
+ *
+ * 機能概要:
+ * - 文字列一致・正規表現のルール（大文字小文字の区別、単語単位の一致を選択可能）
+ * - ルールの検証とコンパイル済み正規表現のキャッシュ
+ * - 適用されたルールの記録（行ごとの置換表示用）
+ * - ルール一覧のJSONエクスポート・インポート
+ */
+
+// 語句置換設定定数
+const PHRASE_REPLACER_CONSTANTS = {
+    EXPORT_VERSION: 1,                         // エクスポート形式のバージョン
+    EXPORT_FILE_NAME: 'replacement-rules.json', // エクスポート時のファイル名
+    WORD_CHAR: '[\\p{L}\\p{N}_]'               // 単語単位一致で境界とみなさない文字
+};
+
+class PhraseReplacer {
+    constructor() {
+        this.rules = [];           // ユーザー定義ルール
+        this.compiledRules = [];   // 有効かつ正しいルールのコンパイル結果
+    }
+
+    /**
+     * 保存済みルールの読み込みと設定変更の監視
+     */
+    initialize() {
+        this.setRules(stateManager.getState('config.replacementRules') || []);
+
+        $(document).on('state:stateChanged', (event, change) => {
+            if (change.path === 'config.replacementRules') {
+                this.setRules(change.newValue || []);
+            }
+        });
+    }
+
+    /**
+     * ルール一覧の設定とコンパイル
+     * 不正なルール（空のパターン、構文エラーの正規表現）は適用対象から除外
+     *
+     * @param {Array<Object>} rules - ルールの配列
+     */
+    setRules(rules) {
+        this.rules = rules.map(rule => PhraseReplacer.normalizeRule(rule));
+        this.compiledRules = [];
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled || PhraseReplacer.validateRule(rule)) return;
+            this.compiledRules.push({ rule, regex: PhraseReplacer.compileRule(rule) });
+        });
+    }
+
+    /**
+     * テキストへのルール適用
+     * ルールは一覧の順に適用し、前のルールの結果に次のルールを適用する
+     *
+     * @param {string} text - 対象テキスト
+     * @returns {{text: string, appliedRules: Array<{id: string, pattern: string, replacement: string, count: number}>}} 置換結果と適用されたルール
+     */
+    apply(text) {
+        const appliedRules = [];
+        let result = text || '';
+
+        if (!result || this.compiledRules.length === 0) {
+            return { text: result, appliedRules };
+        }
+
+        this.compiledRules.forEach(({ rule, regex }) => {
+            const count = (result.match(regex) || []).length;
+            if (count === 0) return;
+
+            // 正規表現ルールのみ $1 などの参照を展開し、文字列ルールの $ はそのまま出力
+            const replacement = rule.isRegex ? rule.replacement : rule.replacement.replace(/\$/g, '$$$$');
+            result = result.replace(regex, replacement);
+
+            appliedRules.push({
+                id: rule.id,
+                pattern: rule.pattern,
+                replacement: rule.replacement,
+                count
+            });
+        });
+
+        return { text: Utils.trimText(result), appliedRules };
+    }
+
+    /**
+     * ルールをJSON文字列としてエクスポート
+     *
+     * @returns {string} JSON文字列
+     */
+    exportRules() {
+        return JSON.stringify({
+            version: PHRASE_REPLACER_CONSTANTS.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            rules: this.rules.map(({ id, ...rule }) => rule)
+        }, null, 2);
+    }
+
+    /**
+     * インポートしたJSONからルールを読み込み
+     * エクスポート形式（{ rules: [...] }）とルール配列のみの形式に対応
+     *
+     * @param {string} json - JSON文字列
+     * @returns {Array<Object>} 正規化済みルールの配列
+     * @throws {Error} JSONの形式が不正な場合
+     */
+    static parseImport(json) {
+        const data = Utils.safeJsonParse(json);
+        const rules = Array.isArray(data) ? data : data?.rules;
+
+        if (!Array.isArray(rules)) {
+            throw new Error('置換ルールの形式が不正です');
+        }
+
+        return rules
+            .filter(rule => rule && typeof rule.pattern === 'string')
+            .map(rule => PhraseReplacer.normalizeRule({ ...rule, id: null }));
+    }
+
+    /**
+     * ルールの既定値補完
+     *
+     * @param {Object} rule - ルール
+     * @returns {Object} 正規化済みルール
+     */
+    static normalizeRule(rule) {
+        return {
+            id: rule.id || Utils.generateId('rule'),
+            pattern: String(rule.pattern ?? ''),
+            replacement: String(rule.replacement ?? ''),
+            isRegex: !!rule.isRegex,
+            caseSensitive: !!rule.caseSensitive,
+            wholeWord: rule.wholeWord !== undefined ? !!rule.wholeWord : true,
+            enabled: rule.enabled !== undefined ? !!rule.enabled : true
+        };
+    }
+
+    /**
+     * ルールの検証
+     *
+     * @param {Object} rule - ルール
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    static validateRule(rule) {
+        if (!rule.pattern) {
+            return '検索語句を入力してください';
+        }
+
+        try {
+            const regex = PhraseReplacer.compileRule(rule);
+            if (regex.test('')) {
+                return '空文字に一致するパターンは使用できません';
+            }
+        } catch (error) {
+            return `正規表現が不正です: ${error.message}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * ルールを正規表現にコンパイル
+     * 単語単位の場合、前後が文字・数字でない位置のみ一致（記号で始まる語句にも対応）
+     *
+     * @param {Object} rule - ルール
+     * @returns {RegExp} グローバルフラグ付きの正規表現
+     * @throws {SyntaxError} 正規表現が不正な場合
+     */
+    static compileRule(rule) {
+        const flags = rule.caseSensitive ? 'gu' : 'giu';
+        let source = rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // 正規表現は単語境界で囲む前に単体で構文を検証
+        if (rule.isRegex) {
+            source = new RegExp(rule.pattern, flags).source;
+        }
+
+        if (rule.wholeWord) {
+            const wordChar = PHRASE_REPLACER_CONSTANTS.WORD_CHAR;
+            source = `(?<!${wordChar})(?:${source})(?!${wordChar})`;
+        }
+
+        return new RegExp(source, flags);
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.phraseReplacer = new PhraseReplacer();
+    window.PhraseReplacer = PhraseReplacer;
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,827 @@
+/**
+ * 音声認識エンジンモジュール
+ * English Speech to Text
+ *
+ * SpeechRecognitionManagerが利用する認識エンジンの共通インターフェースと各バックエンド実装
+ * どのエンジンもWeb Speech APIと同じ start/stop/onresult/onerror 契約で動作するため、
+ * Watchdog・重複除去・textRecognizedイベントなど上位の処理はエンジンに依存しない
+ *
+ * 機能概要:
+ * - 認識エンジンの共通基底クラス（設定プロパティとイベントハンドラー契約）
+ * - Web Speech API（Chrome内蔵のクラウド認識）バックエンド
+ * - マイクPCMをローカル認識サーバー（Whisper/Vosk等）へ送信するWebSocketバックエンド
+ * - JSONスクリプトを再生するテスト・デモ用バックエンド
+ * - 設定値からエンジンインスタンスを生成するファクトリ
+ */
+
+// 認識エンジン設定定数
+const RECOGNITION_ENGINE_CONSTANTS = {
+    DEFAULT_ENGINE: 'webspeech',          // デフォルトエンジン
+    PCM_SAMPLE_RATE: 16000,               // サーバーへ送信するPCMのサンプルレート（Hz）
+    PCM_BUFFER_SIZE: 4096,                // 音声処理バッファサイズ（サンプル数）
+    SOCKET_CLOSE_TIMEOUT: 1500,           // 停止時に最終結果を待つ最大時間（ミリ秒）
+    VOICE_ACTIVITY_EVENTS: ['soundstart', 'soundend', 'speechstart', 'speechend'] // サーバーから転送する音声検出イベント
+};
+
+/**
+ * 認識エンジンの基底クラス
+ * Web Speech APIのSpeechRecognitionと同じプロパティとイベントハンドラーを持つ
+ *
+ * イベント契約:
+ * - onstart / onend: セッションの開始・終了
+ * - onresult: { resultIndex, results } 形式の結果イベント
+ *   （results[i] は候補配列で isFinal を持ち、各候補は transcript と confidence を持つ）
+ * - onerror: { error } 形式のエラーイベント（Web Speech APIのエラーコードを使用）
+ * - onsoundstart / onsoundend / onspeechstart / onspeechend / onnomatch: 音声検出イベント
+ */
+class RecognitionEngine {
+    constructor(options = {}) {
+        // 認識設定（SpeechRecognition互換）
+        this.lang = options.lang || 'en-US';
+        this.continuous = true;
+        this.interimResults = true;
+        this.maxAlternatives = 1;
+
+        // イベントハンドラー（SpeechRecognition互換）
+        this.onstart = null;
+        this.onend = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onnomatch = null;
+        this.onsoundstart = null;
+        this.onsoundend = null;
+        this.onspeechstart = null;
+        this.onspeechend = null;
+    }
+
+    /**
+     * エンジンが現在の環境で利用可能か判定
+     *
+     * @returns {boolean} 利用可否
+     */
+    static isSupported() {
+        return false;
+    }
+
+    /**
+     * 認識の開始
+     * 既に開始済みの場合は 'already started' を含むエラーを投げる
+     */
+    start() {
+        throw new Error('start() is not implemented');
+    }
+
+    /**
+     * 認識の停止（確定待ちの結果を受信してから onend を発火）
+     */
+    stop() {
+        throw new Error('stop() is not implemented');
+    }
+
+    /**
+     * 認識の即時中断
+     */
+    abort() {
+        this.stop();
+    }
+
+    /**
+     * 登録済みイベントハンドラーの呼び出し
+     * @protected
+     * @param {string} type - イベント種別（'start', 'result' など）
+     * @param {Object} [event={}] - イベントオブジェクト
+     */
+    dispatch(type, event = {}) {
+        const handler = this[`on${type}`];
+        if (typeof handler === 'function') {
+            handler.call(this, event);
+        }
+    }
+
+    /**
+     * SpeechRecognitionResult互換の結果オブジェクトを生成
+     *
+     * @param {Array<{transcript: string, confidence: number}>} alternatives - 認識候補
+     * @param {boolean} isFinal - 確定結果かどうか
+     * @returns {Array<Object>} isFinalプロパティ付きの候補配列
+     */
+    static createResult(alternatives, isFinal) {
+        const result = alternatives.map(alt => ({
+            transcript: alt.transcript || '',
+            confidence: typeof alt.confidence === 'number' ? alt.confidence : 0
+        }));
+        result.isFinal = isFinal;
+        return result;
+    }
+
+    /**
+     * リソースの解放
+     */
+    destroy() {
+        try {
+            this.abort();
+        } catch (error) {
+            // 停止済みの場合は無視
+        }
+    }
+}
+
+/**
+ * Web Speech APIバックエンド
+ * ブラウザ内蔵のSpeechRecognitionをラップし、イベントをそのまま中継する
+ */
+class WebSpeechRecognitionEngine extends RecognitionEngine {
+    constructor(options = {}) {
+        super(options);
+
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.native = new SpeechRecognition();
+
+        // ネイティブイベントを共通ハンドラーへ中継
+        const eventTypes = ['start', 'end', 'result', 'error', 'nomatch', 'soundstart', 'soundend', 'speechstart', 'speechend'];
+        eventTypes.forEach(type => {
+            this.native[`on${type}`] = (event) => this.dispatch(type, event);
+        });
+    }
+
+    static isSupported() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    start() {
+        this.native.continuous = this.continuous;
+        this.native.interimResults = this.interimResults;
+        this.native.maxAlternatives = this.maxAlternatives;
+        this.native.lang = this.lang;
+        this.native.start();
+    }
+
+    stop() {
+        this.native.stop();
+    }
+
+    abort() {
+        this.native.abort();
+    }
+}
+
+/**
+ * WebSocketバックエンド
+ * マイク音声を16kHzモノラルPCM（Int16 LE）に変換してローカル認識サーバーへストリーミングし、
+ * サーバーから返る中間・最終結果のJSONを結果イベントに変換する
+ *
+ * 受信フォーマット（いずれか）:
+ * - { "type": "interim" | "final", "text": "...", "confidence": 0.9, "alternatives": [...] }
+ * - Vosk形式: { "partial": "..." } / { "text": "..." }
+ */
+class WebSocketRecognitionEngine extends RecognitionEngine {
+    constructor(options = {}) {
+        super(options);
+
+        this.serverUrl = options.serverUrl || '';
+
+        // 接続・音声処理リソース
+        this.socket = null;
+        this.mediaStream = null;
+        this.audioContext = null;
+        this.processor = null;
+        this.source = null;
+
+        // セッション状態
+        this.isStarted = false;
+        this.hasEnded = false;
+        this.closeTimer = null;
+        this.sessionId = 0;         // start()ごとに更新し、前のセッションの遅れたイベントを無視する
+        this.isSpeaking = false;    // 結果から推定した発話中フラグ
+    }
+
+    static isSupported() {
+        return !!(window.WebSocket && navigator.mediaDevices?.getUserMedia &&
+                  (window.AudioContext || window.webkitAudioContext));
+    }
+
+    start() {
+        if (this.isStarted) {
+            throw new Error('recognition has already started');
+        }
+
+        if (!this.serverUrl) {
+            throw new Error('認識サーバーのURLが設定されていません');
+        }
+
+        // stop() 後の切断待ち中に再開された場合は前の接続を待たずに閉じる
+        this.discardSocket();
+
+        this.isStarted = true;
+        this.hasEnded = false;
+        this.openSession(++this.sessionId);
+    }
+
+    /**
+     * マイク取得とサーバー接続を行い、両方の準備ができたら onstart を発火
+     * 接続のイベントは開いたソケットが現在の接続である場合のみ処理する
+     * @private
+     * @param {number} sessionId - このセッションのID（マイク取得中に再開された場合の判定用）
+     * @returns {Promise<void>}
+     */
+    async openSession(sessionId) {
+        let mediaStream;
+        try {
+            mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    channelCount: 1,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+        } catch (error) {
+            if (sessionId !== this.sessionId) return;
+
+            const code = error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture';
+            this.dispatch('error', { error: code, message: error.message });
+            this.finishSession();
+            return;
+        }
+
+        // マイク取得中に再開された場合（新しいセッションがマイクを取得する）
+        if (sessionId !== this.sessionId) {
+            mediaStream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        // マイク取得中にstop()・abort()された場合（終了処理は済んでいるため、取得したマイクのみ解放）
+        if (!this.isStarted) {
+            mediaStream.getTracks().forEach(track => track.stop());
+            this.finishSession();
+            return;
+        }
+
+        this.mediaStream = mediaStream;
+
+        let socket;
+        try {
+            socket = new WebSocket(this.serverUrl);
+            socket.binaryType = 'arraybuffer';
+        } catch (error) {
+            this.dispatch('error', { error: 'network', message: error.message });
+            this.finishSession();
+            return;
+        }
+
+        this.socket = socket;
+
+        socket.onopen = () => {
+            if (socket !== this.socket) return;
+
+            socket.send(JSON.stringify({
+                type: 'config',
+                config: {
+                    sample_rate: RECOGNITION_ENGINE_CONSTANTS.PCM_SAMPLE_RATE,
+                    language: this.lang,
+                    interim_results: this.interimResults,
+                    max_alternatives: this.maxAlternatives
+                }
+            }));
+            this.startAudioPipeline();
+            this.dispatch('start');
+        };
+
+        socket.onmessage = (event) => {
+            if (socket !== this.socket) return;
+            this.handleServerMessage(event.data);
+        };
+
+        socket.onerror = () => {
+            if (socket !== this.socket) return;
+            this.dispatch('error', { error: 'network', message: 'WebSocket error' });
+        };
+
+        socket.onclose = () => {
+            if (socket !== this.socket) return;
+            this.finishSession();
+        };
+    }
+
+    /**
+     * マイク音声をPCMに変換して送信する音声処理パイプラインを構築
+     * @private
+     */
+    startAudioPipeline() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContextClass();
+        this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.processor = this.audioContext.createScriptProcessor(RECOGNITION_ENGINE_CONSTANTS.PCM_BUFFER_SIZE, 1, 1);
+
+        this.processor.onaudioprocess = (event) => {
+            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+            const input = event.inputBuffer.getChannelData(0);
+            const pcm = this.downsampleToInt16(input, this.audioContext.sampleRate);
+            this.socket.send(pcm.buffer);
+        };
+
+        this.source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    /**
+     * Float32音声を送信用サンプルレートのInt16 PCMへ変換
+     * @private
+     * @param {Float32Array} input - 入力サンプル
+     * @param {number} inputRate - 入力サンプルレート
+     * @returns {Int16Array} 変換後のPCM
+     */
+    downsampleToInt16(input, inputRate) {
+        const targetRate = RECOGNITION_ENGINE_CONSTANTS.PCM_SAMPLE_RATE;
+        const ratio = inputRate / targetRate;
+        const length = Math.floor(input.length / ratio);
+        const output = new Int16Array(length);
+
+        for (let i = 0; i < length; i++) {
+            // 区間平均で簡易ローパスをかけつつ間引く
+            const start = Math.floor(i * ratio);
+            const end = Math.min(Math.floor((i + 1) * ratio), input.length);
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += input[j];
+            }
+            const sample = Math.max(-1, Math.min(1, sum / Math.max(end - start, 1)));
+            output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+
+        return output;
+    }
+
+    /**
+     * サーバーからのJSONメッセージを結果イベントに変換
+     * @private
+     * @param {string} data - 受信データ
+     */
+    handleServerMessage(data) {
+        if (typeof data !== 'string') return;
+
+        const message = Utils.safeJsonParse(data);
+        if (!message) return;
+
+        if (message.type === 'error') {
+            this.dispatch('error', { error: message.error || 'network', message: message.message });
+            return;
+        }
+
+        // サーバー側VADの音声検出イベントはそのまま転送
+        if (RECOGNITION_ENGINE_CONSTANTS.VOICE_ACTIVITY_EVENTS.includes(message.type)) {
+            this.dispatch(message.type);
+            return;
+        }
+
+        let text = '';
+        let isFinal = false;
+
+        if (message.type === 'interim' || message.type === 'final') {
+            text = message.text || '';
+            isFinal = message.type === 'final';
+        } else if (typeof message.partial === 'string') {
+            text = message.partial;
+        } else if (typeof message.text === 'string') {
+            text = message.text;
+            isFinal = true;
+        }
+
+        if (!text.trim()) {
+            if (isFinal) {
+                this.updateSpeaking(false);
+                this.dispatch('nomatch');
+            }
+            return;
+        }
+
+        // VADイベントを送らないサーバー向けに、結果の有無から発話区間を推定
+        this.updateSpeaking(!isFinal);
+
+        if (!isFinal && !this.interimResults) return;
+
+        const alternatives = Array.isArray(message.alternatives) && message.alternatives.length > 0
+            ? message.alternatives.map(alt => ({ transcript: alt.text ?? alt.transcript, confidence: alt.confidence }))
+            : [{ transcript: text, confidence: message.confidence }];
+
+        this.dispatch('result', {
+            resultIndex: 0,
+            results: [RecognitionEngine.createResult(alternatives.slice(0, Math.max(this.maxAlternatives, 1)), isFinal)]
+        });
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+
+        this.stopAudioPipeline();
+
+        const socket = this.socket;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            // 残りの音声を確定させてから切断（Vosk互換のEOF通知）
+            socket.send(JSON.stringify({ type: 'eof', eof: 1 }));
+            this.closeTimer = setTimeout(() => {
+                if (socket === this.socket) {
+                    this.closeSocket();
+                }
+            }, RECOGNITION_ENGINE_CONSTANTS.SOCKET_CLOSE_TIMEOUT);
+        } else {
+            this.closeSocket();
+        }
+    }
+
+    abort() {
+        this.isStarted = false;
+        this.stopAudioPipeline();
+        this.closeSocket();
+    }
+
+    /**
+     * 音声処理パイプラインとマイクの解放
+     * @private
+     */
+    stopAudioPipeline() {
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.processor = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+    }
+
+    /**
+     * WebSocketの切断
+     * @private
+     */
+    closeSocket() {
+        if (this.closeTimer) {
+            clearTimeout(this.closeTimer);
+            this.closeTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+                socket.close();
+            } else {
+                this.finishSession();
+            }
+        } else {
+            this.finishSession();
+        }
+    }
+
+    /**
+     * 前のセッションの接続の破棄（イベントを発火せずに切断）
+     * @private
+     */
+    discardSocket() {
+        if (this.closeTimer) {
+            clearTimeout(this.closeTimer);
+            this.closeTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.onopen = null;
+            socket.onmessage = null;
+            socket.onerror = null;
+            socket.onclose = null;
+            if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+                socket.close();
+            }
+        }
+    }
+
+    /**
+     * 推定した発話状態の変化を speechstart / speechend として発火
+     * @private
+     * @param {boolean} isSpeaking - 発話中かどうか
+     */
+    updateSpeaking(isSpeaking) {
+        if (this.isSpeaking === isSpeaking) return;
+        this.isSpeaking = isSpeaking;
+        this.dispatch(isSpeaking ? 'speechstart' : 'speechend');
+    }
+
+    /**
+     * セッション終了処理（onend は1セッションにつき1回のみ発火）
+     * @private
+     */
+    finishSession() {
+        if (this.hasEnded) return;
+        this.hasEnded = true;
+        this.isStarted = false;
+        this.isSpeaking = false;
+
+        this.stopAudioPipeline();
+
+        this.discardSocket();
+
+        this.dispatch('end');
+    }
+}
+
+/**
+ * スクリプト再生バックエンド（テスト・デモ用）
+ * JSONで記述したタイムラインのイベントを順に発火し、マイクなしで
+ * SpeechRecognitionManagerの結果処理・Watchdog・再起動処理を再現する
+ *
+ * スクリプト形式（配列のみも可）:
+ * {
+ *   "loop": false,        // 末尾まで再生したら先頭に戻るか
+ *   "speed": 1,           // 再生速度倍率（2なら2倍速）
+ *   "events": [
+ *     { "delay": 500, "type": "interim", "text": "hello" },
+ *     { "delay": 300, "type": "final", "text": "hello world", "confidence": 0.92,
+ *       "alternatives": [{ "text": "hello word", "confidence": 0.4 }] },
+ *     { "delay": 1000, "type": "error", "error": "no-speech" },
+ *     { "delay": 0, "type": "end" }
+ *   ]
+ * }
+ *
+ * - delay: 直前のイベント（またはstart()）からの待機時間（ミリ秒）
+ * - type: start / interim / final / error / end / nomatch / soundstart / soundend / speechstart / speechend
+ * - start() 時に次のイベントが start 以外なら onstart を即座に発火する
+ * - end で onend を発火して再生を一時停止し、次の start() で続きから再開する
+ * - 末尾まで再生した後（loopなし）は無音のセッションとして開いたままになる
+ */
+class ScriptedRecognitionEngine extends RecognitionEngine {
+    constructor(options = {}) {
+        super(options);
+
+        // 再生スクリプト（未指定時は内蔵デモ）
+        this.script = ScriptedRecognitionEngine.parseScript(options.script || ScriptedRecognitionEngine.DEMO_SCRIPT);
+
+        // テスト用にタイマー関数を差し替え可能
+        this.scheduler = options.scheduler || {
+            setTimeout: (callback, delay) => setTimeout(callback, delay),
+            clearTimeout: (timerId) => clearTimeout(timerId)
+        };
+
+        // 再生状態
+        this.cursor = 0;              // 次に再生するイベント位置
+        this.timerId = null;
+        this.isStarted = false;
+        this.results = [];            // 現在のセッションの結果リスト（Web Speech API同様に累積）
+    }
+
+    static isSupported() {
+        return true;
+    }
+
+    /**
+     * スクリプトの解析と検証
+     *
+     * @param {string|Array|Object} script - JSON文字列、イベント配列、またはスクリプトオブジェクト
+     * @returns {{loop: boolean, speed: number, events: Array<Object>}} 正規化済みスクリプト
+     * @throws {Error} 形式が不正な場合
+     */
+    static parseScript(script) {
+        let parsed = script;
+        if (typeof script === 'string') {
+            parsed = JSON.parse(script);
+        }
+
+        const events = Array.isArray(parsed) ? parsed : parsed?.events;
+        if (!Array.isArray(events)) {
+            throw new Error('スクリプトにeventsが含まれていません');
+        }
+
+        const validTypes = ['start', 'interim', 'final', 'error', 'end', 'nomatch', 'soundstart', 'soundend', 'speechstart', 'speechend'];
+        events.forEach((event, index) => {
+            if (!event || !validTypes.includes(event.type)) {
+                throw new Error(`スクリプトの${index + 1}番目のイベント種別が不正です`);
+            }
+        });
+
+        const speed = Number(parsed.speed) > 0 ? Number(parsed.speed) : 1;
+
+        return {
+            loop: !!parsed.loop,
+            speed,
+            events
+        };
+    }
+
+    start() {
+        if (this.isStarted) {
+            throw new Error('recognition has already started');
+        }
+
+        this.isStarted = true;
+        this.results = [];
+
+        // 明示的なstartイベントがなければ即座にセッション開始
+        const nextEvent = this.script.events[this.cursor];
+        if (!nextEvent || nextEvent.type !== 'start') {
+            this.scheduler.setTimeout(() => {
+                if (this.isStarted) {
+                    this.dispatch('start');
+                }
+            }, 0);
+        }
+
+        this.scheduleNext();
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.endSession();
+    }
+
+    abort() {
+        this.stop();
+    }
+
+    /**
+     * 次のイベントの再生予約
+     * @private
+     */
+    scheduleNext() {
+        const { events, loop, speed } = this.script;
+
+        if (this.cursor >= events.length) {
+            if (!loop || events.length === 0) {
+                return;
+            }
+            this.cursor = 0;
+        }
+
+        const event = events[this.cursor];
+        const delay = Math.max(Number(event.delay) || 0, 0) / speed;
+
+        this.timerId = this.scheduler.setTimeout(() => {
+            this.timerId = null;
+            if (!this.isStarted) return;
+
+            this.cursor++;
+            this.playEvent(event);
+
+            if (this.isStarted) {
+                this.scheduleNext();
+            }
+        }, delay);
+    }
+
+    /**
+     * スクリプトイベントの発火
+     * @private
+     * @param {Object} event - スクリプトイベント
+     */
+    playEvent(event) {
+        switch (event.type) {
+            case 'interim':
+            case 'final':
+                this.emitResult(event);
+                break;
+            case 'error':
+                this.dispatch('error', { error: event.error || 'network', message: event.message || '' });
+                break;
+            case 'end':
+                this.endSession();
+                break;
+            default:
+                this.dispatch(event.type);
+        }
+    }
+
+    /**
+     * 結果イベントの発火
+     * Web Speech API同様、確定前の結果は末尾の1件を置き換え、確定すると次の結果に進む
+     * @private
+     * @param {Object} event - interim / final イベント
+     */
+    emitResult(event) {
+        const isFinal = event.type === 'final';
+        if (!isFinal && !this.interimResults) return;
+
+        const alternatives = [{ transcript: event.text || '', confidence: event.confidence ?? (isFinal ? 0.9 : 0) }];
+        if (Array.isArray(event.alternatives)) {
+            event.alternatives.forEach(alt => {
+                alternatives.push({ transcript: alt.text ?? alt.transcript, confidence: alt.confidence });
+            });
+        }
+
+        const result = RecognitionEngine.createResult(alternatives.slice(0, Math.max(this.maxAlternatives, 1)), isFinal);
+
+        // 末尾が未確定なら置き換え、確定済みなら追加
+        const last = this.results[this.results.length - 1];
+        if (last && !last.isFinal) {
+            this.results[this.results.length - 1] = result;
+        } else {
+            this.results.push(result);
+        }
+
+        this.dispatch('result', {
+            resultIndex: this.results.length - 1,
+            results: this.results.slice()
+        });
+    }
+
+    /**
+     * セッションの終了（再生を一時停止してonendを非同期に発火）
+     * @private
+     */
+    endSession() {
+        this.isStarted = false;
+
+        if (this.timerId) {
+            this.scheduler.clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+
+        this.scheduler.setTimeout(() => this.dispatch('end'), 0);
+    }
+}
+
+// 内蔵デモスクリプト（音声なしでのUI確認用）
+ScriptedRecognitionEngine.DEMO_SCRIPT = {
+    loop: true,
+    speed: 1,
+    events: [
+        { delay: 800, type: 'soundstart' },
+        { delay: 200, type: 'speechstart' },
+        { delay: 400, type: 'interim', text: 'hello' },
+        { delay: 400, type: 'interim', text: 'hello everyone' },
+        { delay: 500, type: 'interim', text: 'hello everyone welcome back' },
+        { delay: 600, type: 'final', text: 'hello everyone welcome back to the stream', confidence: 0.93 },
+        { delay: 700, type: 'interim', text: 'today we are' },
+        { delay: 500, type: 'interim', text: 'today we are going to play' },
+        { delay: 700, type: 'final', text: 'today we are going to play something new', confidence: 0.88 },
+        { delay: 300, type: 'speechend' },
+        { delay: 200, type: 'soundend' },
+        { delay: 3000, type: 'error', error: 'no-speech' },
+        { delay: 0, type: 'end' }
+    ]
+};
+
+/**
+ * 認識エンジンファクトリ
+ * 設定のエンジン種別からエンジンインスタンスを生成
+ */
+const RecognitionEngineFactory = {
+    // 登録済みエンジン
+    engines: {
+        webspeech: WebSpeechRecognitionEngine,
+        websocket: WebSocketRecognitionEngine,
+        scripted: ScriptedRecognitionEngine
+    },
+
+    /**
+     * エンジンの登録
+     *
+     * @param {string} type - エンジン種別
+     * @param {Function} EngineClass - RecognitionEngineを継承したクラス
+     */
+    register(type, EngineClass) {
+        this.engines[type] = EngineClass;
+    },
+
+    /**
+     * エンジンが利用可能か判定
+     *
+     * @param {string} type - エンジン種別
+     * @returns {boolean} 利用可否
+     */
+    isSupported(type) {
+        const EngineClass = this.engines[type];
+        return !!EngineClass && EngineClass.isSupported();
+    },
+
+    /**
+     * エンジンインスタンスの生成
+     * 未知の種別はデフォルトエンジンとして扱う
+     *
+     * @param {string} type - エンジン種別
+     * @param {Object} [options={}] - エンジン固有オプション（serverUrlなど）
+     * @returns {RecognitionEngine|null} エンジンインスタンス（非対応時はnull）
+     */
+    create(type, options = {}) {
+        const EngineClass = this.engines[type] || this.engines[RECOGNITION_ENGINE_CONSTANTS.DEFAULT_ENGINE];
+
+        if (!EngineClass.isSupported()) {
+            return null;
+        }
+
+        return new EngineClass(options);
+    }
+};
+
+// グローバルに公開
+window.RecognitionEngine = RecognitionEngine;
+window.ScriptedRecognitionEngine = ScriptedRecognitionEngine;
+window.RecognitionEngineFactory = RecognitionEngineFactory;
\ No newline at end of file
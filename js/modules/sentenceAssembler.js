@@ -0,0 +1,263 @@
+/**
+ * 文組み立てモジュール
+ * English Speech to Text
+ *
+ * 音声認識の確定結果（文の途中で区切られた断片）をバッファし、
+ * 句読点・発話の間・最大待機時間を基準に完全な文として確定する
+ * 表示と自動翻訳が断片ではなく文単位で行われるようにする
+ *
+ * 機能概要:
+ * - 確定結果の断片のバッファリング
+ * - 文末の句読点による確定（略語のピリオドは除外、後続の文はバッファに残す）
+ * - 発話の間（中間結果が途絶えた時間）による確定
+ * - 最大待機時間による強制確定
+ * - 確定した文への元の断片・信頼度・適用済み置換ルールの集約
+ */
+
+// 文組み立て設定定数
+const SENTENCE_ASSEMBLER_CONSTANTS = {
+    SENTENCE_END_PATTERN: /[.!?。！？]+["'”’)\]]*(?=\s|$)/g,   // 文末の句読点（閉じ引用符・括弧を含む）
+    ABBREVIATIONS: ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'u.s', 'u.k', 'a.m', 'p.m']
+};
+
+class SentenceAssembler {
+    /**
+     * @param {Object} [options={}] - オプション
+     * @param {Function} [options.onSentence] - 文が確定した時のコールバック（確定した文の情報を受け取る）
+     */
+    constructor(options = {}) {
+        this.onSentence = options.onSentence || (() => {});
+        this.config = APP_CONFIG.SPEECH_CONFIG;
+
+        // バッファ
+        this.fragments = [];      // 未確定の文を構成する断片
+        this.pendingText = '';    // 未確定の文のテキスト
+
+        // 確定タイマー
+        this.pauseTimer = null;   // 発話の間による確定
+        this.maxWaitTimer = null; // 最大待機時間による確定
+    }
+
+    /**
+     * 断片の追加
+     * 文末の句読点までを文として確定し、残りはバッファに残して次の断片を待つ
+     *
+     * @param {Object} fragment - 確定結果の断片
+     * @param {string} fragment.text - テキスト（語句置換済み）
+     * @param {string|null} [fragment.rawText] - 語句置換前のテキスト
+     * @param {Array<Object>} [fragment.appliedRules] - 適用された語句置換ルール
+     * @param {number|null} [fragment.confidence] - 信頼度
+     * @param {Array<Object>} [fragment.alternatives] - 代替候補
+     * @param {boolean} [fragment.autoCommitted] - 自動確定された断片か
+     * @param {number} [fragment.speechStartTime] - 発話開始時刻
+     * @param {number} [fragment.finalTime] - 確定結果の受信時刻
+     */
+    addFragment(fragment) {
+        const isFirstFragment = this.fragments.length === 0;
+
+        this.fragments.push({
+            timestamp: Date.now(),
+            ...fragment
+        });
+        this.pendingText = Utils.trimText(`${this.pendingText} ${fragment.text}`);
+
+        if (isFirstFragment) {
+            this.maxWaitTimer = setTimeout(() => this.flush('maxWait'), this.config.sentenceMaxWait);
+        }
+
+        this.emitCompleteSentences();
+
+        if (this.hasPending()) {
+            this.restartPauseTimer();
+        }
+    }
+
+    /**
+     * 発話の継続を通知
+     * 中間結果の受信時に呼び出し、話し続けている間は間による確定を延期する
+     */
+    noteActivity() {
+        if (this.hasPending()) {
+            this.restartPauseTimer();
+        }
+    }
+
+    /**
+     * バッファ中の断片を文として確定
+     *
+     * @param {string} reason - 確定理由（'pause', 'maxWait', 'manual'など）
+     */
+    flush(reason) {
+        if (!this.hasPending()) {
+            this.clear();
+            return;
+        }
+
+        const text = this.pendingText;
+        const fragments = this.fragments;
+
+        this.clear();
+        this.emit(text, fragments, reason);
+    }
+
+    /**
+     * バッファとタイマーの破棄（確定せずに捨てる）
+     */
+    clear() {
+        clearTimeout(this.pauseTimer);
+        clearTimeout(this.maxWaitTimer);
+        this.pauseTimer = null;
+        this.maxWaitTimer = null;
+        this.fragments = [];
+        this.pendingText = '';
+    }
+
+    /**
+     * 未確定の文があるか
+     *
+     * @returns {boolean} バッファに断片があるか
+     */
+    hasPending() {
+        return !!this.pendingText;
+    }
+
+    /**
+     * 未確定の文のテキストを取得
+     *
+     * @returns {string} バッファ中のテキスト
+     */
+    getPendingText() {
+        return this.pendingText;
+    }
+
+    /**
+     * 発話の間による確定タイマーの再設定
+     * @private
+     */
+    restartPauseTimer() {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = setTimeout(() => this.flush('pause'), this.config.sentencePauseTime);
+    }
+
+    /**
+     * 文末の句読点までを文として確定
+     * 句読点以降のテキストは最後の断片に属するものとしてバッファに残す
+     * @private
+     */
+    emitCompleteSentences() {
+        const boundary = SentenceAssembler.findLastSentenceEnd(this.pendingText);
+        if (boundary <= 0) return;
+
+        const text = this.pendingText.slice(0, boundary).trim();
+        const remainder = this.pendingText.slice(boundary).trim();
+        const fragments = this.fragments;
+        const lastFragment = fragments[fragments.length - 1];
+
+        this.clear();
+
+        // 残りを先にバッファへ戻す（コールバック内で未確定テキストを参照できるように）
+        if (remainder) {
+            this.fragments = [lastFragment];
+            this.pendingText = remainder;
+            this.maxWaitTimer = setTimeout(() => this.flush('maxWait'), this.config.sentenceMaxWait);
+        }
+
+        this.emit(text, fragments, 'punctuation');
+    }
+
+    /**
+     * 確定した文の情報を組み立ててコールバックに渡す
+     * @private
+     *
+     * @param {string} text - 文のテキスト
+     * @param {Array<Object>} fragments - 文を構成する断片
+     * @param {string} reason - 確定理由
+     */
+    emit(text, fragments, reason) {
+        // 信頼度は最も低い断片の値を採用
+        const confidences = fragments.map(fragment => fragment.confidence).filter(value => typeof value === 'number');
+        const confidence = confidences.length > 0 ? Math.min(...confidences) : null;
+
+        // 代替候補は断片がそのまま1文になった場合のみ引き継ぐ
+        const isSingleFragment = fragments.length === 1 && fragments[0].text === text;
+        const alternatives = isSingleFragment ? (fragments[0].alternatives || []) : [];
+
+        // 語句置換前のテキストと適用ルールを集約
+        const hasRawText = fragments.some(fragment => fragment.rawText);
+        const rawText = hasRawText ? fragments.map(fragment => fragment.rawText || fragment.text).join(' ') : null;
+
+        this.onSentence({
+            text,
+            rawText: isSingleFragment ? (fragments[0].rawText || null) : rawText,
+            appliedRules: SentenceAssembler.mergeAppliedRules(fragments),
+            confidence,
+            alternatives,
+            autoCommitted: fragments.some(fragment => fragment.autoCommitted),
+            speechStartTime: fragments[0].speechStartTime ?? fragments[0].timestamp,
+            finalTime: fragments[fragments.length - 1].finalTime ?? fragments[fragments.length - 1].timestamp,
+            fragments: fragments.map(fragment => ({
+                text: fragment.text,
+                rawText: fragment.rawText || null,
+                confidence: fragment.confidence ?? null,
+                autoCommitted: !!fragment.autoCommitted,
+                timestamp: fragment.timestamp,
+                speechStartTime: fragment.speechStartTime ?? null,
+                finalTime: fragment.finalTime ?? null
+            })),
+            reason
+        });
+    }
+
+    /**
+     * 断片ごとの適用済み置換ルールを集約（同じルールは適用回数を合算）
+     *
+     * @param {Array<Object>} fragments - 断片の配列
+     * @returns {Array<Object>} 集約した置換ルール
+     */
+    static mergeAppliedRules(fragments) {
+        const merged = new Map();
+
+        fragments.forEach(fragment => {
+            (fragment.appliedRules || []).forEach(rule => {
+                const existing = merged.get(rule.id);
+                if (existing) {
+                    existing.count += rule.count;
+                } else {
+                    merged.set(rule.id, { ...rule });
+                }
+            });
+        });
+
+        return [...merged.values()];
+    }
+
+    /**
+     * 最後の文末位置を検索
+     * 略語（Mr. や e.g. など）と数字の小数点は文末とみなさない
+     *
+     * @param {string} text - 対象テキスト
+     * @returns {number} 最後の文末の直後の位置（文末がなければ-1）
+     */
+    static findLastSentenceEnd(text) {
+        const pattern = new RegExp(SENTENCE_ASSEMBLER_CONSTANTS.SENTENCE_END_PATTERN.source, 'g');
+        let lastEnd = -1;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const precedingWord = text.slice(0, match.index).split(/\s+/).pop().toLowerCase();
+            const isAbbreviation = match[0].startsWith('.') && SENTENCE_ASSEMBLER_CONSTANTS.ABBREVIATIONS.includes(precedingWord);
+
+            if (!isAbbreviation) {
+                lastEnd = match.index + match[0].length;
+            }
+        }
+
+        return lastEnd;
+    }
+}
+
+// グローバルに公開（音声認識モジュールがインスタンスを保持）
+try {
+    window.SentenceAssembler = SentenceAssembler;
+} catch (error) {
+}
\ No newline at end of file
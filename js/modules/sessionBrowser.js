@@ -0,0 +1,355 @@
+/**
+ * セッション一覧モジュール
+ * English Speech to Text
+ *
+ * SessionStoreに保存されたセッションの一覧をモーダルで表示し、
+ * 再表示・名前変更・タグ付け・削除を行う
+ * 起動時に正常に終了していないセッションがあれば復元を案内する
+ *
+ * 機能概要:
+ * - 保存済みセッションの一覧（名前・タグでの絞り込み）
+ * - 名前とタグのその場編集（入力確定時に保存）
+ * - セッションの再表示・書き出し・削除
+ * - 新しいセッションの開始
+ * - 異常終了したセッションの復元案内
+ * - 記録中のセッション名の表示
+ */
+
+// セッション一覧設定定数
+const SESSION_BROWSER_CONSTANTS = {
+    TAG_SEPARATOR: /[,、]/    // タグ入力の区切り文字
+};
+
+class SessionBrowser {
+    constructor() {
+        this.elements = {};
+        this.sessions = [];           // 一覧表示中のセッション概要
+        this.recoverableSession = null; // 復元候補のセッション概要
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     */
+    initialize() {
+        this.elements = {
+            $modal: $('#sessionsModal'),
+            $search: $('#session-search'),
+            $table: $('#session-table'),
+            $tableBody: $('#session-table tbody'),
+            $emptyMessage: $('#session-empty-message'),
+            $newSessionBtn: $('#new-session-btn'),
+            $currentSessionName: $('#current-session-name'),
+            $recoveryAlert: $('#session-recovery-alert'),
+            $recoveryRestoreBtn: $('#session-recovery-restore'),
+            $recoveryDismissBtn: $('#session-recovery-dismiss')
+        };
+
+        this.elements.$modal.on('show.bs.modal', () => {
+            this.render();
+        });
+
+        this.elements.$search.on('input', Utils.debounce(() => {
+            this.renderTable();
+        }, 200));
+
+        this.elements.$newSessionBtn.on('click', () => {
+            this.startNewSession();
+        });
+
+        // 一覧の操作（再表示・削除・名前とタグの編集）
+        this.elements.$tableBody.on('click', '.session-open-btn', (e) => {
+            this.openSession($(e.currentTarget).closest('tr').attr('data-session-id'));
+        });
+
+        this.elements.$tableBody.on('click', '.session-export-btn', (e) => {
+            this.exportSession($(e.currentTarget).closest('tr').attr('data-session-id'));
+        });
+
+        this.elements.$tableBody.on('click', '.session-delete-btn', (e) => {
+            this.deleteSession($(e.currentTarget).closest('tr').attr('data-session-id'));
+        });
+
+        this.elements.$tableBody.on('change', '.session-name-input', (e) => {
+            const $input = $(e.currentTarget);
+            const name = $input.val().trim();
+            if (name) {
+                this.updateSession($input.closest('tr').attr('data-session-id'), { name });
+            }
+        });
+
+        this.elements.$tableBody.on('change', '.session-tags-input', (e) => {
+            const $input = $(e.currentTarget);
+            this.updateSession($input.closest('tr').attr('data-session-id'), {
+                tags: SessionBrowser.parseTags($input.val())
+            });
+        });
+
+        // 記録中のセッション名の表示
+        $(document).on('transcriptSessionChanged', (event, summary) => {
+            this.updateCurrentSessionName(summary);
+        });
+
+        // 異常終了したセッションの復元案内
+        $(document).on('transcriptSessionRecoverable', (event, summary) => {
+            this.showRecoveryAlert(summary);
+        });
+
+        this.elements.$recoveryRestoreBtn.on('click', () => {
+            this.restoreRecoverableSession();
+        });
+
+        this.elements.$recoveryDismissBtn.on('click', () => {
+            this.dismissRecovery();
+        });
+    }
+
+    /**
+     * セッション一覧の読み込みと描画
+     *
+     * @returns {Promise<void>}
+     */
+    async render() {
+        try {
+            this.sessions = await sessionStore.listSessions();
+        } catch (error) {
+            this.sessions = [];
+        }
+
+        this.renderTable();
+    }
+
+    /**
+     * 絞り込み条件に一致するセッションの一覧表を描画
+     */
+    renderTable() {
+        const query = this.elements.$search.val().trim().toLowerCase();
+        const sessions = this.sessions.filter(session => {
+            if (!query) return true;
+            return session.name.toLowerCase().includes(query) ||
+                   (session.tags || []).some(tag => tag.toLowerCase().includes(query));
+        });
+
+        this.elements.$tableBody.empty();
+        this.elements.$emptyMessage.toggleClass('d-none', sessions.length > 0);
+        this.elements.$table.toggleClass('d-none', sessions.length === 0);
+
+        sessions.forEach(session => {
+            this.elements.$tableBody.append(this.createSessionRow(session));
+        });
+    }
+
+    /**
+     * セッション1件分の行を構築
+     *
+     * @param {Object} session - セッション概要
+     * @returns {jQuery} 行要素
+     */
+    createSessionRow(session) {
+        const currentBadge = session.isCurrent ? '<span class="badge bg-success ms-1">記録中</span>' : '';
+        const openBadge = !session.isCurrent && session.isOpen ? '<span class="badge bg-warning text-dark ms-1" title="正常に終了していません">未終了</span>' : '';
+
+        const $row = $(`
+            <tr>
+                <td>
+                    <div class="d-flex align-items-center">
+                        <input type="text" class="form-control form-control-sm session-name-input">
+                        ${currentBadge}${openBadge}
+                    </div>
+                </td>
+                <td><input type="text" class="form-control form-control-sm session-tags-input" placeholder="例: 雑談, FPS"></td>
+                <td class="text-nowrap">${Utils.escapeHtml(new Date(session.createdAt).toLocaleString('ja-JP'))}</td>
+                <td>${session.lineCount || 0}</td>
+                <td class="small text-muted">${Utils.escapeHtml(session.language || '')}<br>${Utils.escapeHtml(session.model || '')}</td>
+                <td class="text-nowrap text-end">
+                    <button type="button" class="btn btn-outline-primary btn-sm session-open-btn" title="このセッションを表示">
+                        <i class="bi bi-box-arrow-in-right"></i> 開く
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm session-export-btn" title="このセッションを書き出し">
+                        <i class="bi bi-download"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-danger btn-sm session-delete-btn" title="このセッションを削除">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $row.attr('data-session-id', session.id);
+        $row.find('.session-name-input').val(session.name);
+        $row.find('.session-tags-input').val((session.tags || []).join(', '));
+
+        return $row;
+    }
+
+    /**
+     * セッションを開いて表示
+     *
+     * @param {string} id - セッションID
+     * @returns {Promise<void>}
+     */
+    async openSession(id) {
+        try {
+            await sessionStore.openSession(id);
+            bootstrap.Modal.getInstance(this.elements.$modal[0])?.hide();
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * セッションの書き出し
+     * モーダルの重なりを避けるため、一覧を閉じ終えてから書き出しダイアログを開く
+     *
+     * @param {string} id - セッションID
+     */
+    exportSession(id) {
+        if (!window.transcriptExporter) return;
+
+        const modal = bootstrap.Modal.getInstance(this.elements.$modal[0]);
+        if (!modal || !this.elements.$modal.hasClass('show')) {
+            window.transcriptExporter.open(id);
+            return;
+        }
+
+        this.elements.$modal.one('hidden.bs.modal', () => {
+            window.transcriptExporter.open(id);
+        });
+        modal.hide();
+    }
+
+    /**
+     * セッションの削除（確認あり）
+     *
+     * @param {string} id - セッションID
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+        const session = this.sessions.find(item => item.id === id);
+        if (!session || !confirm(`「${session.name}」を削除しますか？この操作は元に戻せません。`)) {
+            return;
+        }
+
+        try {
+            await sessionStore.deleteSession(id);
+            await this.render();
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * セッションの名前・タグの保存
+     *
+     * @param {string} id - セッションID
+     * @param {Object} updates - 更新内容（name, tags）
+     * @returns {Promise<void>}
+     */
+    async updateSession(id, updates) {
+        try {
+            await sessionStore.updateSession(id, updates);
+
+            const session = this.sessions.find(item => item.id === id);
+            if (session) {
+                Object.assign(session, updates);
+            }
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * 記録中のセッションを終了し、表示をクリアして新しいセッションを開始
+     *
+     * @returns {Promise<void>}
+     */
+    async startNewSession() {
+        if (window.uiController) {
+            await window.uiController.clearMainText();
+        }
+        await this.render();
+    }
+
+    /**
+     * 記録中のセッション名の表示更新
+     *
+     * @param {Object|null} summary - 記録中のセッション概要
+     */
+    updateCurrentSessionName(summary) {
+        this.elements.$currentSessionName
+            .text(summary ? summary.name : '')
+            .attr('title', summary ? '記録中のセッション' : '');
+    }
+
+    /**
+     * 異常終了したセッションの復元案内を表示
+     *
+     * @param {Object} summary - 復元候補のセッション概要
+     */
+    showRecoveryAlert(summary) {
+        this.recoverableSession = summary;
+
+        this.elements.$recoveryAlert.find('.session-recovery-message')
+            .text(`前回のセッション「${summary.name}」（${summary.lineCount}行）は正常に終了していません。復元しますか？`);
+        this.elements.$recoveryAlert.removeClass('d-none');
+    }
+
+    /**
+     * 復元候補のセッションを開く
+     *
+     * @returns {Promise<void>}
+     */
+    async restoreRecoverableSession() {
+        if (!this.recoverableSession) return;
+
+        const id = this.recoverableSession.id;
+        this.hideRecoveryAlert();
+        await this.openSession(id);
+    }
+
+    /**
+     * 復元せずに案内を閉じる（セッションは終了済みとして一覧に残す）
+     *
+     * @returns {Promise<void>}
+     */
+    async dismissRecovery() {
+        if (!this.recoverableSession) return;
+
+        const id = this.recoverableSession.id;
+        this.hideRecoveryAlert();
+
+        try {
+            await sessionStore.updateSession(id, { isOpen: false });
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * 復元案内の非表示
+     * @private
+     */
+    hideRecoveryAlert() {
+        this.recoverableSession = null;
+        this.elements.$recoveryAlert.addClass('d-none');
+    }
+
+    /**
+     * タグ入力の解析（カンマ・読点区切り、空と重複を除外）
+     *
+     * @param {string} value - 入力値
+     * @returns {Array<string>} タグの配列
+     */
+    static parseTags(value) {
+        const tags = (value || '').split(SESSION_BROWSER_CONSTANTS.TAG_SEPARATOR)
+            .map(tag => tag.trim())
+            .filter(Boolean);
+        return [...new Set(tags)];
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.sessionBrowser = new SessionBrowser();
+} catch (error) {
+}
\ No newline at end of file
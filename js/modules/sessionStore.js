@@ -0,0 +1,478 @@
+/**
+ * セッション保存モジュール
+ * English Speech to Text
+ *
+ * 音声認識の1回の実行（開始〜手動停止）を「セッション」としてIndexedDBに保存する
+ * 行数制限やリロードで失われる認識結果・翻訳・タイミング情報を保持し、
+ * 過去のセッションの再表示と、異常終了したセッションの復元を可能にする
+ *
+ * 機能概要:
+ * - 現在のセッションの自動保存（行の追加・更新後に遅延保存、ページ非表示時に即時保存）
+ * - セッションの一覧取得（行データを含まない概要のみを読み込み）・読み込み・名前変更・タグ付け・削除
+ * - 過去のセッションの再表示（テキスト履歴と経過時間の基準を復元）
+ * - 正常に終了していないセッションの検出（起動時の復元案内用）
+ * - 停止後に届いた認識結果の、終了したセッションへの追記（未終了のセッションを作らない）
+ */
+
+// セッション保存設定定数
+const SESSION_STORE_CONSTANTS = {
+    DB_NAME: 'english-speech-to-text',  // IndexedDBのデータベース名
+    DB_VERSION: 2,                      // データベースのバージョン
+    STORE_NAME: 'sessions',             // セッションのオブジェクトストア名
+    SUMMARY_STORE_NAME: 'sessionSummaries', // 一覧表示用のセッション概要（行データなし）のオブジェクトストア名
+    AUTOSAVE_DELAY: 2000                // 行の追加・更新から自動保存までの待機時間（ms）
+};
+
+class SessionStore {
+    constructor() {
+        this.db = null;                // IndexedDB接続
+        this.currentSession = null;    // 記録中のセッション（linesはテキスト履歴のエントリを参照）
+        this.endedSession = null;      // 直前に終了したセッション（停止後に届いた行の追記先）
+        this.autosaveTimer = null;     // 自動保存タイマー
+    }
+
+    /**
+     * データベースを開き、テキスト履歴の監視と自動保存を開始
+     * 正常に終了していないセッションがあれば復元案内のイベントを発火する
+     *
+     * @returns {Promise<boolean>} 初期化成功可否
+     */
+    async initialize() {
+        if (!SessionStore.isSupported()) {
+            return false;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+
+        $(document).on('state:textHistoryChanged', (event, entry) => {
+            this.addLine(entry);
+        });
+
+        $(document).on('state:textHistoryUpdated', () => {
+            this.scheduleAutosave();
+        });
+
+        // タブを閉じる・切り替える前に即時保存
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveCurrentSession();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.saveCurrentSession();
+        });
+
+        await this.checkRecoverableSession();
+        return true;
+    }
+
+    /**
+     * ブラウザの対応状況確認
+     *
+     * @returns {boolean} IndexedDBが利用可能か
+     */
+    static isSupported() {
+        return !!window.indexedDB;
+    }
+
+    /**
+     * データベースを開く（初回はオブジェクトストアを作成）
+     * 概要のストアがない旧バージョンからの更新時は、保存済みのセッションから概要を作成する
+     * @private
+     *
+     * @returns {Promise<IDBDatabase>} データベース接続
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_STORE_CONSTANTS.DB_NAME, SESSION_STORE_CONSTANTS.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE_CONSTANTS.STORE_NAME)) {
+                    const store = db.createObjectStore(SESSION_STORE_CONSTANTS.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+
+                if (!db.objectStoreNames.contains(SESSION_STORE_CONSTANTS.SUMMARY_STORE_NAME)) {
+                    const summaryStore = db.createObjectStore(SESSION_STORE_CONSTANTS.SUMMARY_STORE_NAME, { keyPath: 'id' });
+                    summaryStore.createIndex('updatedAt', 'updatedAt');
+
+                    request.transaction.objectStore(SESSION_STORE_CONSTANTS.STORE_NAME).openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) return;
+
+                        summaryStore.put(SessionStore.summarizeSession(cursor.value));
+                        cursor.continue();
+                    };
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * オブジェクトストアへの単一リクエストを実行
+     * @private
+     *
+     * @param {string} mode - トランザクションモード（readonly, readwrite）
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @param {string} [storeName=SESSION_STORE_CONSTANTS.STORE_NAME] - オブジェクトストア名
+     * @returns {Promise<any>} リクエストの結果
+     */
+    runRequest(mode, operation, storeName = SESSION_STORE_CONSTANTS.STORE_NAME) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('セッション保存領域が利用できません'));
+                return;
+            }
+
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * セッションと概要の同時書き込み（1つのトランザクションで行い、一覧と内容の不一致を防ぐ）
+     * @private
+     *
+     * @param {Function} operation - セッションのストアと概要のストアを受け取り、書き込みを行う関数
+     * @returns {Promise<void>}
+     */
+    runWrite(operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('セッション保存領域が利用できません'));
+                return;
+            }
+
+            const { STORE_NAME, SUMMARY_STORE_NAME } = SESSION_STORE_CONSTANTS;
+            const transaction = this.db.transaction([STORE_NAME, SUMMARY_STORE_NAME], 'readwrite');
+            operation(transaction.objectStore(STORE_NAME), transaction.objectStore(SUMMARY_STORE_NAME));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 保存用のセッションデータとその概要の書き込み
+     * @private
+     *
+     * @param {Object} record - 保存用のセッションデータ
+     * @returns {Promise<void>}
+     */
+    putSession(record) {
+        return this.runWrite((store, summaryStore) => {
+            store.put(record);
+            summaryStore.put(SessionStore.summarizeSession(record));
+        });
+    }
+
+    /**
+     * 新しいセッションの開始
+     * 認識言語・翻訳モデル・認識エンジンをセッション情報として記録
+     *
+     * @param {Object} [info={}] - セッション情報の指定（読み込んだ文字起こしなど）
+     * @param {string} [info.name] - セッション名
+     * @param {Array<string>} [info.tags] - タグ
+     * @param {string|null} [info.language] - 言語
+     * @returns {Object} 開始したセッション
+     */
+    startSession(info = {}) {
+        const now = Date.now();
+        this.endedSession = null;
+
+        this.currentSession = {
+            id: Utils.generateId('session'),
+            name: info.name || `${new Date(now).toLocaleString('ja-JP')} のセッション`,
+            tags: info.tags || [],
+            createdAt: now,
+            updatedAt: now,
+            language: info.language || stateManager.getState('config.language'),
+            model: window.geminiTranslator?.getModelName() ?? stateManager.getState('config.geminiModel'),
+            engine: stateManager.getState('config.recognitionEngine'),
+            streamStartTime: stateManager.getStreamStartTime(),
+            isOpen: true,
+            lines: []
+        };
+
+        $(document).trigger('transcriptSessionChanged', this.getCurrentSummary());
+        return this.currentSession;
+    }
+
+    /**
+     * 記録中のセッションの終了
+     * 正常終了として保存し、次の行から新しいセッションを開始する
+     * （認識の停止後に届いた行は、終了したセッションに追記する）
+     *
+     * @returns {Promise<void>}
+     */
+    async endCurrentSession() {
+        if (!this.currentSession) return;
+
+        this.currentSession.isOpen = false;
+        const hasLines = this.currentSession.lines.length > 0;
+
+        if (hasLines) {
+            await this.saveCurrentSession();
+        }
+
+        this.endedSession = this.currentSession;
+        this.currentSession = null;
+        $(document).trigger('transcriptSessionChanged', null);
+    }
+
+    /**
+     * テキスト履歴に追加された行を記録中のセッションに追加
+     * @private
+     *
+     * @param {Object} entry - テキスト履歴のエントリ
+     */
+    addLine(entry) {
+        // 停止後に届いた認識結果（停止直前の発話の確定結果・文単位の組み立て待ちの行）は、
+        // 新しいセッションを開始せず終了したセッションに追記する
+        if (!this.currentSession && this.endedSession && !stateManager.getState('recognition.isActive')) {
+            this.endedSession.lines.push(entry);
+            this.scheduleAutosave();
+            return;
+        }
+
+        if (!this.currentSession) {
+            this.startSession();
+        }
+
+        this.currentSession.lines.push(entry);
+        this.scheduleAutosave();
+    }
+
+    /**
+     * 自動保存の予約（連続する更新はまとめて保存）
+     * @private
+     */
+    scheduleAutosave() {
+        if ((!this.currentSession && !this.endedSession) || this.autosaveTimer) return;
+
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.saveCurrentSession();
+        }, SESSION_STORE_CONSTANTS.AUTOSAVE_DELAY);
+    }
+
+    /**
+     * 記録中のセッションを保存
+     * 記録中のセッションがない場合は、停止後の行の追記や翻訳の完了を反映するため直前に終了したセッションを保存する
+     *
+     * @returns {Promise<boolean>} 保存成功可否
+     */
+    async saveCurrentSession() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        const session = this.currentSession || this.endedSession;
+        if (!session || !this.db) return false;
+
+        session.updatedAt = Date.now();
+        session.streamStartTime = stateManager.getStreamStartTime();
+
+        try {
+            await this.putSession(SessionStore.serializeSession(session));
+            return true;
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 保存用のセッションデータを生成
+     * 行は保存時点の内容を複製し、一覧表示用の行数を付与
+     *
+     * @param {Object} session - セッション
+     * @returns {Object} 保存用データ
+     */
+    static serializeSession(session) {
+        return {
+            ...session,
+            lines: session.lines.map(line => ({ ...line })),
+            lineCount: session.lines.length
+        };
+    }
+
+    /**
+     * 保存用のセッションデータから一覧表示用の概要を生成（行データを除き行数を付与）
+     *
+     * @param {Object} record - 保存用のセッションデータ
+     * @returns {Object} セッション概要
+     */
+    static summarizeSession(record) {
+        const { lines = [], ...summary } = record;
+        return { ...summary, lineCount: record.lineCount ?? lines.length };
+    }
+
+    /**
+     * 保存済みセッションの一覧取得（新しい順、行データは含まない）
+     * 概要のストアのみを読み込み、各セッションの行データは読み込まない
+     *
+     * @returns {Promise<Array<Object>>} セッション概要の配列
+     */
+    async listSessions() {
+        const summaries = await this.runRequest('readonly', store => store.getAll(), SESSION_STORE_CONSTANTS.SUMMARY_STORE_NAME);
+
+        return summaries
+            .map(summary => ({
+                ...summary,
+                isCurrent: summary.id === this.currentSession?.id
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 保存済みセッションの取得
+     *
+     * @param {string} id - セッションID
+     * @returns {Promise<Object|null>} セッション（該当なしの場合はnull）
+     */
+    async getSession(id) {
+        return (await this.runRequest('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * セッション情報（名前・タグなど）の更新
+     *
+     * @param {string} id - セッションID
+     * @param {Object} updates - 更新するプロパティ（name, tags, isOpen）
+     * @returns {Promise<void>}
+     */
+    async updateSession(id, updates) {
+        if (this.currentSession?.id === id) {
+            Object.assign(this.currentSession, updates);
+            await this.saveCurrentSession();
+            $(document).trigger('transcriptSessionChanged', this.getCurrentSummary());
+            return;
+        }
+
+        // 終了したセッションは追記時の保存で変更が戻らないよう、保持している内容にも反映
+        if (this.endedSession?.id === id) {
+            Object.assign(this.endedSession, updates);
+        }
+
+        const session = await this.getSession(id);
+        if (!session) return;
+
+        await this.putSession({ ...session, ...updates });
+    }
+
+    /**
+     * セッションの削除
+     * 記録中のセッションを削除した場合は、次の行から新しいセッションを開始する
+     *
+     * @param {string} id - セッションID
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+        if (this.currentSession?.id === id) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            this.currentSession = null;
+            $(document).trigger('transcriptSessionChanged', null);
+        }
+        if (this.endedSession?.id === id) {
+            this.endedSession = null;
+        }
+
+        await this.runWrite((store, summaryStore) => {
+            store.delete(id);
+            summaryStore.delete(id);
+        });
+    }
+
+    /**
+     * 保存済みセッションを開いて記録中のセッションにする
+     * テキスト履歴と経過時間の基準を復元し、以降の認識結果はこのセッションに追記する
+     *
+     * @param {string} id - セッションID
+     * @returns {Promise<boolean>} 読み込み成功可否
+     */
+    async openSession(id) {
+        const session = await this.getSession(id);
+        if (!session) return false;
+
+        if (this.currentSession?.id !== id) {
+            await this.endCurrentSession();
+        }
+
+        const { lineCount, ...record } = session;
+        this.currentSession = { ...record, isOpen: true };
+        this.endedSession = null;
+
+        // 保存時に翻訳待ち・翻訳中だった行は未翻訳に戻す
+        this.currentSession.lines.forEach(line => {
+            if (line.translationStatus === 'pending' || line.translationStatus === 'loading') {
+                Object.assign(line, { translationStatus: 'none', partialTranslation: null, displayMode: 'original' });
+            }
+        });
+
+        // テキスト履歴はセッションの行を参照し、行の更新がセッションにも反映されるようにする
+        stateManager.replaceTextHistory(this.currentSession.lines);
+        stateManager.updateTimingState({ manualStartTime: session.streamStartTime ?? null });
+
+        await this.saveCurrentSession();
+
+        $(document).trigger('transcriptSessionOpened', this.currentSession);
+        $(document).trigger('transcriptSessionChanged', this.getCurrentSummary());
+        return true;
+    }
+
+    /**
+     * 正常に終了していないセッションの確認
+     * 最新の1件を復元候補として通知し、それより古いものは終了済みにする
+     * @private
+     *
+     * @returns {Promise<void>}
+     */
+    async checkRecoverableSession() {
+        try {
+            const openSessions = (await this.listSessions()).filter(session => session.isOpen && session.lineCount > 0);
+            if (openSessions.length === 0) return;
+
+            const [latest, ...stale] = openSessions;
+            for (const session of stale) {
+                await this.updateSession(session.id, { isOpen: false });
+            }
+
+            $(document).trigger('transcriptSessionRecoverable', latest);
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * 記録中のセッションの概要を取得
+     *
+     * @returns {Object|null} セッション概要（記録中でない場合はnull）
+     */
+    getCurrentSummary() {
+        if (!this.currentSession) return null;
+
+        const { lines, ...summary } = this.currentSession;
+        return { ...summary, lineCount: lines.length };
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.sessionStore = new SessionStore();
+} catch (error) {
+}
\ No newline at end of file
@@ -2,15 +2,18 @@
  * 音声認識モジュール
  * English Speech to Text
  * 
- * Web Speech APIを使用して英語音声をリアルタイムでテキスト化するモジュール
+ * 認識エンジン（Web Speech API、ローカル認識サーバーなど）を使用して英語音声をリアルタイムでテキスト化するモジュール
  * 自動再起動、エラー処理機能を含む
  * 
  * 機能概要:
- * - Web Speech APIを使用した英語音声認識
+ * - 設定で選択した認識エンジンによる英語音声認識
  * - セッション管理による安定した認識処理
  * - Watchdog機能による自動再起動
- * - エラーハンドリングと自動復旧
+ * - 重複セッションによるギャップレス引き継ぎ
+ * - セッション開始・終了履歴の記録（診断パネル用）
+ * - エラーハンドリングと自動復旧（指数バックオフとサーキットブレーカー）
  * - リアルタイム結果処理
+ * - 確定結果の断片の文単位への組み立て（設定で断片単位表示も選択可能）
  * - 英語音声認識対応
  */
 
@@ -24,8 +27,9 @@ const RECOGNITION_CONSTANTS = {
 
 class SpeechRecognitionManager {
     constructor() {
-        // Web Speech API認識インスタンス
+        // 認識エンジンインスタンス（RecognitionEngine互換）
         this.recognition = null;
+        this.engineType = null;           // 使用中のエンジン種別
         
         // 認識状態管理
         this.isRecognizing = false;       // 現在認識中かどうか
@@ -43,8 +47,43 @@ class SpeechRecognitionManager {
         // 重複防止
         this.processedTexts = new Set();  // 処理済みテキストの追跡
         
+        // 行ごとのタイミング情報
+        this.utteranceStartTime = null;   // 確定前の発話で最初に結果を受信した時刻（発話開始時刻）
+        
+        // 中断された中間結果の自動確定
+        this.pendingInterim = '';         // 未確定の最新中間結果
+        this.lastAutoCommit = null;       // 直近の自動確定（{ text, time }、次の確定結果との重複除去用）
+        
+        // ギャップレス引き継ぎ（重複セッション）
+        this.retiringRecognition = null;  // 引き継ぎ中に並行動作している旧インスタンス
+        this.retiringSessionId = null;    // 旧インスタンスのセッションID
+        this.handoverTimer = null;        // 旧インスタンス停止タイマー
+        this.handoverUntil = 0;           // 継ぎ目の重複除去を行う期限
+        this.lastFinal = null;            // 直近の確定結果（{ text, sessionId }、継ぎ目の重複除去用）
+        
+        // 文単位の組み立て（確定結果の断片を文にまとめてから表示）
+        this.sentenceAssembler = window.SentenceAssembler ? new SentenceAssembler({
+            onSentence: (sentence) => {
+                this.commitRecognizedText(sentence);
+                this.showPendingSentence();
+            }
+        }) : null;
+        
+        // セッション履歴（診断用）
+        this.sessionLog = [];             // 終了したセッションの記録（リングバッファ）
+        this.openSessions = new Map();    // 進行中セッションの記録（sessionId → 記録）
+        
+        // 連続失敗時のバックオフとサーキットブレーカー
+        this.consecutiveFailures = 0;     // 連続失敗回数（正常なセッションで0に戻る）
+        this.sessionHadError = false;     // 現在のセッションで失敗扱いのエラーが発生したか
+        this.restartTimer = null;         // 自動再開タイマー
+        this.circuitState = 'closed';     // closed: 通常, open: 一時停止中, probing: 再開確認中
+        this.circuitTimer = null;         // 再開確認（プローブ）タイマー
+        this.circuitOpenCount = 0;        // 連続で一時停止した回数（待機時間の延長用）
+        
         // 手動停止フラグ
         this.manualStop = false;          // 手動停止時の自動再開防止
+        this.hasLiveSession = false;      // エンジンのセッションを開始済みで終了（onend）前か
         
         // 設定の読み込み
         this.config = APP_CONFIG.SPEECH_CONFIG;
@@ -55,98 +94,150 @@ class SpeechRecognitionManager {
 
     /**
      * 音声認識の初期化
-     * Web Speech APIの利用可能性を確認し、認識インスタンスを作成
-     * ブラウザ対応チェックと基本設定を実行
+     * 設定で選択された認識エンジン（Web Speech API、WebSocketなど）の利用可能性を確認し、
+     * エンジンインスタンスを作成して基本設定を実行
      * 
      * @returns {boolean} 初期化成功可否
      */
     initializeRecognition() {
+        const engineType = stateManager.getState('config.recognitionEngine') || APP_CONFIG.DEFAULT_SETTINGS.recognitionEngine;
+        
         try {
-            // ブラウザ対応確認
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            // 選択中のエンジンを生成（非対応環境ではnull）
+            const engine = this.createRecognitionEngine(engineType);
             
-            if (!SpeechRecognition) {
+            if (!engine) {
                 stateManager.setError('SPEECH_RECOGNITION', 'NOT_SUPPORTED');
                 return false;
             }
 
-            this.recognition = new SpeechRecognition();
-            this.setupRecognitionConfig();
-            this.setupEventHandlers();
+            this.recognition = engine;
+            this.engineType = engineType;
             
             return true;
             
         } catch (error) {
-            stateManager.setError('SPEECH_RECOGNITION', 'NOT_SUPPORTED', error.message);
+            // スクリプト再生エンジンはスクリプト解析失敗として報告
+            const errorCode = engineType === 'scripted' ? 'INVALID_SCRIPT' : 'NOT_SUPPORTED';
+            stateManager.setError('SPEECH_RECOGNITION', errorCode, error.message);
             return false;
         }
     }
 
+    /**
+     * 設定済みの認識エンジンインスタンスを生成
+     * 基本設定とイベントハンドラーを適用した状態で返す（開始はしない）
+     * 
+     * @param {string} [engineType] - エンジン種別（省略時は使用中の種別）
+     * @returns {RecognitionEngine|null} エンジンインスタンス（非対応時はnull）
+     * @throws {Error} エンジン生成時のエラー（スクリプト解析失敗など）
+     */
+    createRecognitionEngine(engineType = this.engineType) {
+        const engine = RecognitionEngineFactory.create(engineType, {
+            serverUrl: stateManager.getState('config.recognitionServerUrl'),
+            script: stateManager.getState('config.recognitionScript')
+        });
+        
+        if (!engine) {
+            return null;
+        }
+        
+        this.setupRecognitionConfig(engine);
+        this.setupEventHandlers(engine);
+        
+        return engine;
+    }
+
     /**
      * 音声認識の基本設定
      * 連続認識、中間結果、最大候補数、言語などを設定
      * stateManagerから現在の言語設定を取得して適用
+     * 
+     * @param {RecognitionEngine} [engine=this.recognition] - 設定対象のエンジン
      */
-    setupRecognitionConfig() {
-        if (!this.recognition) return;
+    setupRecognitionConfig(engine = this.recognition) {
+        if (!engine) return;
 
-        this.recognition.continuous = this.config.continuous;
-        this.recognition.interimResults = this.config.interimResults;
-        this.recognition.maxAlternatives = this.config.maxAlternatives;
+        engine.continuous = this.config.continuous;
+        engine.interimResults = this.config.interimResults;
+        engine.maxAlternatives = stateManager.getState('config.maxAlternatives') || this.config.maxAlternatives;
         
         // 言語設定
         const language = stateManager.getState('config.language') || 'en-US';
-        this.recognition.lang = language;
+        engine.lang = language;
     }
 
     /**
-     * Web Speech APIイベントハンドラー設定
+     * 認識エンジンのイベントハンドラー設定
      * 認識開始・終了・結果受信・エラーなどの各イベントを処理
      * セッション管理とWatchdog機能を統合
+     * ハンドラーはインスタンスごとに設定し、引き継ぎ中は新旧インスタンスを区別する
+     * 
+     * @param {RecognitionEngine} [engine=this.recognition] - 設定対象のエンジン
      */
-    setupEventHandlers() {
-        if (!this.recognition) return;
+    setupEventHandlers(engine = this.recognition) {
+        if (!engine) return;
 
         // 音声認識開始イベント
         // セッションIDを生成し、状態管理とWatchdogを開始
-        this.recognition.onstart = () => {
+        engine.onstart = () => {
             this.isRecognizing = true;
             this.sessionId = Utils.generateId('session');
+            engine.sessionId = this.sessionId;
             this.lastResultTime = Date.now();
             this.sessionStartTime = Date.now();
             this.errorCount = 0;
+            this.sessionHadError = false;
+            this.openSessionRecord(engine);
             
             stateManager.updateRecognitionState({
                 isActive: true,
                 isListening: true,
                 sessionId: this.sessionId,
-                recognitionInstance: this.recognition
+                isSoundDetected: false,
+                isSpeechDetected: false,
+                recognitionInstance: engine
             });
             
             this.startWatchdog();
         };
 
         // 音声認識終了イベント
-        this.recognition.onend = () => {
+        engine.onend = () => {
+            this.closeSessionRecord(engine);
+            
+            // 引き継ぎ済みの旧インスタンスは後片付けのみ（再起動しない）
+            if (engine === this.retiringRecognition) {
+                this.retiringRecognition = null;
+                this.retiringSessionId = null;
+                return;
+            }
+            
+            // 置き換え済みの古いインスタンスの終了は無視
+            if (engine !== this.recognition) {
+                return;
+            }
+            
             this.isRecognizing = false;
+            this.hasLiveSession = false;
 
             // Watchdogを停止
             this.stopWatchdog();
 
-            // 手動停止でない場合は即座に再開
+            // 手動停止でない場合は再開（連続失敗中はバックオフ、一時停止中はプローブを待つ）
             if (!this.manualStop) {
+                // 確定されずに終わった中間結果を確定
+                this.commitPendingInterim();
+                
                 // 状態は維持したまま再開（テキストをクリアしない）
                 stateManager.updateRecognitionState({
                     isActive: true,
                     isListening: false
                 });
 
-                setTimeout(() => {
-                    // 重複開始を防ぐため状態チェック
-                    if (!this.isRecognizing) {
-                        this.start();
-                    }
-                }, this.config.restartDelay);
+                if (this.circuitState !== 'open') {
+                    this.scheduleRestart(this.getRestartDelay());
+                }
             } else {
                 // 手動停止の場合のみ完全リセット
                 this.resetInternalState();
@@ -160,62 +251,80 @@ class SpeechRecognitionManager {
 
         // 音声認識結果受信イベント
         // 中間結果と最終結果を処理
-        this.recognition.onresult = (event) => {
-            this.handleResult(event);
+        engine.onresult = (event) => {
+            this.handleResult(event, engine);
         };
 
         // エラーハンドリング
-        // エラーコードに応じた処理と自動再起動判定
-        this.recognition.onerror = (event) => {
+        // エラーコードに応じた処理と自動再起動判定（引き継ぎ中の旧インスタンスのエラーは無視）
+        engine.onerror = (event) => {
+            this.markSessionEnd(engine, event.error || 'error');
+            if (engine === this.retiringRecognition) return;
             this.handleError(event);
         };
 
         // 音声検出なしイベント
         // 音声は検出されたが認識可能なテキストが見つからない場合
-        this.recognition.onnomatch = () => {
-            // 現在は特別な処理なし（ログ出力のみ）
+        engine.onnomatch = () => {
+            this.updateVoiceActivity(engine, { lastNoMatchTime: Date.now() });
         };
 
         // 音声入力開始イベント
         // マイクロフォンから音声の検出開始
-        this.recognition.onsoundstart = () => {
-            // 現在は特別な処理なし（将来的にUI状態更新など）
+        engine.onsoundstart = () => {
+            this.updateVoiceActivity(engine, { isSoundDetected: true });
         };
 
         // 音声入力終了イベント
-        // マイクロフォンからの音声検出終了
-        this.recognition.onsoundend = () => {
-            // 現在は特別な処理なし（将来的にUI状態更新など）
+        // マイクロフォンからの音声検出終了（発話も同時に終了扱い）
+        engine.onsoundend = () => {
+            this.updateVoiceActivity(engine, { isSoundDetected: false, isSpeechDetected: false });
         };
 
         // 発話開始イベント
         // 認識可能な音声の開始検出
-        this.recognition.onspeechstart = () => {
-            // 現在は特別な処理なし（将来的にリアルタイム状態表示など）
+        engine.onspeechstart = () => {
+            this.updateVoiceActivity(engine, { isSpeechDetected: true });
         };
 
         // 発話終了イベント
         // 認識可能な音声の終了検出
-        this.recognition.onspeechend = () => {
-            // 現在は特別な処理なし（将来的にリアルタイム状態表示など）
+        engine.onspeechend = () => {
+            this.updateVoiceActivity(engine, { isSpeechDetected: false });
         };
     }
 
+    /**
+     * 音声検出状態の更新
+     * 引き継ぎ中の旧インスタンスや置き換え済みインスタンスからのイベントは無視
+     * @private
+     * 
+     * @param {RecognitionEngine} engine - イベントを送信したエンジン
+     * @param {Object} updates - 更新する音声検出状態
+     */
+    updateVoiceActivity(engine, updates) {
+        if (engine !== this.recognition) return;
+        
+        stateManager.updateRecognitionState(updates);
+    }
+
     /**
      * 音声認識結果処理
-     * Web Speech APIから受信した認識結果を処理
+     * 認識エンジンから受信した認識結果を処理
      * 中間結果（リアルタイム）と最終結果を分離して処理
      * セッション管理により古いセッションからの結果を無視
+     * 引き継ぎ中は新旧両セッションの確定結果を受け付け、継ぎ目の重複を除去して統合
      * 
      * @param {SpeechRecognitionEvent} event - 音声認識結果イベント
+     * @param {RecognitionEngine} [engine=this.recognition] - 結果を送信したエンジン
      */
-    handleResult(event) {
+    handleResult(event, engine = this.recognition) {
         try {
-            const currentSessionId = this.sessionId;
-            this.lastResultTime = Date.now();
+            const resultSessionId = engine?.sessionId ?? this.sessionId;
             
             let interimTranscript = '';
             let finalTranscript = '';
+            const finalResults = [];
             
             // 結果を処理
             for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -224,50 +333,163 @@ class SpeechRecognitionManager {
                 
                 if (result.isFinal) {
                     finalTranscript += transcript;
+                    finalResults.push(result);
                 } else {
                     interimTranscript += transcript;
                 }
             }
             
-            // セッション確認（Watchdog対策）
-            if (currentSessionId !== this.sessionId) {
+            // セッション確認（Watchdog対策、引き継ぎ中は旧セッションも受け付け）
+            if (resultSessionId !== this.sessionId && resultSessionId !== this.retiringSessionId) {
                 return;
             }
             
-            // 状態更新
+            // 結果を受信できたセッションは正常とみなす
+            this.markSessionHealthy();
+            
+            const now = Date.now();
+            this.lastResultTime = now;
+            
+            // 引き継ぎ中の旧セッションは確定結果のみ採用（中間結果は新セッションで表示）
+            const isRetiring = resultSessionId === this.retiringSessionId;
+            if (isRetiring) {
+                interimTranscript = '';
+            }
+            
+            // 発話の最初の結果を受信した時刻を発話開始時刻として記録
+            const speechStartTime = this.utteranceStartTime ?? now;
+            if (finalTranscript) {
+                this.utteranceStartTime = interimTranscript ? now : null;
+            } else if (interimTranscript) {
+                this.utteranceStartTime = speechStartTime;
+            }
+            
+            // 未確定の中間結果を記録（再起動時の自動確定用）
             if (interimTranscript) {
+                this.pendingInterim = interimTranscript;
+            } else if (finalTranscript && !isRetiring) {
+                this.pendingInterim = '';
+            }
+            
+            // 状態更新（中間結果は表示用に置換を適用、自動確定用には元のテキストを保持）
+            if (interimTranscript) {
+                let displayInterim = this.applyReplacements(interimTranscript).text;
+                
+                // 文単位モードでは未確定の文に続けて表示し、話し続けている間は文の確定を延期
+                if (this.isSentenceMode() && this.sentenceAssembler.hasPending()) {
+                    this.sentenceAssembler.noteActivity();
+                    displayInterim = `${this.sentenceAssembler.getPendingText()} ${displayInterim}`;
+                }
+                
                 stateManager.updateRecognitionState({
-                    interimText: interimTranscript,
-                    currentText: finalTranscript + interimTranscript
+                    interimText: displayInterim,
+                    currentText: finalTranscript + displayInterim
                 });
                 
                 // UIに中間結果を通知
                 $(document).trigger('interimTextRecognized', {
-                    text: interimTranscript
+                    text: displayInterim
                 });
             }
             
             if (finalTranscript) {
-                this.processFinalResult(finalTranscript);
+                let mergedTranscript = finalTranscript;
+                
+                // 引き継ぎの継ぎ目：別セッションの直前の確定結果と重なる単語を除去
+                if (Date.now() < this.handoverUntil && this.lastFinal && this.lastFinal.sessionId !== resultSessionId) {
+                    mergedTranscript = this.trimOverlap(this.lastFinal.text, finalTranscript);
+                }
+                
+                this.lastFinal = {
+                    text: finalTranscript,
+                    sessionId: resultSessionId
+                };
+                
+                const sessionRecord = this.openSessions.get(resultSessionId);
+                if (sessionRecord) {
+                    sessionRecord.finals++;
+                }
+                
+                if (mergedTranscript) {
+                    this.processFinalResult(mergedTranscript, {
+                        ...this.extractAlternatives(finalResults),
+                        speechStartTime,
+                        finalTime: now
+                    });
+                }
             }
             
         } catch (error) {
         }
     }
 
+    /**
+     * 確定結果から信頼度と代替候補を抽出
+     * 複数の確定結果が同時に届いた場合は候補を順位ごとに連結し、
+     * 信頼度は最も低い区間の値を採用（一部でも怪しければ低信頼度として扱う）
+     * 
+     * @param {Array<SpeechRecognitionResult>} finalResults - 確定結果の配列
+     * @returns {{confidence: number|null, alternatives: Array<{text: string, confidence: number|null}>}} 信頼度と代替候補
+     */
+    extractAlternatives(finalResults) {
+        const toConfidence = (value) => (typeof value === 'number' && value > 0 ? value : null);
+        
+        // 信頼度（0は「不明」としてエンジンが返すため除外）
+        const confidences = finalResults.map(result => toConfidence(result[0]?.confidence)).filter(value => value !== null);
+        const confidence = confidences.length > 0 ? Math.min(...confidences) : null;
+        
+        // 第2候補以降を順位ごとに連結
+        const maxCount = Math.max(...finalResults.map(result => result.length));
+        const alternatives = [];
+        
+        for (let rank = 1; rank < maxCount; rank++) {
+            const parts = finalResults.map(result => (result[rank] || result[0]).transcript);
+            const rankConfidences = finalResults
+                .map(result => toConfidence(result[rank]?.confidence))
+                .filter(value => value !== null);
+            const text = Utils.trimText(parts.join(''));
+            
+            if (text) {
+                alternatives.push({
+                    text,
+                    confidence: rankConfidences.length > 0 ? Math.min(...rankConfidences) : null
+                });
+            }
+        }
+        
+        return { confidence, alternatives };
+    }
+
     /**
      * 最終認識結果の処理
      * 確定したテキストをクリーニングして処理
-     * テキスト履歴への追加とUI更新イベントを発火
+     * 文単位モードでは文の組み立てに渡し、断片単位モードでは直ちにテキスト履歴へ追加
      * 
      * @param {string} text - 認識された最終テキスト
+     * @param {Object} [recognitionInfo={}] - 認識の付加情報
+     * @param {number|null} [recognitionInfo.confidence] - 信頼度（0〜1、不明時はnull）
+     * @param {Array<{text: string, confidence: number|null}>} [recognitionInfo.alternatives] - 代替候補
+     * @param {boolean} [recognitionInfo.autoCommitted] - 中断された中間結果を自動確定したものか
+     * @param {number} [recognitionInfo.speechStartTime] - 発話開始時刻（最初の結果の受信時刻）
+     * @param {number} [recognitionInfo.finalTime] - 確定結果の受信時刻
      * @returns {Promise<void>}
      */
-    async processFinalResult(text) {
+    async processFinalResult(text, recognitionInfo = {}) {
         try {
             let trimmedText = Utils.trimText(text);
             if (!trimmedText) return;
             
+            // 自動確定直後の確定結果は、自動確定済みの部分と重なる先頭を除去
+            if (!recognitionInfo.autoCommitted && this.lastAutoCommit) {
+                const { text: committedText, time } = this.lastAutoCommit;
+                this.lastAutoCommit = null;
+                
+                if (Date.now() - time <= this.config.autoCommitOverlapWindow) {
+                    trimmedText = this.trimOverlap(committedText, trimmedText);
+                    if (!trimmedText) return;
+                }
+            }
+            
             // 重複処理チェック：同じテキストを短時間で複数回処理しない
             if (this.processedTexts.has(trimmedText)) {
                 return;
@@ -279,27 +501,208 @@ class SpeechRecognitionManager {
                 this.processedTexts.delete(trimmedText);
             }, this.config.duplicateCheckTimeout);
             
-            // テキスト履歴に追加
-            stateManager.addTextHistory({
-                originalText: trimmedText,
-                language: stateManager.getState('config.language')
-            });
+            // 語句置換ルールを適用（元の認識結果はrawTextとして保持）
+            const rawText = trimmedText;
+            const { text: replacedText, appliedRules } = this.applyReplacements(rawText);
+            trimmedText = replacedText;
+            if (!trimmedText) return;
             
-            // 状態更新
-            stateManager.updateRecognitionState({
-                finalText: trimmedText,
-                currentText: trimmedText
-            });
+            // 代替候補にも置換を適用し、確定テキストと同じ候補は除外
+            const alternatives = (recognitionInfo.alternatives || [])
+                .map(alt => ({ ...alt, text: this.applyReplacements(alt.text).text }))
+                .filter(alt => alt.text && alt.text !== trimmedText);
+            const fragment = {
+                text: trimmedText,
+                rawText: rawText !== trimmedText ? rawText : null,
+                appliedRules,
+                confidence: recognitionInfo.confidence ?? null,
+                alternatives,
+                autoCommitted: !!recognitionInfo.autoCommitted,
+                speechStartTime: recognitionInfo.speechStartTime ?? Date.now(),
+                finalTime: recognitionInfo.finalTime ?? Date.now()
+            };
             
-            // UIに表示を通知
-            $(document).trigger('textRecognized', {
-                text: trimmedText
-            });
+            // 文単位モードでは断片をバッファし、文として確定してから表示
+            if (this.isSentenceMode()) {
+                this.sentenceAssembler.addFragment(fragment);
+                this.showPendingSentence();
+                return;
+            }
+            
+            // 断片単位モードに切り替えられた場合は未確定の文を先に確定
+            this.sentenceAssembler?.flush('modeChange');
+            this.commitRecognizedText(fragment);
             
         } catch (error) {
         }
     }
 
+    /**
+     * 確定テキストの履歴追加と表示通知
+     * 断片単位モードでは確定結果ごと、文単位モードでは組み立てた文ごとに呼び出す
+     * 
+     * @param {Object} data - 確定テキストの情報
+     * @param {string} data.text - テキスト（語句置換済み）
+     * @param {string|null} [data.rawText] - 語句置換前のテキスト
+     * @param {Array<Object>} [data.appliedRules] - 適用された語句置換ルール
+     * @param {number|null} [data.confidence] - 信頼度
+     * @param {Array<Object>} [data.alternatives] - 代替候補
+     * @param {boolean} [data.autoCommitted] - 自動確定を含むか
+     * @param {Array<Object>} [data.fragments] - 文を構成する元の断片（文単位モードのみ）
+     * @param {number} data.speechStartTime - 発話開始時刻
+     * @param {number} data.finalTime - 確定結果の受信時刻
+     */
+    commitRecognizedText(data) {
+        const { text, rawText = null, appliedRules = [], confidence = null, alternatives = [], autoCommitted = false, fragments = null } = data;
+        const { speechStartTime, finalTime } = data;
+        
+        // テキスト履歴に追加（表示時刻renderTimeは描画時にUIコントローラーが記録）
+        const entry = stateManager.addTextHistory({
+            originalText: text,
+            rawText,
+            appliedRules,
+            language: stateManager.getState('config.language'),
+            confidence,
+            alternatives,
+            autoCommitted,
+            fragments,
+            speechStartTime,
+            finalTime,
+            renderTime: null,
+            offset: stateManager.getStreamOffset(speechStartTime)
+        });
+        
+        // 状態更新
+        stateManager.updateRecognitionState({
+            finalText: text,
+            currentText: text
+        });
+        
+        // UIに表示を通知
+        $(document).trigger('textRecognized', {
+            id: entry.id,
+            text,
+            confidence,
+            alternatives,
+            autoCommitted,
+            rawText,
+            appliedRules,
+            fragments,
+            speechStartTime,
+            offset: entry.offset
+        });
+    }
+
+    /**
+     * 文単位モードで組み立て中の文を使用するか
+     * 
+     * @returns {boolean} 文単位モードか
+     */
+    isSentenceMode() {
+        return !!this.sentenceAssembler && stateManager.getState('config.segmentationMode') === 'sentence';
+    }
+
+    /**
+     * 組み立て中（未確定）の文を中間結果として表示
+     * 確定結果がバッファされても画面から発話が消えないようにする
+     */
+    showPendingSentence() {
+        if (!this.sentenceAssembler?.hasPending()) return;
+        
+        const pendingText = this.sentenceAssembler.getPendingText();
+        
+        stateManager.updateRecognitionState({
+            interimText: pendingText
+        });
+        
+        $(document).trigger('interimTextRecognized', {
+            text: pendingText
+        });
+    }
+
+    /**
+     * 語句置換ルールの適用
+     * 置換モジュールが読み込まれていない場合はそのまま返す
+     * 
+     * @param {string} text - 認識テキスト
+     * @returns {{text: string, appliedRules: Array<Object>}} 置換後のテキストと適用されたルール
+     */
+    applyReplacements(text) {
+        if (!window.phraseReplacer) {
+            return { text, appliedRules: [] };
+        }
+        return phraseReplacer.apply(text);
+    }
+
+    /**
+     * 未確定の中間結果を最終結果として確定
+     * Watchdogによる再起動やセッション終了で中断された発話を失わないよう、
+     * 最後の中間結果を「自動確定」として履歴に追加する
+     */
+    commitPendingInterim() {
+        const text = Utils.trimText(this.pendingInterim || '');
+        this.pendingInterim = '';
+        
+        if (!text) {
+            return;
+        }
+        
+        const now = Date.now();
+        this.processFinalResult(text, {
+            autoCommitted: true,
+            speechStartTime: this.utteranceStartTime ?? now,
+            finalTime: now
+        });
+        this.utteranceStartTime = null;
+        
+        // 次セッションの最初の確定結果と重複除去するために記録
+        this.lastAutoCommit = {
+            text,
+            time: Date.now()
+        };
+    }
+
+    /**
+     * 前のテキストと重なる先頭部分を後続テキストから除去
+     * 単語単位（大文字小文字・句読点を無視）で比較し、
+     * 後続テキストが前のテキストに含まれる場合は空文字列を返す
+     * 
+     * @param {string} previousText - 先に確定したテキスト
+     * @param {string} nextText - 後続のテキスト
+     * @returns {string} 重複を除いた後続テキスト
+     */
+    trimOverlap(previousText, nextText) {
+        const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const previousWords = previousText.split(/\s+/).filter(Boolean).map(normalize);
+        const nextRawWords = nextText.split(/\s+/).filter(Boolean);
+        const nextWords = nextRawWords.map(normalize);
+        
+        if (previousWords.length === 0 || nextWords.length === 0) {
+            return nextText;
+        }
+        
+        // 後続テキストが前のテキストにそのまま含まれる場合は全体が重複
+        const previousJoined = ` ${previousWords.join(' ')} `;
+        if (previousJoined.includes(` ${nextWords.join(' ')} `)) {
+            return '';
+        }
+        
+        // 前のテキストの末尾と後続テキストの先頭が一致する最長の重なりを探す
+        // （1語だけの一致は偶然の可能性が高いため、前のテキストが1語の場合のみ採用）
+        const minOverlap = previousWords.length === 1 ? 1 : 2;
+        const maxOverlap = Math.min(previousWords.length, nextWords.length);
+        
+        for (let length = maxOverlap; length >= minOverlap; length--) {
+            const tail = previousWords.slice(previousWords.length - length).join(' ');
+            const head = nextWords.slice(0, length).join(' ');
+            if (tail === head) {
+                return nextRawWords.slice(length).join(' ');
+            }
+        }
+        
+        return nextText;
+    }
+
     /**
      * 音声認識エラーハンドリング
      * エラーコードに応じた適切な処理と自動復旧機能
@@ -326,14 +729,25 @@ class SpeechRecognitionManager {
             return;
         }
 
-        // 一定回数以上エラーが発生した場合は停止
-        if (this.errorCount >= this.config.maxErrorCount) {
-            this.stop();
+        // 無音・自発的な中断は失敗として数えない
+        // （onendイベントで通常どおり自動再開される）
+        if (this.shouldAutoRestart(event.error)) {
             return;
         }
 
-        // 通常のエラーは無視して認識を継続
-        // 音声認識が自然に終了した場合、onendイベントで自動再開される
+        // 連続失敗として記録（1セッションにつき1回）
+        if (!this.sessionHadError) {
+            this.sessionHadError = true;
+            this.consecutiveFailures++;
+            stateManager.updateRecognitionState({
+                consecutiveFailures: this.consecutiveFailures
+            });
+        }
+
+        // 連続失敗が上限に達した場合、またはプローブが失敗した場合は一時停止
+        if (this.consecutiveFailures >= this.config.maxErrorCount || this.circuitState === 'probing') {
+            this.openCircuit(event.error || 'unknown');
+        }
     }
 
     /**
@@ -357,19 +771,163 @@ class SpeechRecognitionManager {
     }
 
     /**
-     * エラー種別による自動再起動可否判定
-     * 一時的なエラー（音声なし、中断、音声キャプチャ）は再起動対象
-     * 権限エラーやネットワークエラーは再起動しない
+     * エラー種別による即時再起動可否判定
+     * 無音（no-speech）と中断（aborted）は通常の終了と同じく即時再起動
+     * ネットワークや音声キャプチャなどのエラーは失敗として数え、バックオフ後に再起動
      * 
      * @param {string} error - エラーコード
-     * @returns {boolean} 再起動可否
+     * @returns {boolean} 即時再起動可否
      */
     shouldAutoRestart(error) {
-        const restartableErrors = ['no-speech', 'aborted', 'audio-capture', 'timeout'];
+        const restartableErrors = ['no-speech', 'aborted'];
         // エラーコードが未定義の場合も再起動対象とする
         return !error || restartableErrors.includes(error);
     }
 
+    /**
+     * 次の自動再開までの待機時間を算出
+     * 連続失敗がなければrestartDelay、失敗中は指数バックオフにジッターを加えた値
+     * （backoffBaseDelay × 2^(失敗回数-1)、上限backoffMaxDelay、±backoffJitterの揺らぎ）
+     * 
+     * @returns {number} 待機時間（ms）
+     */
+    getRestartDelay() {
+        if (this.consecutiveFailures === 0) {
+            return this.config.restartDelay;
+        }
+        
+        const exponential = this.config.backoffBaseDelay * Math.pow(2, this.consecutiveFailures - 1);
+        const capped = Math.min(exponential, this.config.backoffMaxDelay);
+        const jitter = 1 + (Math.random() * 2 - 1) * this.config.backoffJitter;
+        
+        return Math.round(capped * jitter);
+    }
+
+    /**
+     * 自動再開の予約
+     * 待機中の再開予約は置き換え、手動停止時にキャンセルできるよう保持する
+     * @private
+     * 
+     * @param {number} delay - 待機時間（ms）
+     */
+    scheduleRestart(delay) {
+        this.cancelScheduledRestart();
+        
+        stateManager.updateRecognitionState({
+            nextRetryTime: delay > this.config.restartDelay ? Date.now() + delay : 0
+        });
+        
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            // 重複開始を防ぐため状態チェック
+            if (!this.isRecognizing) {
+                this.start();
+            }
+        }, delay);
+    }
+
+    /**
+     * 自動再開予約のキャンセル
+     * @private
+     */
+    cancelScheduledRestart() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+    }
+
+    /**
+     * 正常なセッションの記録
+     * 結果の受信、またはエラーなしでstableSessionTime継続したセッションで呼び出し
+     * 連続失敗回数をリセットし、プローブ中であれば一時停止を解除する
+     * @private
+     */
+    markSessionHealthy() {
+        if (this.sessionHadError) return;
+        
+        if (this.circuitState === 'probing') {
+            this.closeCircuit();
+        } else if (this.consecutiveFailures > 0) {
+            this.consecutiveFailures = 0;
+            stateManager.updateRecognitionState({
+                consecutiveFailures: 0,
+                nextRetryTime: 0
+            });
+        }
+    }
+
+    /**
+     * サーキットブレーカーの作動（自動再開の一時停止）
+     * 待機後にプローブとして1セッションだけ開始し、成功すれば通常動作に戻る
+     * 待機時間は一時停止が続くたびに倍増（上限circuitBreakerMaxCooldown）
+     * @private
+     * 
+     * @param {string} error - 一時停止の原因となったエラーコード
+     */
+    openCircuit(error) {
+        this.cancelScheduledRestart();
+        clearTimeout(this.circuitTimer);
+        
+        this.circuitState = 'open';
+        this.circuitOpenCount++;
+        
+        const cooldown = Math.min(
+            this.config.circuitBreakerCooldown * Math.pow(2, this.circuitOpenCount - 1),
+            this.config.circuitBreakerMaxCooldown
+        );
+        const nextRetryTime = Date.now() + cooldown;
+        
+        this.circuitTimer = setTimeout(() => {
+            this.circuitTimer = null;
+            this.probeCircuit();
+        }, cooldown);
+        
+        stateManager.updateRecognitionState({
+            circuitState: 'open',
+            circuitReason: error,
+            nextRetryTime
+        });
+        
+        stateManager.setError('SPEECH_RECOGNITION', 'CIRCUIT_OPEN',
+            `${error}: ${this.consecutiveFailures}回連続で失敗、${Math.round(cooldown / 1000)}秒後に再試行`);
+    }
+
+    /**
+     * 一時停止後のプローブセッション開始
+     * @private
+     */
+    probeCircuit() {
+        this.circuitState = 'probing';
+        stateManager.updateRecognitionState({
+            circuitState: 'probing',
+            nextRetryTime: 0
+        });
+        
+        this.start();
+    }
+
+    /**
+     * サーキットブレーカーの解除（通常動作へ復帰）
+     * プローブ成功時と手動停止時に呼び出し、失敗回数も含めてリセットする
+     * @private
+     */
+    closeCircuit() {
+        clearTimeout(this.circuitTimer);
+        this.circuitTimer = null;
+        
+        this.circuitState = 'closed';
+        this.circuitOpenCount = 0;
+        this.consecutiveFailures = 0;
+        
+        stateManager.updateRecognitionState({
+            circuitState: 'closed',
+            circuitReason: null,
+            consecutiveFailures: 0,
+            nextRetryTime: 0
+        });
+    }
+
     /**
      * Watchdog機能の開始
      * 定期的に最後の結果受信時刻と絶対時間をチェックし、タイムアウト時に自動再起動
@@ -386,16 +944,101 @@ class SpeechRecognitionManager {
             const timeSinceLastResult = now - this.lastResultTime;
             const timeSinceSessionStart = now - this.sessionStartTime;
             
+            // エラーなしで一定時間継続したセッションは正常とみなす
+            if (!this.sessionHadError && timeSinceSessionStart >= this.config.stableSessionTime) {
+                this.markSessionHealthy();
+            }
+            
             // 2つの条件でタイムアウト判定し、自動再開
             const isResultTimeout = timeSinceLastResult > this.config.deadTime;
             const isSessionTimeout = timeSinceSessionStart > this.config.maxSessionTime;
             
-            if (isResultTimeout || isSessionTimeout) {
-                this.safeRestart();
+            // ギャップレス引き継ぎ：最大セッション時間の少し前に次のインスタンスを起動
+            // （無音によるタイムアウトは取りこぼす発話がないため通常の再起動）
+            const isHandoverDue = this.isHandoverEnabled() && !this.retiringRecognition &&
+                                  timeSinceSessionStart > this.config.maxSessionTime - this.config.handoverLeadTime;
+            
+            if (isResultTimeout) {
+                this.safeRestart('deadTime');
+            } else if (isHandoverDue) {
+                this.beginHandover();
+            } else if (isSessionTimeout && !this.retiringRecognition) {
+                this.safeRestart('maxSessionTime');
             }
         }, this.config.watchdogInterval);
     }
 
+    /**
+     * ギャップレス引き継ぎが有効か判定
+     * 
+     * @returns {boolean} 引き継ぎモード有効フラグ
+     */
+    isHandoverEnabled() {
+        return !!stateManager.getState('config.gaplessHandover');
+    }
+
+    /**
+     * 重複セッションによるギャップレス引き継ぎ
+     * 新しいインスタンスを先に起動し、handoverOverlap後に旧インスタンスを停止する
+     * 重複期間中は両方の確定結果をhandleResultで統合し、継ぎ目の重複単語を除去
+     * 新インスタンスの生成に失敗した場合は通常の再起動にフォールバック
+     */
+    beginHandover() {
+        try {
+            const previous = this.recognition;
+            const next = this.createRecognitionEngine();
+            
+            if (!previous || !next) {
+                this.safeRestart('maxSessionTime');
+                return;
+            }
+            
+            // 旧インスタンスを引き継ぎ中として保持し、新インスタンスを現行に
+            this.markSessionEnd(previous, 'handover');
+            this.retiringRecognition = previous;
+            this.retiringSessionId = previous.sessionId || this.sessionId;
+            this.recognition = next;
+            this.handoverUntil = Date.now() + this.config.handoverOverlap + this.config.handoverSeamWindow;
+            
+            this.hasLiveSession = true;
+            next.start();
+            
+            // 重複期間の経過後に旧インスタンスを停止（停止時に残りの発話が確定される）
+            this.handoverTimer = setTimeout(() => {
+                this.handoverTimer = null;
+                try {
+                    previous.stop();
+                } catch (e) {
+                    // 停止エラーは無視（既に停止している可能性）
+                }
+            }, this.config.handoverOverlap);
+            
+        } catch (error) {
+            this.safeRestart('maxSessionTime');
+        }
+    }
+
+    /**
+     * 引き継ぎ中の旧インスタンスを即時停止
+     * @private
+     */
+    abortHandover() {
+        if (this.handoverTimer) {
+            clearTimeout(this.handoverTimer);
+            this.handoverTimer = null;
+        }
+        
+        if (this.retiringRecognition) {
+            try {
+                this.retiringRecognition.stop();
+            } catch (e) {
+                // 停止エラーは無視（既に停止している可能性）
+            }
+            this.retiringRecognition = null;
+            this.retiringSessionId = null;
+        }
+    }
+
     /**
      * Watchdogタイマーの停止とクリア
      * 音声認識終了時や手動停止時に呼び出される
@@ -412,6 +1055,9 @@ class SpeechRecognitionManager {
      * @private
      */
     forceStopRecognition() {
+        // 引き継ぎ中の旧インスタンスも停止
+        this.abortHandover();
+        
         try {
             if (this.recognition) {
                 this.recognition.stop();
@@ -438,7 +1084,9 @@ class SpeechRecognitionManager {
     resetStateManagerState(clearTexts = false) {
         const stateUpdate = {
             isActive: false,
-            isListening: false
+            isListening: false,
+            isSoundDetected: false,
+            isSpeechDetected: false
         };
         
         if (clearTexts) {
@@ -506,6 +1154,11 @@ class SpeechRecognitionManager {
             // 状態を確実にリセット
             this.resetInternalState();
             
+            // 最初の開始時刻を経過時間の基準として記録（配信開始時刻の指定がない場合に使用）
+            if (stateManager.getState('timing.recognitionStartTime') === null) {
+                stateManager.updateTimingState({ recognitionStartTime: Date.now() });
+            }
+            
             // 前の認識が完全に終了するまで待機
             setTimeout(() => {
                 try {
@@ -518,10 +1171,12 @@ class SpeechRecognitionManager {
                     const language = stateManager.getState('config.language') || 'en-US';
                     this.recognition.lang = language;
 
+                    this.hasLiveSession = true;
                     this.recognition.start();
                 } catch (error) {
                     // 既開始エラーは無視、その他のエラーのみ報告
                     if (!error.message.includes('already started')) {
+                        this.hasLiveSession = false;
                         this.resetInternalState();
                         stateManager.setError('SPEECH_RECOGNITION', 'ABORTED', error.message);
                     }
@@ -551,8 +1206,17 @@ class SpeechRecognitionManager {
                 return true;
             }
             
-            // 手動停止フラグを設定
-            this.manualStop = true;
+            // 手動停止フラグを設定（onendで解除するため、終了済みの再接続待機中・一時停止中は設定しない）
+            this.manualStop = this.hasLiveSession;
+            this.markSessionEnd(this.recognition, 'manual');
+            
+            // 待機中の自動再開と一時停止を解除
+            this.cancelScheduledRestart();
+            this.closeCircuit();
+            
+            // 話し途中の中間結果と組み立て中の文を確定
+            this.commitPendingInterim();
+            this.sentenceAssembler?.flush('manual');
             
             // 状態をリセット
             this.performFullReset(true);
@@ -578,11 +1242,17 @@ class SpeechRecognitionManager {
      * 現在の状態を保存してから一旦停止し、設定遅延後に再開
      * 言語設定の引き継ぎと状態復旧を保証
      * Watchdogタイムアウトや一時的エラーからの復旧に使用
+     * 
+     * @param {string} [reason='restart'] - 再起動理由（セッション履歴に記録）
      */
-    safeRestart() {
+    safeRestart(reason = 'restart') {
         try {
             
             const currentLanguage = stateManager.getState('config.language');
+            this.markSessionEnd(this.recognition, reason);
+            
+            // 再起動で失われる中間結果を確定
+            this.commitPendingInterim();
             
             // 強制的に状態をクリア
             this.performFullReset(true);
@@ -626,6 +1296,7 @@ class SpeechRecognitionManager {
             
             // 認識中の場合は一旦停止
             if (wasRecognizing) {
+                this.markSessionEnd(this.recognition, 'languageChange');
                 this.stop();
             }
             
@@ -649,6 +1320,171 @@ class SpeechRecognitionManager {
     }
 
 
+    /**
+     * 認識エンジンの切り替え
+     * 認識中の場合は一旦停止し、新しいエンジンで再初期化してから再開
+     * 
+     * @param {string} engineType - エンジン種別（webspeech, websocket, scripted）
+     * @returns {boolean} 切り替え成功可否
+     */
+    changeEngine(engineType) {
+        try {
+            const wasRecognizing = this.isRecognizing;
+            
+            // 認識中の場合は一旦停止
+            if (wasRecognizing) {
+                this.markSessionEnd(this.recognition, 'engineChange');
+                this.stop();
+            }
+            
+            // 旧エンジンを解放して新しいエンジンで再初期化
+            // （旧エンジンのonendは発火しないため手動停止フラグもここで戻す）
+            this.releaseRecognition();
+            this.manualStop = false;
+            stateManager.setState('config.recognitionEngine', engineType);
+            const success = this.initializeRecognition();
+            
+            // 必要に応じて再開
+            if (success && wasRecognizing) {
+                setTimeout(() => {
+                    this.start();
+                }, this.config.restartDelay);
+            }
+            
+            return success;
+            
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 認識スクリプトの読み込みと再生開始
+     * スクリプト再生エンジンに切り替え、マイクなしで結果処理・Watchdog・再起動を再現
+     * デモ表示や再起動不具合の再現、UIと翻訳パイプラインの検証に使用
+     * 
+     * @param {string|Array|Object} script - 認識スクリプト（形式はScriptedRecognitionEngine参照）
+     * @returns {boolean} 読み込み成功可否
+     */
+    loadRecognitionScript(script) {
+        try {
+            const scriptText = typeof script === 'string' ? script : JSON.stringify(script);
+            
+            // 読み込み前に形式を検証
+            ScriptedRecognitionEngine.parseScript(scriptText);
+            
+            stateManager.setState('config.recognitionScript', scriptText);
+            if (!this.changeEngine('scripted')) {
+                return false;
+            }
+            
+            return this.start();
+            
+        } catch (error) {
+            stateManager.setError('SPEECH_RECOGNITION', 'INVALID_SCRIPT', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * セッション記録の開始
+     * @private
+     * 
+     * @param {RecognitionEngine} engine - 開始したエンジン
+     */
+    openSessionRecord(engine) {
+        this.openSessions.set(engine.sessionId, {
+            sessionId: engine.sessionId,
+            engine: this.engineType,
+            language: engine.lang,
+            startTime: Date.now(),
+            endTime: null,
+            duration: 0,
+            finals: 0,
+            reason: null
+        });
+    }
+
+    /**
+     * セッション終了理由の記録
+     * 最初に記録された理由を優先（エラー後の再起動などで上書きしない）
+     * @private
+     * 
+     * @param {RecognitionEngine} engine - 終了するエンジン
+     * @param {string} reason - 終了理由（manual, deadTime, maxSessionTime, handover, languageChange, engineChange, エラーコード）
+     */
+    markSessionEnd(engine, reason) {
+        if (engine && !engine.endReason) {
+            engine.endReason = reason;
+        }
+    }
+
+    /**
+     * セッション記録の終了とリングバッファへの追加
+     * 理由が記録されていない終了はブラウザ側の自然終了（ended）として扱う
+     * @private
+     * 
+     * @param {RecognitionEngine} engine - 終了したエンジン
+     */
+    closeSessionRecord(engine) {
+        const record = this.openSessions.get(engine.sessionId);
+        if (!record) return;
+        
+        this.openSessions.delete(engine.sessionId);
+        record.endTime = Date.now();
+        record.duration = record.endTime - record.startTime;
+        record.reason = engine.endReason || 'ended';
+        engine.endReason = null;
+        
+        this.sessionLog.push(record);
+        if (this.sessionLog.length > this.config.sessionLogSize) {
+            this.sessionLog.shift();
+        }
+        
+        $(document).trigger('recognitionSessionLogged', record);
+    }
+
+    /**
+     * セッション履歴の取得
+     * 終了済みセッションに進行中のセッションを加えた時系列順の一覧
+     * 
+     * @returns {Array<Object>} セッション記録の配列（進行中はendTimeがnull）
+     */
+    getSessionLog() {
+        const openRecords = Array.from(this.openSessions.values()).map(record => ({
+            ...record,
+            duration: Date.now() - record.startTime
+        }));
+        
+        return [...this.sessionLog, ...openRecords].sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * 認識エンジンのイベントハンドラー解除とリソース解放
+     * @private
+     */
+    releaseRecognition() {
+        this.abortHandover();
+        
+        if (!this.recognition) return;
+        
+        const engine = this.recognition;
+        this.closeSessionRecord(engine);
+        engine.onstart = null;
+        engine.onend = null;
+        engine.onresult = null;
+        engine.onerror = null;
+        engine.onnomatch = null;
+        engine.onsoundstart = null;
+        engine.onsoundend = null;
+        engine.onspeechstart = null;
+        engine.onspeechend = null;
+        engine.destroy();
+        
+        this.recognition = null;
+        this.hasLiveSession = false;
+    }
+
     /**
      * 音声認識マネージャーの現在状態を取得
      * デバッグ、状態監視、UI更新などで使用
@@ -657,18 +1493,24 @@ class SpeechRecognitionManager {
      * @returns {boolean} returns.isRecognizing - 認識中フラグ
      * @returns {string|null} returns.sessionId - 現在のセッションID
      * @returns {number} returns.errorCount - 連続エラー回数
+     * @returns {string} returns.engine - 使用中の認識エンジン種別
      * @returns {string} returns.language - 現在の認識言語
      * @returns {number} returns.lastResultTime - 最後の結果受信時刻
      * @returns {boolean} returns.hasWatchdog - Watchdog動作中フラグ
+     * @returns {number} returns.consecutiveFailures - 連続失敗回数（バックオフ判定用）
+     * @returns {string} returns.circuitState - 自動再開の状態（closed, open, probing）
      */
     getStatus() {
         return {
             isRecognizing: this.isRecognizing,
             sessionId: this.sessionId,
             errorCount: this.errorCount,
+            engine: this.engineType,
             language: this.recognition?.lang,
             lastResultTime: this.lastResultTime,
-            hasWatchdog: !!this.watchdogTimer
+            hasWatchdog: !!this.watchdogTimer,
+            consecutiveFailures: this.consecutiveFailures,
+            circuitState: this.circuitState
         };
     }
 
@@ -690,19 +1532,7 @@ class SpeechRecognitionManager {
     destroy() {
         try {
             this.stop();
-            
-            if (this.recognition) {
-                this.recognition.onstart = null;
-                this.recognition.onend = null;
-                this.recognition.onresult = null;
-                this.recognition.onerror = null;
-                this.recognition.onnomatch = null;
-                this.recognition.onsoundstart = null;
-                this.recognition.onsoundend = null;
-                this.recognition.onspeechstart = null;
-                this.recognition.onspeechend = null;
-                this.recognition = null;
-            }
+            this.releaseRecognition();
             
         } catch (error) {
         }
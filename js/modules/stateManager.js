@@ -44,14 +44,40 @@ class StateManager {
             // アプリケーションの基本設定
             config: {
                 language: savedSettings.settings?.language || APP_CONFIG.DEFAULT_SETTINGS.language,
+                recognitionEngine: savedSettings.settings?.recognitionEngine || APP_CONFIG.DEFAULT_SETTINGS.recognitionEngine,
+                recognitionServerUrl: savedSettings.settings?.recognitionServerUrl || APP_CONFIG.DEFAULT_SETTINGS.recognitionServerUrl,
+                recognitionScript: savedSettings.settings?.recognitionScript || APP_CONFIG.DEFAULT_SETTINGS.recognitionScript,
+                maxAlternatives: savedSettings.settings?.maxAlternatives ?? APP_CONFIG.DEFAULT_SETTINGS.maxAlternatives,
+                segmentationMode: savedSettings.settings?.segmentationMode || APP_CONFIG.DEFAULT_SETTINGS.segmentationMode,
+                gaplessHandover: savedSettings.settings?.gaplessHandover !== undefined ? savedSettings.settings.gaplessHandover : APP_CONFIG.DEFAULT_SETTINGS.gaplessHandover,
+                audioMonitorEnabled: savedSettings.settings?.audioMonitorEnabled !== undefined ? savedSettings.settings.audioMonitorEnabled : APP_CONFIG.DEFAULT_SETTINGS.audioMonitorEnabled,
+                silenceAlarmSeconds: savedSettings.settings?.silenceAlarmSeconds ?? APP_CONFIG.DEFAULT_SETTINGS.silenceAlarmSeconds,
+                silenceAlarmSound: savedSettings.settings?.silenceAlarmSound ?? APP_CONFIG.DEFAULT_SETTINGS.silenceAlarmSound,
+                silenceThreshold: savedSettings.settings?.silenceThreshold ?? APP_CONFIG.DEFAULT_SETTINGS.silenceThreshold,
+                replacementRules: savedSettings.settings?.replacementRules || APP_CONFIG.DEFAULT_SETTINGS.replacementRules,
+                glossaryTerms: savedSettings.settings?.glossaryTerms || APP_CONFIG.DEFAULT_SETTINGS.glossaryTerms,
+                translationProvider: savedSettings.settings?.translationProvider || APP_CONFIG.DEFAULT_SETTINGS.translationProvider,
                 geminiApiKey: apiKey,
                 geminiModel: savedSettings.settings?.geminiModel || APP_CONFIG.DEFAULT_SETTINGS.geminiModel,
-                maxTextLines: savedSettings.settings?.maxTextLines || APP_CONFIG.DEFAULT_SETTINGS.maxTextLines,
+                openaiBaseUrl: savedSettings.settings?.openaiBaseUrl || APP_CONFIG.DEFAULT_SETTINGS.openaiBaseUrl,
+                openaiApiKey: this.storage.getApiKey('openaiApiKey'),
+                openaiModel: savedSettings.settings?.openaiModel || APP_CONFIG.DEFAULT_SETTINGS.openaiModel,
+                deeplApiKey: this.storage.getApiKey('deeplApiKey'),
+                deeplApiUrl: savedSettings.settings?.deeplApiUrl || APP_CONFIG.DEFAULT_SETTINGS.deeplApiUrl,
+                libreTranslateUrl: savedSettings.settings?.libreTranslateUrl || APP_CONFIG.DEFAULT_SETTINGS.libreTranslateUrl,
+                libreTranslateApiKey: this.storage.getApiKey('libreTranslateApiKey'),
+                streamTranslation: savedSettings.settings?.streamTranslation !== undefined ? savedSettings.settings.streamTranslation : APP_CONFIG.DEFAULT_SETTINGS.streamTranslation,
+                maxTextLines: savedSettings.settings?.maxTextLines ?? APP_CONFIG.DEFAULT_SETTINGS.maxTextLines,
                 autoScroll: true, // 常にONでスタート
                 fontSize: savedSettings.preferences?.fontSize || APP_CONFIG.DEFAULT_SETTINGS.fontSize,
                 autoTranslate: savedSettings.preferences?.autoTranslate || APP_CONFIG.DEFAULT_SETTINGS.autoTranslate,
+                timestampMode: savedSettings.preferences?.timestampMode || APP_CONFIG.DEFAULT_SETTINGS.timestampMode,
                 theme: savedSettings.settings?.theme || APP_CONFIG.DEFAULT_SETTINGS.theme,
                 translationStyle: savedSettings.settings?.translationStyle || APP_CONFIG.DEFAULT_SETTINGS.translationStyle,
+                contextLines: savedSettings.settings?.contextLines ?? APP_CONFIG.DEFAULT_SETTINGS.contextLines,
+                contextTokenBudget: savedSettings.settings?.contextTokenBudget ?? APP_CONFIG.DEFAULT_SETTINGS.contextTokenBudget,
+                translationMemoryEnabled: savedSettings.settings?.translationMemoryEnabled ?? APP_CONFIG.DEFAULT_SETTINGS.translationMemoryEnabled,
+                translationMemoryFuzzy: savedSettings.settings?.translationMemoryFuzzy ?? APP_CONFIG.DEFAULT_SETTINGS.translationMemoryFuzzy,
                 showTranslationArea: savedSettings.settings?.showTranslationArea !== undefined ? savedSettings.settings.showTranslationArea : APP_CONFIG.DEFAULT_SETTINGS.showTranslationArea
             },
             
@@ -65,6 +91,13 @@ class StateManager {
                 finalText: '',
                 lastResultTime: 0,
                 errorCount: 0,
+                isSoundDetected: false,
+                isSpeechDetected: false,
+                lastNoMatchTime: 0,
+                consecutiveFailures: 0,
+                circuitState: 'closed',
+                circuitReason: null,
+                nextRetryTime: 0,
                 recognitionInstance: null
             },
             
@@ -72,12 +105,31 @@ class StateManager {
             // 各エントリにはタイムスタンプ、原文、英語テキストを含む
             textHistory: [],
             
+            // 配信開始時刻（各行の経過時間の基準）
+            timing: {
+                recognitionStartTime: null,  // 最初に音声認識を開始した時刻（自動の基準）
+                manualStartTime: null        // ユーザーが指定した配信開始時刻（指定時は優先）
+            },
+            
+            // 音声入力モニターの状態管理
+            audio: {
+                isMonitoring: false,
+                level: 0,
+                levelDb: -Infinity,
+                isSilent: false,
+                isAlarmActive: false
+            },
+            
             // 翻訳モジュールの状態管理
             translation: {
                 isLoading: false,
                 selectedText: '',
                 originalText: '',
                 translatedText: '',
+                partialText: '',        // ストリーミング受信途中の翻訳
+                retryAttempt: 0,        // 再試行中の回数（0は初回リクエスト）
+                maxRetries: 0,
+                retryDelay: 0,          // 次の再試行までの待機時間（ms）
                 lastTranslationTime: 0
             },
             
@@ -284,6 +336,59 @@ class StateManager {
         this.syncRecognitionUI();
     }
 
+    /**
+     * 音声入力モニター状態のバッチ更新
+     * 入力レベル、無音判定、警告状態などを一度に更新
+     * 状態変更イベントを発行してレベルメーターに通知
+     * 
+     * @param {Object} updates - 更新する音声入力状態プロパティのオブジェクト
+     */
+    updateAudioState(updates) {
+        const currentState = this.state.audio;
+        Object.assign(currentState, updates);
+        
+        this.emit('audioStateChanged', currentState);
+    }
+
+    /**
+     * 配信開始時刻の更新
+     * 基準が変わった場合はテキスト履歴の経過時間（offset）も再計算する
+     * 
+     * @param {Object} updates - 更新する配信開始時刻プロパティのオブジェクト
+     */
+    updateTimingState(updates) {
+        const currentState = this.state.timing;
+        Object.assign(currentState, updates);
+        
+        this.state.textHistory.forEach(entry => {
+            if (entry.speechStartTime) {
+                entry.offset = this.getStreamOffset(entry.speechStartTime);
+            }
+        });
+        
+        this.emit('timingStateChanged', currentState);
+    }
+
+    /**
+     * 経過時間の基準となる配信開始時刻を取得
+     * 
+     * @returns {number|null} 配信開始時刻（未開始かつ未指定の場合はnull）
+     */
+    getStreamStartTime() {
+        return this.state.timing.manualStartTime ?? this.state.timing.recognitionStartTime;
+    }
+
+    /**
+     * 配信開始時刻からの経過時間を算出
+     * 
+     * @param {number} time - 対象の時刻
+     * @returns {number|null} 経過時間（ms、基準がない場合はnull）
+     */
+    getStreamOffset(time) {
+        const startTime = this.getStreamStartTime();
+        return startTime !== null && time ? time - startTime : null;
+    }
+
     /**
      * 翻訳モジュール状態のバッチ更新
      * 翻訳ローディング、結果、エラー状態などを一度に更新
@@ -301,29 +406,100 @@ class StateManager {
 
     /**
      * 新しいテキストエントリを履歴に追加
-     * タイムスタンプと一意のIDを付与し、最新順で配置
+     * タイムスタンプと一意のIDを付与し、表示と同じ古い順で末尾に配置
      * 最大行数制限を適用し、古いエントリを自動削除
      * 履歴更新イベントを発行してUI更新をトリガー
      * 
-     * @param {Object} textData - テキストデータ（originalText, rubyText, languageなど）
+     * テキスト履歴は表示の唯一の情報源であり、各行の翻訳状態もエントリに保持する
+     * - translationStatus: 'none' | 'pending'（翻訳待ち） | 'loading' | 'done' | 'error'
+     * - translationErrorCode: 失敗時のエラーコード（ERROR_MESSAGES.TRANSLATIONのキー）
+     * - translationAttempts: 翻訳の試行回数
+     * - translationFromMemory: 翻訳メモリから再利用した翻訳か
+     * - translationSuggestion: 翻訳メモリの類似訳の提案（sourceText, translatedText, similarity）
+     * - translationGlossaryViolations: 訳文で使われていない用語集の訳語（source, target）
+     * - displayMode: 'original' | 'translation'（行に表示する内容）
+     * 
+     * @param {Object} textData - テキストデータ（originalText, language, confidence, alternativesなど）
+     * @returns {Object} 追加されたエントリ
      */
     addTextHistory(textData) {
         const history = this.state.textHistory;
         const newEntry = {
             id: Utils.generateId('text'),
             timestamp: Date.now(),
+            translatedText: null,
+            translationStatus: 'none',
+            translationError: null,
+            translationErrorCode: null,
+            translationAttempts: 0,
+            translationFromMemory: false,
+            translationSuggestion: null,
+            translationGlossaryViolations: [],
+            displayMode: 'original',
             ...textData
         };
         
-        history.unshift(newEntry);
+        history.push(newEntry);
         
         // 最大行数制限（0の場合は無制限）
         const maxLines = this.state.config.maxTextLines;
         if (maxLines > 0 && history.length > maxLines) {
-            history.splice(maxLines);
+            history.splice(0, history.length - maxLines);
         }
         
         this.emit('textHistoryChanged', newEntry);
+        
+        return newEntry;
+    }
+
+    /**
+     * テキスト履歴の置き換え
+     * 保存済みセッションを開いた場合などに使用（最大行数制限を適用）
+     * 
+     * @param {Array<Object>} entries - 古い順のエントリ配列
+     */
+    replaceTextHistory(entries) {
+        const maxLines = this.state.config.maxTextLines;
+        this.state.textHistory = maxLines > 0 ? entries.slice(-maxLines) : [...entries];
+        
+        this.emit('textHistoryReplaced', this.state.textHistory);
+    }
+
+    /**
+     * テキスト履歴の全削除
+     */
+    clearTextHistory() {
+        this.replaceTextHistory([]);
+    }
+
+    /**
+     * IDによるテキスト履歴エントリの取得
+     * 
+     * @param {string} id - エントリID
+     * @returns {Object|null} 該当エントリ（最大行数制限で削除済みの場合はnull）
+     */
+    getTextHistoryEntry(id) {
+        return this.state.textHistory.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 既存のテキスト履歴エントリの部分更新
+     * 候補の差し替えや翻訳結果の反映など、表示後に変化した行データを履歴に反映
+     * 
+     * @param {string} id - エントリID
+     * @param {Object} updates - 更新するプロパティ
+     * @returns {Object|null} 更新後のエントリ（該当なしの場合はnull）
+     */
+    updateTextHistory(id, updates) {
+        const entry = this.getTextHistoryEntry(id);
+        if (!entry) {
+            return null;
+        }
+        
+        Object.assign(entry, updates);
+        this.emit('textHistoryUpdated', entry);
+        
+        return entry;
     }
 
     /**
@@ -364,17 +540,43 @@ class StateManager {
                 version: APP_CONFIG.STORAGE_CONFIG.VERSION,
                 settings: {
                     language: this.state.config.language,
+                    recognitionEngine: this.state.config.recognitionEngine,
+                    recognitionServerUrl: this.state.config.recognitionServerUrl,
+                    recognitionScript: this.state.config.recognitionScript,
+                    maxAlternatives: this.state.config.maxAlternatives,
+                    segmentationMode: this.state.config.segmentationMode,
+                    gaplessHandover: this.state.config.gaplessHandover,
+                    audioMonitorEnabled: this.state.config.audioMonitorEnabled,
+                    silenceAlarmSeconds: this.state.config.silenceAlarmSeconds,
+                    silenceAlarmSound: this.state.config.silenceAlarmSound,
+                    silenceThreshold: this.state.config.silenceThreshold,
+                    replacementRules: this.state.config.replacementRules,
+                    glossaryTerms: this.state.config.glossaryTerms,
+                    translationProvider: this.state.config.translationProvider,
                     geminiApiKey: this.state.config.geminiApiKey ? btoa(this.state.config.geminiApiKey) : '',
                     geminiModel: this.state.config.geminiModel,
+                    openaiBaseUrl: this.state.config.openaiBaseUrl,
+                    openaiApiKey: this.state.config.openaiApiKey ? btoa(this.state.config.openaiApiKey) : '',
+                    openaiModel: this.state.config.openaiModel,
+                    deeplApiKey: this.state.config.deeplApiKey ? btoa(this.state.config.deeplApiKey) : '',
+                    deeplApiUrl: this.state.config.deeplApiUrl,
+                    libreTranslateUrl: this.state.config.libreTranslateUrl,
+                    libreTranslateApiKey: this.state.config.libreTranslateApiKey ? btoa(this.state.config.libreTranslateApiKey) : '',
+                    streamTranslation: this.state.config.streamTranslation,
                     maxTextLines: this.state.config.maxTextLines,
                     autoScroll: this.state.config.autoScroll,
                     theme: this.state.config.theme,
                     translationStyle: this.state.config.translationStyle,
+                    contextLines: this.state.config.contextLines,
+                    contextTokenBudget: this.state.config.contextTokenBudget,
+                    translationMemoryEnabled: this.state.config.translationMemoryEnabled,
+                    translationMemoryFuzzy: this.state.config.translationMemoryFuzzy,
                     showTranslationArea: this.state.config.showTranslationArea
                 },
                 preferences: {
                     fontSize: this.state.config.fontSize,
-                    autoTranslate: this.state.config.autoTranslate
+                    autoTranslate: this.state.config.autoTranslate,
+                    timestampMode: this.state.config.timestampMode
                 },
                 statistics: {
                     totalUsageTime: 0,
@@ -434,11 +636,19 @@ class StateManager {
         const $btn = this.state.ui.$recognitionBtn;
         
         if ($btn && $btn.length) {
-            $btn.removeClass('btn-secondary btn-success btn-danger');
+            $btn.removeClass('btn-secondary btn-success btn-danger btn-warning');
             
-            if (recognition.isListening) {
+            if (recognition.circuitState === 'open') {
+                $btn.addClass('btn-warning');
+                $btn.find('#btn-text').text(APP_CONFIG.UI_CONFIG.buttonTexts.paused);
+            } else if (recognition.isListening) {
                 $btn.addClass('btn-success');
                 $btn.find('#btn-text').text(APP_CONFIG.UI_CONFIG.buttonTexts.recognizing);
+            } else if (recognition.isActive && (recognition.circuitState === 'probing' || recognition.nextRetryTime > Date.now())) {
+                $btn.addClass('btn-warning');
+                $btn.find('#btn-text').text(recognition.circuitState === 'probing'
+                    ? APP_CONFIG.UI_CONFIG.buttonTexts.probing
+                    : APP_CONFIG.UI_CONFIG.buttonTexts.reconnecting);
             } else if (recognition.errorCount > 0) {
                 $btn.addClass('btn-danger');
                 $btn.find('#btn-text').text(APP_CONFIG.UI_CONFIG.buttonTexts.error);
@@ -587,7 +797,8 @@ class LocalStorageManager {
             settings: Utils.deepClone(APP_CONFIG.DEFAULT_SETTINGS),
             preferences: {
                 fontSize: 'medium',
-                autoTranslate: false
+                autoTranslate: false,
+                timestampMode: 'clock'
             },
             statistics: {
                 totalUsageTime: 0,
@@ -663,12 +874,13 @@ class LocalStorageManager {
      * Base64で暗号化されたAPIキーを復号化して返す
      * 復号化エラー時は空文字列を返して安全に処理
      * 
+     * @param {string} [key='geminiApiKey'] - 設定のキー名（翻訳プロバイダーごとのAPIキー）
      * @returns {string} 復号化されたAPIキーまたは空文字列
      */
-    getApiKey() {
+    getApiKey(key = 'geminiApiKey') {
         const data = this.load();
         try {
-            return data.settings.geminiApiKey ? atob(data.settings.geminiApiKey) : '';
+            return data.settings[key] ? atob(data.settings[key]) : '';
         } catch {
             return '';
         }
@@ -0,0 +1,404 @@
+/**
+ * 文字起こし書き出しモジュール
+ * English Speech to Text
+ *
+ * 記録中または保存済みのセッションを字幕・テキスト・JSON形式で書き出す
+ * 字幕形式は各行の発話開始・確定時刻から配信開始を基準にした表示区間を生成する
+ *
+ * 機能概要:
+ * - SRT・WebVTT（行ごとのタイミングによる字幕）
+ * - プレーンテキスト・Markdown（原文と翻訳の対訳）
+ * - 再読み込み可能なJSON（セッションの全情報を保持）
+ * - 出力内容の選択（原文のみ・翻訳のみ・両方）と時刻の有無
+ * - 書き出しダイアログ（認識結果カードとセッション一覧から起動）
+ */
+
+// 書き出し設定定数
+const TRANSCRIPT_EXPORTER_CONSTANTS = {
+    JSON_FORMAT: 'english-speech-to-text/transcript', // JSON形式の識別子
+    JSON_VERSION: 1,                                   // JSON形式のバージョン
+    MIN_CUE_DURATION: 1000,                            // 字幕1件の最短表示時間（ms）
+    DEFAULT_FILE_NAME: 'transcript',                   // セッション名がない場合のファイル名
+    FORMATS: {
+        srt: { label: 'SRT字幕', extension: 'srt', mimeType: 'application/x-subrip', timed: true },
+        vtt: { label: 'WebVTT字幕', extension: 'vtt', mimeType: 'text/vtt', timed: true },
+        txt: { label: 'テキスト', extension: 'txt', mimeType: 'text/plain', timed: false },
+        markdown: { label: 'Markdown（対訳）', extension: 'md', mimeType: 'text/markdown', timed: false },
+        json: { label: 'JSON（全情報）', extension: 'json', mimeType: 'application/json', timed: false }
+    }
+};
+
+class TranscriptExporter {
+    constructor() {
+        this.elements = {};
+        this.targetSessionId = null;   // 書き出し対象の保存済みセッション（nullは記録中の内容）
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     */
+    initialize() {
+        this.elements = {
+            $modal: $('#exportModal'),
+            $targetName: $('#export-target-name'),
+            $format: $('#export-format'),
+            $contentRadios: $('input[name="export-content"]'),
+            $includeTimestamps: $('#export-include-timestamps'),
+            $formatHelp: $('#export-format-help'),
+            $status: $('#export-status'),
+            $downloadBtn: $('#export-download-btn')
+        };
+
+        $('#export-transcript-btn').on('click', () => {
+            this.open(null);
+        });
+
+        this.elements.$format.on('change', () => {
+            this.updateOptionState();
+        });
+
+        this.elements.$downloadBtn.on('click', () => {
+            this.download();
+        });
+    }
+
+    /**
+     * 書き出しダイアログを開く
+     *
+     * @param {string|null} sessionId - 保存済みセッションのID（nullは記録中の内容）
+     * @returns {Promise<void>}
+     */
+    async open(sessionId) {
+        this.targetSessionId = sessionId;
+        this.elements.$status.text('');
+
+        const session = await this.resolveSession(sessionId);
+        this.elements.$targetName.text(session
+            ? `${session.name}（${session.lines.length}行）`
+            : 'セッションが見つかりません');
+
+        this.updateOptionState();
+        bootstrap.Modal.getOrCreateInstance(this.elements.$modal[0]).show();
+    }
+
+    /**
+     * 選択中の形式に応じたオプションの有効・無効を更新
+     * 字幕形式は常に時刻付き、JSONは全情報を出力するため出力内容の選択は無効
+     * @private
+     */
+    updateOptionState() {
+        const format = this.elements.$format.val();
+        const isJson = format === 'json';
+        const isTimed = TRANSCRIPT_EXPORTER_CONSTANTS.FORMATS[format]?.timed;
+
+        this.elements.$contentRadios.prop('disabled', isJson);
+        this.elements.$includeTimestamps.prop('disabled', isJson || isTimed);
+
+        const help = {
+            srt: '各行の発話開始〜確定時刻を配信開始からの表示区間として出力します',
+            vtt: '各行の発話開始〜確定時刻を配信開始からの表示区間として出力します',
+            txt: '1行ずつのテキストとして出力します',
+            markdown: '原文と翻訳を対訳形式で出力します',
+            json: '信頼度・置換・タイミングを含む全情報を出力します（読み込み可能）'
+        };
+        this.elements.$formatHelp.text(help[format] || '');
+    }
+
+    /**
+     * 選択した形式でファイルを書き出し
+     *
+     * @returns {Promise<void>}
+     */
+    async download() {
+        try {
+            const session = await this.resolveSession(this.targetSessionId);
+            if (!session || session.lines.length === 0) {
+                this.elements.$status.text('書き出す行がありません');
+                return;
+            }
+
+            const result = TranscriptExporter.exportSession(session, {
+                format: this.elements.$format.val(),
+                content: this.elements.$contentRadios.filter(':checked').val() || 'both',
+                includeTimestamps: this.elements.$includeTimestamps.is(':checked')
+            });
+
+            Utils.downloadFile(result.content, result.fileName, result.mimeType);
+            bootstrap.Modal.getInstance(this.elements.$modal[0])?.hide();
+
+        } catch (error) {
+            this.elements.$status.text(`書き出しに失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 書き出し対象のセッションを取得
+     * 記録中の内容は行数制限で表示から消えた行も含むセッションの行を優先し、
+     * セッション保存が使えない場合はテキスト履歴から組み立てる
+     * @private
+     *
+     * @param {string|null} sessionId - 保存済みセッションのID（nullは記録中の内容）
+     * @returns {Promise<Object|null>} セッション（行は古い順）
+     */
+    async resolveSession(sessionId) {
+        if (sessionId) {
+            return window.sessionStore ? await window.sessionStore.getSession(sessionId) : null;
+        }
+
+        const current = window.sessionStore?.currentSession;
+        if (current) {
+            return { ...current, streamStartTime: stateManager.getStreamStartTime() ?? current.streamStartTime };
+        }
+
+        return {
+            name: TRANSCRIPT_EXPORTER_CONSTANTS.DEFAULT_FILE_NAME,
+            createdAt: Date.now(),
+            language: stateManager.getState('config.language'),
+            model: window.geminiTranslator?.getModelName() ?? stateManager.getState('config.geminiModel'),
+            streamStartTime: stateManager.getStreamStartTime(),
+            lines: [...stateManager.getState('textHistory')]
+        };
+    }
+
+    /**
+     * セッションを指定形式の文字列に変換
+     *
+     * @param {Object} session - セッション（行は古い順）
+     * @param {Object} options - 書き出しオプション
+     * @param {string} options.format - 形式（srt, vtt, txt, markdown, json）
+     * @param {string} [options.content='both'] - 出力内容（original, translation, both）
+     * @param {boolean} [options.includeTimestamps=true] - テキスト・Markdownに時刻を含めるか
+     * @returns {{content: string, fileName: string, mimeType: string}} 書き出し結果
+     * @throws {Error} 未対応の形式の場合
+     */
+    static exportSession(session, options) {
+        const format = TRANSCRIPT_EXPORTER_CONSTANTS.FORMATS[options.format];
+        if (!format) {
+            throw new Error(`未対応の形式です: ${options.format}`);
+        }
+
+        const settings = { content: 'both', includeTimestamps: true, ...options };
+        const converters = {
+            srt: () => TranscriptExporter.toSrt(session, settings),
+            vtt: () => TranscriptExporter.toVtt(session, settings),
+            txt: () => TranscriptExporter.toText(session, settings),
+            markdown: () => TranscriptExporter.toMarkdown(session, settings),
+            json: () => TranscriptExporter.toJson(session)
+        };
+
+        return {
+            content: converters[options.format](),
+            fileName: `${TranscriptExporter.sanitizeFileName(session.name)}.${format.extension}`,
+            mimeType: format.mimeType
+        };
+    }
+
+    /**
+     * SRT形式に変換
+     *
+     * @param {Object} session - セッション
+     * @param {Object} options - 書き出しオプション
+     * @returns {string} SRT文字列
+     */
+    static toSrt(session, options) {
+        return TranscriptExporter.buildCues(session).map((cue, index) => [
+            String(index + 1),
+            `${TranscriptExporter.formatCueTime(cue.start, ',')} --> ${TranscriptExporter.formatCueTime(cue.end, ',')}`,
+            ...TranscriptExporter.getLineTexts(cue.line, options.content)
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * WebVTT形式に変換
+     *
+     * @param {Object} session - セッション
+     * @param {Object} options - 書き出しオプション
+     * @returns {string} WebVTT文字列
+     */
+    static toVtt(session, options) {
+        const cues = TranscriptExporter.buildCues(session).map(cue => [
+            `${TranscriptExporter.formatCueTime(cue.start, '.')} --> ${TranscriptExporter.formatCueTime(cue.end, '.')}`,
+            // 字幕本文に "-->" は使用できないため置き換え
+            ...TranscriptExporter.getLineTexts(cue.line, options.content).map(text => text.replace(/-->/g, '→'))
+        ].join('\n'));
+
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    /**
+     * プレーンテキストに変換
+     * 両方を出力する場合は原文の次の行に翻訳を置き、行ごとに空行で区切る
+     *
+     * @param {Object} session - セッション
+     * @param {Object} options - 書き出しオプション
+     * @returns {string} テキスト
+     */
+    static toText(session, options) {
+        const baseTime = TranscriptExporter.getBaseTime(session);
+        const separator = options.content === 'both' ? '\n\n' : '\n';
+
+        return session.lines.map(line => {
+            const texts = TranscriptExporter.getLineTexts(line, options.content);
+            if (options.includeTimestamps) {
+                texts[0] = `[${Utils.formatElapsed(TranscriptExporter.getLineStart(line) - baseTime)}] ${texts[0]}`;
+            }
+            return texts.join('\n');
+        }).join(separator) + '\n';
+    }
+
+    /**
+     * Markdown形式に変換（見出しにセッション情報、翻訳は引用として原文の下に配置）
+     *
+     * @param {Object} session - セッション
+     * @param {Object} options - 書き出しオプション
+     * @returns {string} Markdown文字列
+     */
+    static toMarkdown(session, options) {
+        const baseTime = TranscriptExporter.getBaseTime(session);
+        const header = [
+            `# ${session.name}`,
+            '',
+            `- 開始: ${new Date(session.createdAt).toLocaleString('ja-JP')}`,
+            `- 認識言語: ${session.language || '-'}`,
+            `- 翻訳モデル: ${session.model || '-'}`,
+            ...(session.tags?.length > 0 ? [`- タグ: ${session.tags.join(', ')}`] : [])
+        ];
+
+        const lines = session.lines.map(line => {
+            const original = line.originalText;
+            const translation = line.translatedText;
+            const timestamp = options.includeTimestamps
+                ? `\`${Utils.formatElapsed(TranscriptExporter.getLineStart(line) - baseTime)}\` `
+                : '';
+
+            if (options.content === 'original') {
+                return `${timestamp}${original}`;
+            }
+            if (options.content === 'translation') {
+                return `${timestamp}${translation || original}`;
+            }
+            return translation ? `${timestamp}${original}\n> ${translation}` : `${timestamp}${original}`;
+        });
+
+        return [...header, '', ...lines.map(line => `${line}\n`)].join('\n');
+    }
+
+    /**
+     * JSON形式に変換（読み込み用に全情報を保持）
+     *
+     * @param {Object} session - セッション
+     * @returns {string} JSON文字列
+     */
+    static toJson(session) {
+        const { isOpen, isCurrent, lineCount, lines, ...info } = session;
+
+        return JSON.stringify({
+            format: TRANSCRIPT_EXPORTER_CONSTANTS.JSON_FORMAT,
+            version: TRANSCRIPT_EXPORTER_CONSTANTS.JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            session: {
+                ...info,
+                lines: lines.map(line => ({ ...line }))
+            }
+        }, null, 2);
+    }
+
+    /**
+     * 字幕の表示区間を生成
+     * 発話開始〜確定時刻を区間とし、最短表示時間を確保しつつ次の行と重ならないよう調整
+     *
+     * @param {Object} session - セッション
+     * @returns {Array<{start: number, end: number, line: Object}>} 配信開始からの表示区間（ms）
+     */
+    static buildCues(session) {
+        const baseTime = TranscriptExporter.getBaseTime(session);
+        const minDuration = TRANSCRIPT_EXPORTER_CONSTANTS.MIN_CUE_DURATION;
+
+        const cues = session.lines
+            .map(line => {
+                const start = Math.max(0, TranscriptExporter.getLineStart(line) - baseTime);
+                const finish = (line.finalTime ?? line.renderTime ?? TranscriptExporter.getLineStart(line)) - baseTime;
+                return { start, end: Math.max(finish, start + minDuration), line };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        cues.forEach((cue, index) => {
+            const next = cues[index + 1];
+            if (next && next.start > cue.start && cue.end > next.start) {
+                cue.end = next.start;
+            }
+        });
+
+        return cues;
+    }
+
+    /**
+     * 行の出力テキストを取得（翻訳のない行は翻訳のみの場合も原文を出力）
+     *
+     * @param {Object} line - 行
+     * @param {string} content - 出力内容（original, translation, both）
+     * @returns {Array<string>} 出力するテキストの配列
+     */
+    static getLineTexts(line, content) {
+        if (content === 'original') {
+            return [line.originalText];
+        }
+        if (content === 'translation') {
+            return [line.translatedText || line.originalText];
+        }
+        return [line.originalText, line.translatedText].filter(Boolean);
+    }
+
+    /**
+     * 時刻の基準（配信開始時刻、未設定の場合は最初の行の発話開始時刻）を取得
+     *
+     * @param {Object} session - セッション
+     * @returns {number} 基準時刻（ms）
+     */
+    static getBaseTime(session) {
+        if (session.streamStartTime !== null && session.streamStartTime !== undefined) {
+            return session.streamStartTime;
+        }
+        return session.lines.length > 0 ? TranscriptExporter.getLineStart(session.lines[0]) : 0;
+    }
+
+    /**
+     * 行の発話開始時刻を取得（記録のない古い行は追加時刻）
+     *
+     * @param {Object} line - 行
+     * @returns {number} 発話開始時刻（ms）
+     */
+    static getLineStart(line) {
+        return line.speechStartTime ?? line.timestamp;
+    }
+
+    /**
+     * 字幕の時刻表記（hh:mm:ss,mmm / hh:mm:ss.mmm）
+     *
+     * @param {number} milliseconds - 配信開始からの経過時間（ms）
+     * @param {string} separator - ミリ秒の区切り文字（SRTは","、WebVTTは"."）
+     * @returns {string} 時刻表記
+     */
+    static formatCueTime(milliseconds, separator) {
+        const value = Math.max(0, Math.round(milliseconds));
+        return `${Utils.formatElapsed(value)}${separator}${String(value % 1000).padStart(3, '0')}`;
+    }
+
+    /**
+     * ファイル名に使用できない文字の置き換え
+     *
+     * @param {string} name - セッション名
+     * @returns {string} ファイル名（拡張子なし）
+     */
+    static sanitizeFileName(name) {
+        const sanitized = (name || '').replace(/[\\/:*?"<>|]/g, '_').replace(/\s+/g, ' ').trim();
+        return sanitized || TRANSCRIPT_EXPORTER_CONSTANTS.DEFAULT_FILE_NAME;
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.transcriptExporter = new TranscriptExporter();
+    window.TranscriptExporter = TranscriptExporter;
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,515 @@
+/**
+ * 文字起こし読み込みモジュール
+ * English Speech to Text
+ *
+ * 他で作成された字幕ファイルや書き出したJSONをテキスト履歴の行として読み込み、
+ * 音声認識の結果と同じ表示・翻訳・確認の機能で扱えるようにする
+ * 元のタイミングで再生すると、自動翻訳などが音声認識中と同じように動作する
+ *
+ * 機能概要:
+ * - SRT・WebVTT・プレーンテキスト・書き出したJSONの解析（拡張子と内容から形式を判定）
+ * - 一括読み込み（元の時刻を経過時間として保持、自動翻訳が有効な場合は未翻訳の行をまとめてバッチ翻訳）
+ * - 元のタイミングでの再生（再生速度の選択、停止）
+ * - 読み込んだ内容を新しいセッションとして保存
+ */
+
+// 読み込み設定定数
+const TRANSCRIPT_IMPORTER_CONSTANTS = {
+    TEXT_LINE_INTERVAL: 3000,   // 時刻のないテキストの行間隔（ms、再生時の間隔）
+    MIN_LINE_DURATION: 500,     // 行の最短表示時間（ms）
+    SESSION_TAG: 'インポート',  // 読み込んだセッションに付けるタグ
+    CUE_TIME_PATTERN: /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/,
+    TEXT_TIMESTAMP_PATTERN: /^\[(\d+:\d{2}(?::\d{2})?)\]\s*/
+};
+
+class TranscriptImporter {
+    constructor() {
+        this.elements = {};
+        this.parsed = null;          // 選択したファイルの解析結果
+
+        // 再生状態
+        this.replayTimer = null;     // 次の行の表示タイマー
+        this.replayLines = [];       // 再生中の行
+        this.replayIndex = 0;        // 次に表示する行の位置
+        this.replayBaseTime = null;  // 再生開始時刻（経過時間0の時刻）
+        this.replaySpeed = 1;        // 再生速度
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     */
+    initialize() {
+        this.elements = {
+            $modal: $('#importModal'),
+            $fileInput: $('#import-file'),
+            $summary: $('#import-summary'),
+            $modeRadios: $('input[name="import-mode"]'),
+            $replaySpeed: $('#import-replay-speed'),
+            $status: $('#import-status'),
+            $startBtn: $('#import-start-btn'),
+            $replayBar: $('#import-replay-bar'),
+            $replayProgress: $('#import-replay-bar .import-replay-progress'),
+            $replayStopBtn: $('#import-replay-stop')
+        };
+
+        $('#import-transcript-btn').on('click', () => {
+            this.open();
+        });
+
+        this.elements.$fileInput.on('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+
+        this.elements.$modeRadios.on('change', () => {
+            this.elements.$replaySpeed.prop('disabled', this.getMode() !== 'replay');
+        });
+
+        this.elements.$startBtn.on('click', () => {
+            this.startImport();
+        });
+
+        this.elements.$replayStopBtn.on('click', () => {
+            this.stopReplay();
+        });
+
+        // 音声認識の開始・表示のクリアで再生を中止
+        $(document).on('state:recognitionStateChanged', (event, state) => {
+            if (state.isListening) {
+                this.stopReplay();
+            }
+        });
+
+        $(document).on('transcriptSessionChanged', (event, summary) => {
+            if (!summary) {
+                this.stopReplay();
+            }
+        });
+    }
+
+    /**
+     * 読み込みダイアログを開く
+     */
+    open() {
+        this.parsed = null;
+        this.elements.$fileInput.val('');
+        this.elements.$summary.text('');
+        this.elements.$status.text('');
+        this.elements.$startBtn.prop('disabled', true);
+        this.elements.$replaySpeed.prop('disabled', this.getMode() !== 'replay');
+
+        bootstrap.Modal.getOrCreateInstance(this.elements.$modal[0]).show();
+    }
+
+    /**
+     * 選択されたファイルの解析と概要表示
+     *
+     * @param {File} file - 読み込むファイル
+     * @returns {Promise<void>}
+     */
+    async loadFile(file) {
+        this.parsed = null;
+        this.elements.$startBtn.prop('disabled', true);
+        this.elements.$summary.text('');
+
+        try {
+            this.parsed = TranscriptImporter.parse(await file.text(), file.name);
+
+            const lastLine = this.parsed.lines[this.parsed.lines.length - 1];
+            this.elements.$summary.text(
+                `形式: ${this.parsed.format.toUpperCase()}　行数: ${this.parsed.lines.length}　長さ: ${Utils.formatElapsed(lastLine.end)}`
+            );
+            this.elements.$status.text('');
+            this.elements.$startBtn.prop('disabled', false);
+
+        } catch (error) {
+            this.elements.$status.text(error.message);
+        }
+    }
+
+    /**
+     * 選択中の読み込み方法を取得
+     *
+     * @returns {string} 読み込み方法（immediate, replay）
+     */
+    getMode() {
+        return this.elements.$modeRadios.filter(':checked').val() || 'immediate';
+    }
+
+    /**
+     * 読み込みの開始
+     * 表示中の内容は保存して終了し、読み込んだ内容を新しいセッションとして記録する
+     *
+     * @returns {Promise<void>}
+     */
+    async startImport() {
+        if (!this.parsed) return;
+
+        if (stateManager.getState('recognition.isListening')) {
+            this.elements.$status.text('音声認識を停止してから読み込んでください');
+            return;
+        }
+
+        const parsed = this.parsed;
+        bootstrap.Modal.getInstance(this.elements.$modal[0])?.hide();
+
+        this.stopReplay();
+        if (window.uiController) {
+            await window.uiController.clearMainText();
+        }
+        if (window.sessionStore) {
+            window.sessionStore.startSession({
+                name: parsed.name,
+                tags: [TRANSCRIPT_IMPORTER_CONSTANTS.SESSION_TAG],
+                language: parsed.language
+            });
+        }
+
+        if (this.getMode() === 'replay') {
+            this.startReplay(parsed.lines, parseFloat(this.elements.$replaySpeed.val()) || 1);
+        } else {
+            await this.importAll(parsed);
+        }
+    }
+
+    /**
+     * 全行を一括で読み込み
+     * 元の時刻を経過時間として保持し、行ごとの自動翻訳は行わない
+     * 自動翻訳が有効な場合は、未翻訳の行を複数行ずつまとめてバッチ翻訳する
+     * （書き出したJSONに含まれる翻訳はそのまま表示）
+     *
+     * @param {Object} parsed - 解析結果
+     * @returns {Promise<void>}
+     */
+    async importAll(parsed) {
+        const lastLine = parsed.lines[parsed.lines.length - 1];
+        const baseTime = parsed.baseTime ?? (Date.now() - lastLine.end);
+
+        stateManager.updateTimingState({ manualStartTime: baseTime });
+
+        const entries = parsed.lines.map(line => this.commitLine(line, baseTime, 1, { autoTranslate: false }));
+
+        const untranslatedIds = entries.filter(entry => !entry.translatedText).map(entry => entry.id);
+        if (stateManager.getState('config.autoTranslate') && untranslatedIds.length > 0 && window.uiController) {
+            await window.uiController.translateEntries(untranslatedIds, { origin: 'auto' });
+        }
+    }
+
+    /**
+     * 元のタイミングでの再生開始
+     * 各行を開始時刻に表示し、自動翻訳などは音声認識中と同じように動作する
+     *
+     * @param {Array<Object>} lines - 読み込む行
+     * @param {number} speed - 再生速度（2で2倍速）
+     */
+    startReplay(lines, speed) {
+        this.replayLines = lines;
+        this.replayIndex = 0;
+        this.replaySpeed = speed;
+        this.replayBaseTime = Date.now();
+
+        stateManager.updateTimingState({ manualStartTime: this.replayBaseTime });
+
+        this.elements.$replayBar.removeClass('d-none');
+        this.updateReplayProgress();
+        this.scheduleNextLine();
+    }
+
+    /**
+     * 次の行の表示を予約
+     * @private
+     */
+    scheduleNextLine() {
+        const line = this.replayLines[this.replayIndex];
+        if (!line) {
+            this.stopReplay();
+            return;
+        }
+
+        const delay = Math.max(0, this.replayBaseTime + line.start / this.replaySpeed - Date.now());
+
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            this.commitLine(line, this.replayBaseTime, this.replaySpeed);
+            this.replayIndex++;
+            this.updateReplayProgress();
+            this.scheduleNextLine();
+        }, delay);
+    }
+
+    /**
+     * 再生の停止（表示済みの行はそのまま残す）
+     */
+    stopReplay() {
+        clearTimeout(this.replayTimer);
+        this.replayTimer = null;
+        this.replayLines = [];
+        this.replayIndex = 0;
+
+        if (this.elements.$replayBar) {
+            this.elements.$replayBar.addClass('d-none');
+        }
+    }
+
+    /**
+     * 再生中かどうか
+     *
+     * @returns {boolean} 再生中か
+     */
+    isReplaying() {
+        return this.replayLines.length > 0;
+    }
+
+    /**
+     * 再生の進捗表示の更新
+     * @private
+     */
+    updateReplayProgress() {
+        const speedLabel = this.replaySpeed !== 1 ? `（${this.replaySpeed}倍速）` : '';
+        this.elements.$replayProgress.text(`再生中 ${this.replayIndex} / ${this.replayLines.length} 行${speedLabel}`);
+    }
+
+    /**
+     * 1行をテキスト履歴に追加して表示
+     * 音声認識の確定結果と同じ形式でtextRecognizedイベントを発火する
+     * @private
+     *
+     * @param {Object} line - 読み込んだ行
+     * @param {number} baseTime - 経過時間0の時刻
+     * @param {number} speed - 再生速度（行の時刻の換算用）
+     * @param {Object} [options={}] - 表示オプション
+     * @param {boolean} [options.autoTranslate] - falseの場合は自動翻訳しない
+     * @returns {Object} 追加したテキスト履歴のエントリ
+     */
+    commitLine(line, baseTime, speed, options = {}) {
+        const speechStartTime = baseTime + line.start / speed;
+        const finalTime = baseTime + line.end / speed;
+        const { start, end, text, ...details } = line;
+
+        const entry = stateManager.addTextHistory({
+            rawText: null,
+            appliedRules: [],
+            language: stateManager.getState('config.language'),
+            confidence: null,
+            alternatives: [],
+            autoCommitted: false,
+            fragments: null,
+            ...details,
+            originalText: text,
+            speechStartTime,
+            finalTime,
+            renderTime: null,
+            offset: stateManager.getStreamOffset(speechStartTime),
+            imported: true
+        });
+
+        $(document).trigger('textRecognized', {
+            id: entry.id,
+            text,
+            confidence: entry.confidence,
+            alternatives: entry.alternatives,
+            autoCommitted: entry.autoCommitted,
+            rawText: entry.rawText,
+            appliedRules: entry.appliedRules,
+            fragments: entry.fragments,
+            speechStartTime,
+            offset: entry.offset,
+            translatedText: entry.translatedText || null,
+            autoTranslate: options.autoTranslate
+        });
+
+        return entry;
+    }
+
+    /**
+     * ファイル内容の解析
+     * 拡張子で形式を判定し、判定できない場合は内容から推定する
+     *
+     * @param {string} content - ファイル内容
+     * @param {string} [fileName=''] - ファイル名
+     * @returns {{format: string, name: string, language: string|null, baseTime: number|null, lines: Array<Object>}} 解析結果（行は開始時刻順、時刻は経過時間ms）
+     * @throws {Error} 形式が不正、または読み込める行がない場合
+     */
+    static parse(content, fileName = '') {
+        const text = (content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const format = TranscriptImporter.detectFormat(text, fileName);
+        const parsers = {
+            json: () => TranscriptImporter.parseJson(text),
+            vtt: () => ({ lines: TranscriptImporter.parseCues(text) }),
+            srt: () => ({ lines: TranscriptImporter.parseCues(text) }),
+            txt: () => ({ lines: TranscriptImporter.parseText(text) })
+        };
+
+        const result = parsers[format]();
+        const lines = result.lines
+            .filter(line => line.text)
+            .sort((a, b) => a.start - b.start);
+
+        if (lines.length === 0) {
+            throw new Error('読み込める行がありません');
+        }
+
+        return {
+            format,
+            name: result.name || fileName.replace(/\.[^.]+$/, '') || '読み込んだ文字起こし',
+            language: result.language || null,
+            baseTime: result.baseTime ?? null,
+            lines
+        };
+    }
+
+    /**
+     * 形式の判定
+     *
+     * @param {string} text - ファイル内容
+     * @param {string} fileName - ファイル名
+     * @returns {string} 形式（json, vtt, srt, txt）
+     */
+    static detectFormat(text, fileName) {
+        const extension = (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+        if (['json', 'vtt', 'srt', 'txt'].includes(extension)) {
+            return extension;
+        }
+
+        const head = text.trimStart();
+        if (head.startsWith('{') || head.startsWith('[')) return 'json';
+        if (head.startsWith('WEBVTT')) return 'vtt';
+        if (text.split('\n').some(line => TRANSCRIPT_IMPORTER_CONSTANTS.CUE_TIME_PATTERN.test(line))) return 'srt';
+        return 'txt';
+    }
+
+    /**
+     * 書き出したJSONの解析
+     * 書き出し形式（{ session: { lines } }）、セッション（{ lines }）、行の配列に対応し、
+     * 信頼度・置換・翻訳などの行の情報と元の時刻を保持する
+     *
+     * @param {string} text - JSON文字列
+     * @returns {Object} 解析結果
+     * @throws {Error} JSONの形式が不正な場合
+     */
+    static parseJson(text) {
+        const data = Utils.safeJsonParse(text);
+        const session = data?.session || (Array.isArray(data) ? { lines: data } : data);
+
+        if (!Array.isArray(session?.lines)) {
+            throw new Error('JSONの形式が不正です（linesが見つかりません）');
+        }
+
+        const getStart = (line) => line.speechStartTime ?? line.timestamp ?? 0;
+        const firstStart = session.lines.length > 0 ? Math.min(...session.lines.map(getStart)) : 0;
+        const baseTime = session.streamStartTime ?? firstStart;
+
+        const lines = session.lines.map(line => {
+            // 翻訳状態は読み込み後に翻訳の有無から決め直す
+            const { id, originalText, text, speechStartTime, finalTime, renderTime, offset, timestamp, imported,
+                translationStatus, translationError, translationErrorCode, translationAttempts, partialTranslation,
+                translationSuggestion,
+                displayMode, ...details } = line;
+            const start = Math.max(0, getStart(line) - baseTime);
+            const end = Math.max((finalTime ?? getStart(line)) - baseTime, start + TRANSCRIPT_IMPORTER_CONSTANTS.MIN_LINE_DURATION);
+
+            return { ...details, text: Utils.trimText(String(originalText ?? text ?? '')), start, end };
+        });
+
+        return { name: session.name, language: session.language, baseTime, lines };
+    }
+
+    /**
+     * SRT・WebVTTのキューの解析
+     * 番号・識別子・ヘッダー・NOTEブロックを無視し、複数行の本文は1行に結合する
+     *
+     * @param {string} text - ファイル内容
+     * @returns {Array<Object>} 行の配列
+     * @throws {Error} キューが1つもない場合
+     */
+    static parseCues(text) {
+        const lines = [];
+
+        text.split(/\n{2,}/).forEach(block => {
+            const blockLines = block.split('\n');
+            const timingIndex = blockLines.findIndex(line => TRANSCRIPT_IMPORTER_CONSTANTS.CUE_TIME_PATTERN.test(line));
+            if (timingIndex === -1) return;
+
+            const [, startText, endText] = blockLines[timingIndex].match(TRANSCRIPT_IMPORTER_CONSTANTS.CUE_TIME_PATTERN);
+            const body = blockLines.slice(timingIndex + 1)
+                .map(line => TranscriptImporter.stripCueMarkup(line))
+                .filter(Boolean)
+                .join(' ');
+
+            const start = TranscriptImporter.parseCueTime(startText);
+            lines.push({
+                text: body,
+                start,
+                end: Math.max(TranscriptImporter.parseCueTime(endText), start + TRANSCRIPT_IMPORTER_CONSTANTS.MIN_LINE_DURATION)
+            });
+        });
+
+        if (lines.length === 0) {
+            throw new Error('字幕の時刻（00:00:00,000 --> 00:00:00,000）が見つかりません');
+        }
+
+        return lines;
+    }
+
+    /**
+     * プレーンテキストの解析
+     * 書き出したテキストの [hh:mm:ss] 形式の時刻に対応し、時刻のない行は一定間隔で配置する
+     *
+     * @param {string} text - ファイル内容
+     * @returns {Array<Object>} 行の配列
+     */
+    static parseText(text) {
+        const interval = TRANSCRIPT_IMPORTER_CONSTANTS.TEXT_LINE_INTERVAL;
+        let nextStart = 0;
+
+        return text.split('\n')
+            .map(line => Utils.trimText(line))
+            .filter(Boolean)
+            .map(line => {
+                const match = line.match(TRANSCRIPT_IMPORTER_CONSTANTS.TEXT_TIMESTAMP_PATTERN);
+                const start = match ? TranscriptImporter.parseCueTime(match[1]) : nextStart;
+                nextStart = start + interval;
+
+                return {
+                    text: match ? Utils.trimText(line.slice(match[0].length)) : line,
+                    start,
+                    end: start + interval
+                };
+            });
+    }
+
+    /**
+     * 字幕の時刻表記をミリ秒に変換（hh:mm:ss,mmm / mm:ss.mmm / hh:mm:ss）
+     *
+     * @param {string} value - 時刻表記
+     * @returns {number} ミリ秒
+     */
+    static parseCueTime(value) {
+        const [clock, fraction = '0'] = value.trim().split(/[,.]/);
+        const parts = clock.split(':').map(part => parseInt(part, 10));
+        const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+
+        return seconds * 1000 + parseInt(fraction.padEnd(3, '0').slice(0, 3), 10);
+    }
+
+    /**
+     * 字幕本文の書式タグの除去（<i>、<v 話者>、{\an8} など）
+     *
+     * @param {string} line - 本文の1行
+     * @returns {string} テキストのみの行
+     */
+    static stripCueMarkup(line) {
+        const div = document.createElement('div');
+        div.innerHTML = line.replace(/\{\\[^}]*\}/g, '').replace(/<[^>]*>/g, '');
+        return Utils.trimText(div.textContent);
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.transcriptImporter = new TranscriptImporter();
+    window.TranscriptImporter = TranscriptImporter;
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * 文字起こし表示モジュール
+ * English Speech to Text
+ *
+ * テキスト履歴を仮想化リストとしてメインテキストエリアに描画する
+ * 表示範囲付近の行だけをDOMに置き、範囲外の行は高さ分の余白で置き換えるため、
+ * 最大表示行数を無制限にして数時間分の行を保持しても描画が重くならない
+ *
+ * 機能概要:
+ * - 表示範囲と前後の余裕分の行のみを描画（スクロールに追従して差し替え）
+ * - 行ごとの実測高さのキャッシュ（未計測の行は平均の高さで見積もり）
+ * - 各行の上端位置の累積のキャッシュ（変更のあった行以降のみ再計算し、表示範囲は二分探索で算出）
+ * - 行単位の再描画（翻訳状態や原文の変更時）
+ */
+
+// 仮想化リスト設定定数
+const TRANSCRIPT_VIEW_CONSTANTS = {
+    ESTIMATED_ROW_HEIGHT: 64,   // 未計測の行の見積もり高さ（px）
+    ESTIMATE_TOLERANCE: 0.2,    // 見積もり高さを実測の平均に合わせ直すずれの割合
+    OVERSCAN: 600               // 表示範囲の上下に余分に描画する高さ（px）
+};
+
+class TranscriptView {
+    /**
+     * @param {Object} options - オプション
+     * @param {jQuery} options.$container - スクロールするコンテナ要素
+     * @param {Function} options.getEntries - 表示する行（古い順）を返す関数
+     * @param {Function} options.renderRow - 行を受け取り行要素（jQuery）を返す関数
+     */
+    constructor(options) {
+        this.$container = options.$container;
+        this.getEntries = options.getEntries;
+        this.renderRow = options.renderRow;
+
+        this.heights = new Map();     // 行IDごとの実測高さ
+        this.measuredTotal = 0;       // 実測高さの合計（平均の見積もり用）
+        this.estimatedHeight = TRANSCRIPT_VIEW_CONSTANTS.ESTIMATED_ROW_HEIGHT; // 未計測の行の見積もり高さ
+        this.offsets = [0];           // 各行の上端位置の累積（末尾は全体の高さ）
+        this.offsetIds = [];          // 上端位置を計算した行のID（古い順）
+        this.indexById = new Map();   // 行ID → 行の位置
+        this.validCount = 0;          // 上端位置が有効な行数（これ以降の行は次の描画で再計算）
+        this.rows = new Map();        // 描画中の行ID → 行要素
+        this.renderFrame = null;      // 描画予約（requestAnimationFrame）
+
+        this.$topSpacer = $('<div class="transcript-spacer"></div>');
+        this.$rows = $('<div class="transcript-rows"></div>');
+        this.$bottomSpacer = $('<div class="transcript-spacer"></div>');
+    }
+
+    /**
+     * コンテナへの構造の配置とスクロール監視の開始
+     */
+    mount() {
+        this.$container.prepend(this.$topSpacer, this.$rows, this.$bottomSpacer);
+
+        this.$container.on('scroll', () => {
+            this.scheduleRender();
+        });
+    }
+
+    /**
+     * 次の描画フレームでの再描画を予約（連続する更新はまとめて描画）
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * 表示範囲の行を描画
+     * 範囲外になった行を除去し、範囲内の未描画の行を順序どおりに挿入する
+     */
+    render() {
+        const entries = this.getEntries();
+        const container = this.$container[0];
+        const offsets = this.updateOffsets(entries);
+        const { start, end } = this.getVisibleRange(offsets, container.scrollTop, container.clientHeight);
+        const visibleIds = new Set(entries.slice(start, end).map(entry => entry.id));
+
+        // 範囲外の行を除去
+        this.rows.forEach(($row, id) => {
+            if (!visibleIds.has(id)) {
+                $row.remove();
+                this.rows.delete(id);
+            }
+        });
+
+        // 範囲内の行を順序どおりに配置（描画済みの行は再利用）
+        let $previous = null;
+        for (let index = start; index < end; index++) {
+            const entry = entries[index];
+            let $row = this.rows.get(entry.id);
+
+            if (!$row) {
+                $row = this.renderRow(entry);
+                this.rows.set(entry.id, $row);
+            }
+
+            if ($previous) {
+                if ($previous.next()[0] !== $row[0]) $previous.after($row);
+            } else if (this.$rows.children().first()[0] !== $row[0]) {
+                this.$rows.prepend($row);
+            }
+            $previous = $row;
+        }
+
+        // 実測高さを記録し（高さが変わった行以降のみ再計算）、余白で範囲外の行の高さを確保
+        this.measureRows();
+        this.pruneHeights(entries);
+        this.updateOffsets(entries);
+
+        this.$topSpacer.css('height', `${offsets[start]}px`);
+        this.$bottomSpacer.css('height', `${Math.max(0, offsets[entries.length] - offsets[end])}px`);
+    }
+
+    /**
+     * 表示範囲の行の位置を算出
+     * 先頭の行は上端位置の累積から二分探索で求める
+     * @private
+     *
+     * @param {Array<number>} offsets - 各行の上端位置（updateOffsetsで算出）
+     * @param {number} scrollTop - スクロール位置
+     * @param {number} viewportHeight - 表示領域の高さ
+     * @returns {{start: number, end: number}} 描画する行の範囲
+     */
+    getVisibleRange(offsets, scrollTop, viewportHeight) {
+        const count = offsets.length - 1;
+        const top = Math.max(0, scrollTop - TRANSCRIPT_VIEW_CONSTANTS.OVERSCAN);
+        const bottom = scrollTop + viewportHeight + TRANSCRIPT_VIEW_CONSTANTS.OVERSCAN;
+
+        // 下端がtop以下の行（範囲より上の行）の数
+        let low = 0;
+        let high = count;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (offsets[middle + 1] <= top) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const start = low;
+        let end = start;
+        while (end < count && offsets[end] < bottom) {
+            end++;
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * 各行の上端位置（末尾は全体の高さ）の更新
+     * 前回の計算から変わった行（追加された行・高さが変わった行）以降のみ再計算し、
+     * 先頭の行が変わった場合（古い行の削除・履歴の置き換え）や見積もり高さを合わせ直した場合は全体を再計算する
+     * @private
+     *
+     * @param {Array<Object>} entries - 行（古い順）
+     * @returns {Array<number>} 上端位置の配列（要素数は行数+1）
+     */
+    updateOffsets(entries) {
+        const ids = this.offsetIds;
+        const lastValid = this.validCount - 1;
+        if (ids.length > 0 && (entries[0]?.id !== ids[0] || (lastValid >= 0 && entries[lastValid]?.id !== ids[lastValid]))) {
+            this.validCount = 0;
+        }
+
+        // 未計測の行の見積もり高さを実測の平均に合わせ直す（ずれが大きい場合のみ）
+        if (this.heights.size > 0) {
+            const average = this.measuredTotal / this.heights.size;
+            if (Math.abs(average - this.estimatedHeight) > this.estimatedHeight * TRANSCRIPT_VIEW_CONSTANTS.ESTIMATE_TOLERANCE) {
+                this.estimatedHeight = average;
+                this.validCount = 0;
+            }
+        }
+
+        if (this.validCount === 0) {
+            this.indexById.clear();
+        }
+
+        const offsets = this.offsets;
+        for (let index = this.validCount; index < entries.length; index++) {
+            const id = entries[index].id;
+            ids[index] = id;
+            this.indexById.set(id, index);
+            offsets[index + 1] = offsets[index] + this.getRowHeight(id);
+        }
+
+        offsets.length = entries.length + 1;
+        ids.length = entries.length;
+        this.validCount = entries.length;
+
+        return offsets;
+    }
+
+    /**
+     * 行の高さを取得（未計測の場合は見積もり高さ）
+     * @private
+     *
+     * @param {string} id - 行ID
+     * @returns {number} 高さ（px）
+     */
+    getRowHeight(id) {
+        return this.heights.has(id) ? this.heights.get(id) : this.estimatedHeight;
+    }
+
+    /**
+     * 行の実測高さの記録・破棄
+     * 高さが変わった場合は、その行以降の上端位置を次の描画で再計算する
+     * @private
+     *
+     * @param {string} id - 行ID
+     * @param {number|null} height - 高さ（nullで破棄）
+     */
+    setRowHeight(id, height) {
+        if ((this.heights.get(id) ?? null) === height) return;
+
+        const index = this.indexById.get(id);
+        if (index !== undefined) {
+            this.validCount = Math.min(this.validCount, index);
+        }
+
+        if (this.heights.has(id)) {
+            this.measuredTotal -= this.heights.get(id);
+            this.heights.delete(id);
+        }
+        if (height !== null) {
+            this.heights.set(id, height);
+            this.measuredTotal += height;
+        }
+    }
+
+    /**
+     * 履歴から削除された行（最大表示行数を超えて古い行が削除された場合など）の実測高さを破棄
+     * 記録数が行数を超えた時のみ走査する
+     * @private
+     *
+     * @param {Array<Object>} entries - 行（古い順）
+     */
+    pruneHeights(entries) {
+        if (this.heights.size <= entries.length) return;
+
+        const ids = new Set(entries.map(entry => entry.id));
+        Array.from(this.heights.keys())
+            .filter(id => !ids.has(id))
+            .forEach(id => this.setRowHeight(id, null));
+    }
+
+    /**
+     * 描画中の行の高さを計測（非表示などで高さが0の場合は記録しない）
+     * @private
+     */
+    measureRows() {
+        this.rows.forEach(($row, id) => {
+            const height = $row.outerHeight(true);
+            if (height > 0) {
+                this.setRowHeight(id, height);
+            }
+        });
+    }
+
+    /**
+     * 行の再描画（翻訳状態や原文の変更時）
+     * 描画範囲外の行は次に表示される時に最新の内容で描画される
+     *
+     * @param {string} id - 行ID
+     */
+    updateRow(id) {
+        const $row = this.rows.get(id);
+        if (!$row) return;
+
+        // 行の位置から取得（古い行の削除で位置がずれている場合は検索）
+        const entries = this.getEntries();
+        let entry = entries[this.indexById.get(id)];
+        if (entry?.id !== id) {
+            entry = entries.find(item => item.id === id);
+        }
+        if (!entry) return;
+
+        const $newRow = this.renderRow(entry);
+        $row.replaceWith($newRow);
+        this.rows.set(id, $newRow);
+        this.setRowHeight(id, null);
+        this.scheduleRender();
+    }
+
+    /**
+     * 描画中の行要素を取得
+     *
+     * @param {string} id - 行ID
+     * @returns {jQuery|null} 行要素（範囲外の場合はnull）
+     */
+    getRow(id) {
+        return this.rows.get(id) || null;
+    }
+
+    /**
+     * 全行の破棄と再描画（履歴の置き換え・クリア時）
+     */
+    reset() {
+        this.rows.forEach($row => $row.remove());
+        this.rows.clear();
+        this.heights.clear();
+        this.measuredTotal = 0;
+        this.estimatedHeight = TRANSCRIPT_VIEW_CONSTANTS.ESTIMATED_ROW_HEIGHT;
+        this.validCount = 0;
+        this.render();
+    }
+}
+
+// グローバルに公開（UIコントローラーがインスタンスを保持）
+try {
+    window.TranscriptView = TranscriptView;
+} catch (error) {
+}
\ No newline at end of file
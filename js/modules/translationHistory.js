@@ -0,0 +1,182 @@
+/**
+ * 翻訳履歴モジュール
+ * English Speech to Text
+ *
+ * 実行したすべての翻訳（原文・訳文・モデル・翻訳スタイル・日時・翻訳の起点）を記録し、localStorageに保存する
+ * クイック翻訳エリアには最新の翻訳しか表示されないため、過去の翻訳の検索・再利用に使用する
+ *
+ * 機能概要:
+ * - 翻訳の記録（自動翻訳・行の翻訳・手動翻訳の区別、翻訳メモリからの再利用の有無）
+ * - 保存件数の上限管理（ピン留めしていない古いものから削除）
+ * - 全文検索・起点・ピン留めでの絞り込み
+ * - ピン留め・削除・全削除（ピン留めしたものは残す）
+ * - 変更時のイベント通知（translationHistoryChanged）
+ */
+
+// 翻訳履歴設定定数
+const TRANSLATION_HISTORY_CONSTANTS = {
+    MAX_ENTRIES: 500,                          // 保存する最大件数（ピン留めしたものは数えない）
+    ORIGINS: ['auto', 'panel', 'manual']       // 翻訳の起点（自動翻訳・行の翻訳・手動翻訳）
+};
+
+class TranslationHistory {
+    constructor() {
+        this.storageKey = `${APP_CONFIG.STORAGE_CONFIG.KEY_PREFIX}${APP_CONFIG.STORAGE_CONFIG.TRANSLATION_HISTORY_KEY}`;
+        this.entries = [];    // 翻訳履歴（新しい順）
+    }
+
+    /**
+     * 保存済みの翻訳履歴の読み込み
+     */
+    initialize() {
+        this.entries = this.load();
+    }
+
+    /**
+     * localStorageからの読み込み
+     * @private
+     *
+     * @returns {Array<Object>} 翻訳履歴（データ破損時は空配列）
+     */
+    load() {
+        try {
+            const entries = Utils.safeJsonParse(localStorage.getItem(this.storageKey), []);
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * localStorageへの保存と変更の通知
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+
+        $(document).trigger('translationHistoryChanged');
+    }
+
+    /**
+     * 翻訳の記録
+     *
+     * @param {Object} params - 翻訳の内容
+     * @param {string} params.sourceText - 原文
+     * @param {string} params.translatedText - 訳文
+     * @param {string} params.model - 翻訳に使用したモデル
+     * @param {string} [params.style] - 翻訳スタイル（プロンプトを使わない翻訳サービスでは空）
+     * @param {string} [params.origin='manual'] - 翻訳の起点（auto: 自動翻訳、panel: 行の翻訳、manual: 手動翻訳）
+     * @param {boolean} [params.fromMemory] - 翻訳メモリから再利用した翻訳か
+     * @returns {Object} 記録した翻訳履歴
+     */
+    record(params) {
+        const entry = {
+            id: Utils.generateId('translation'),
+            sourceText: params.sourceText,
+            translatedText: params.translatedText,
+            model: params.model || '',
+            style: params.style || '',
+            origin: TRANSLATION_HISTORY_CONSTANTS.ORIGINS.includes(params.origin) ? params.origin : 'manual',
+            fromMemory: !!params.fromMemory,
+            pinned: false,
+            createdAt: Date.now()
+        };
+
+        this.entries.unshift(entry);
+        this.prune();
+        this.save();
+
+        return entry;
+    }
+
+    /**
+     * 保存件数の上限を超えた古い翻訳の削除（ピン留めしたものは残す）
+     * @private
+     */
+    prune() {
+        let unpinnedCount = 0;
+        this.entries = this.entries.filter(entry => {
+            if (entry.pinned) return true;
+            unpinnedCount++;
+            return unpinnedCount <= TRANSLATION_HISTORY_CONSTANTS.MAX_ENTRIES;
+        });
+    }
+
+    /**
+     * 絞り込み条件に一致する翻訳履歴の取得（ピン留めしたものを先頭に、新しい順）
+     *
+     * @param {Object} [filters={}] - 絞り込み条件
+     * @param {string} [filters.query] - 原文・訳文・モデル・翻訳スタイルの検索文字列（空白区切りですべてを含むもの）
+     * @param {string} [filters.origin] - 翻訳の起点（省略時はすべて）
+     * @param {boolean} [filters.pinnedOnly] - ピン留めしたもののみ
+     * @returns {Array<Object>} 翻訳履歴
+     */
+    list(filters = {}) {
+        const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.entries
+            .filter(entry => {
+                if (filters.origin && entry.origin !== filters.origin) return false;
+                if (filters.pinnedOnly && !entry.pinned) return false;
+
+                const haystack = [entry.sourceText, entry.translatedText, entry.model, entry.style].join('\n').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => (b.pinned - a.pinned) || (b.createdAt - a.createdAt));
+    }
+
+    /**
+     * IDによる翻訳履歴の取得
+     *
+     * @param {string} id - 翻訳履歴のID
+     * @returns {Object|null} 翻訳履歴
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * ピン留めの設定・解除
+     *
+     * @param {string} id - 翻訳履歴のID
+     * @param {boolean} pinned - ピン留めするか
+     */
+    setPinned(id, pinned) {
+        const entry = this.get(id);
+        if (!entry) {
+            return;
+        }
+
+        entry.pinned = !!pinned;
+        this.prune();
+        this.save();
+    }
+
+    /**
+     * 翻訳履歴の削除
+     *
+     * @param {string} id - 翻訳履歴のID
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * ピン留めしていない翻訳履歴の全削除
+     */
+    clear() {
+        this.entries = this.entries.filter(entry => entry.pinned);
+        this.save();
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.translationHistory = new TranslationHistory();
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * 翻訳履歴パネルモジュール
+ * English Speech to Text
+ *
+ * TranslationHistoryに記録された翻訳をクイック翻訳エリア横のドロワーに一覧表示し、
+ * 過去の翻訳の検索・コピー・再翻訳・ピン留めを行う
+ *
+ * 機能概要:
+ * - 翻訳履歴の一覧（ピン留めしたものを先頭に新しい順、原文・訳文・モデル・翻訳の起点・日時を表示）
+ * - 全文検索・翻訳の起点・ピン留めでの絞り込み
+ * - 訳文のコピー、現在の設定での再翻訳（結果はクイック翻訳エリアに表示）
+ * - ピン留め・削除・ピン留めしていない履歴の全削除
+ * - 表示中は新しい翻訳の記録に合わせて一覧を更新
+ */
+
+// 翻訳履歴パネル設定定数
+const TRANSLATION_HISTORY_PANEL_CONSTANTS = {
+    MAX_ROWS: 200,    // 一覧に表示する最大件数（絞り込みで対象を減らす）
+    ORIGIN_LABELS: {
+        auto: '自動翻訳',
+        panel: '行の翻訳',
+        manual: '手動翻訳'
+    }
+};
+
+class TranslationHistoryPanel {
+    constructor() {
+        this.elements = {};
+        this.isOpen = false;    // ドロワーの表示中か
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     */
+    initialize() {
+        this.elements = {
+            $drawer: $('#translationHistoryDrawer'),
+            $search: $('#translation-history-search'),
+            $origin: $('#translation-history-origin'),
+            $pinnedOnly: $('#translation-history-pinned-only'),
+            $count: $('#translation-history-count'),
+            $clearBtn: $('#translation-history-clear-btn'),
+            $list: $('#translation-history-list'),
+            $emptyMessage: $('#translation-history-empty-message')
+        };
+
+        this.elements.$drawer.on('show.bs.offcanvas', () => {
+            this.isOpen = true;
+            this.render();
+        });
+
+        this.elements.$drawer.on('hidden.bs.offcanvas', () => {
+            this.isOpen = false;
+        });
+
+        this.elements.$search.on('input', Utils.debounce(() => {
+            this.render();
+        }, 200));
+
+        this.elements.$origin.on('change', () => this.render());
+        this.elements.$pinnedOnly.on('change', () => this.render());
+
+        this.elements.$clearBtn.on('click', () => {
+            this.clearAll();
+        });
+
+        // 一覧の操作（コピー・再翻訳・ピン留め・削除）
+        this.elements.$list.on('click', '.translation-history-copy-btn', (e) => {
+            this.copyTranslation($(e.currentTarget).closest('.translation-history-item').data('id'), $(e.currentTarget));
+        });
+
+        this.elements.$list.on('click', '.translation-history-retranslate-btn', (e) => {
+            this.retranslate($(e.currentTarget).closest('.translation-history-item').data('id'));
+        });
+
+        this.elements.$list.on('click', '.translation-history-pin-btn', (e) => {
+            const id = $(e.currentTarget).closest('.translation-history-item').data('id');
+            translationHistory.setPinned(id, !translationHistory.get(id)?.pinned);
+        });
+
+        this.elements.$list.on('click', '.translation-history-delete-btn', (e) => {
+            translationHistory.remove($(e.currentTarget).closest('.translation-history-item').data('id'));
+        });
+
+        // 表示中は翻訳の記録・変更に合わせて更新
+        $(document).on('translationHistoryChanged', () => {
+            if (this.isOpen) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * 絞り込み条件に一致する翻訳履歴の一覧を描画
+     */
+    render() {
+        const entries = translationHistory.list({
+            query: this.elements.$search.val().trim(),
+            origin: this.elements.$origin.val(),
+            pinnedOnly: this.elements.$pinnedOnly.prop('checked')
+        });
+        const visibleEntries = entries.slice(0, TRANSLATION_HISTORY_PANEL_CONSTANTS.MAX_ROWS);
+
+        this.elements.$list.empty();
+        this.elements.$emptyMessage.toggleClass('d-none', entries.length > 0);
+        this.elements.$clearBtn.prop('disabled', !translationHistory.entries.some(entry => !entry.pinned));
+        this.elements.$count.text(entries.length > visibleEntries.length
+            ? `${entries.length}件中${visibleEntries.length}件を表示`
+            : `${entries.length}件`);
+
+        visibleEntries.forEach(entry => {
+            this.elements.$list.append(this.createEntryItem(entry));
+        });
+    }
+
+    /**
+     * 翻訳履歴1件分の要素を構築
+     *
+     * @param {Object} entry - 翻訳履歴
+     * @returns {jQuery} 一覧の項目要素
+     */
+    createEntryItem(entry) {
+        const originLabel = TRANSLATION_HISTORY_PANEL_CONSTANTS.ORIGIN_LABELS[entry.origin] || entry.origin;
+        const memoryBadge = entry.fromMemory
+            ? '<span class="badge bg-light text-secondary memory-badge" title="翻訳メモリの翻訳を再利用しました">メモリ</span>'
+            : '';
+
+        const $item = $(`
+            <div class="list-group-item translation-history-item${entry.pinned ? ' pinned' : ''}">
+                <div class="d-flex justify-content-between align-items-start">
+                    <small class="text-muted">
+                        ${Utils.escapeHtml(new Date(entry.createdAt).toLocaleString('ja-JP'))}
+                        <span class="badge bg-secondary ms-1">${Utils.escapeHtml(originLabel)}</span>
+                        ${memoryBadge}
+                    </small>
+                    <div class="btn-group btn-group-sm flex-shrink-0 ms-2">
+                        <button type="button" class="btn btn-outline-secondary translation-history-copy-btn" title="訳文をコピー">
+                            <i class="bi bi-clipboard"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary translation-history-retranslate-btn" title="現在の設定で再翻訳">
+                            <i class="bi bi-arrow-repeat"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary translation-history-pin-btn" title="${entry.pinned ? 'ピン留めを解除' : 'ピン留め'}">
+                            <i class="bi ${entry.pinned ? 'bi-pin-fill' : 'bi-pin'}"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-danger translation-history-delete-btn" title="この翻訳履歴を削除">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="translation-history-source small text-muted mt-1"></div>
+                <div class="translation-history-translated"></div>
+                <div class="translation-history-meta small text-muted"></div>
+            </div>
+        `);
+
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $item.data('id', entry.id);
+        $item.find('.translation-history-source').text(entry.sourceText);
+        $item.find('.translation-history-translated').text(entry.translatedText);
+        $item.find('.translation-history-meta').text([entry.model, entry.style].filter(Boolean).join(' / '));
+
+        return $item;
+    }
+
+    /**
+     * 訳文のクリップボードへのコピー
+     *
+     * @param {string} id - 翻訳履歴のID
+     * @param {jQuery} $button - 押されたボタン（結果をアイコンで表示）
+     * @returns {Promise<void>}
+     */
+    async copyTranslation(id, $button) {
+        const entry = translationHistory.get(id);
+        if (!entry) {
+            return;
+        }
+
+        const $icon = $button.find('i');
+        try {
+            await navigator.clipboard.writeText(entry.translatedText);
+            $icon.attr('class', 'bi bi-check-lg');
+        } catch (error) {
+            $icon.attr('class', 'bi bi-x-lg');
+        }
+
+        setTimeout(() => $icon.attr('class', 'bi bi-clipboard'), 1500);
+    }
+
+    /**
+     * 現在の設定（翻訳サービス・モデル・翻訳スタイル）での再翻訳
+     * 翻訳メモリを使わずに翻訳し、結果はクイック翻訳エリアに表示して新しい履歴として記録する
+     *
+     * @param {string} id - 翻訳履歴のID
+     * @returns {Promise<void>}
+     */
+    async retranslate(id) {
+        const entry = translationHistory.get(id);
+        if (!entry || !window.geminiTranslator) {
+            return;
+        }
+
+        await window.geminiTranslator.translate(entry.sourceText, { origin: 'manual', skipMemory: true });
+    }
+
+    /**
+     * ピン留めしていない翻訳履歴の全削除（確認あり）
+     */
+    clearAll() {
+        const count = translationHistory.entries.filter(entry => !entry.pinned).length;
+        if (count === 0 || !confirm(`ピン留めしていない${count}件の翻訳履歴を削除しますか？この操作は元に戻せません。`)) {
+            return;
+        }
+
+        translationHistory.clear();
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.translationHistoryPanel = new TranslationHistoryPanel();
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,392 @@
+/**
+ * 翻訳メモリモジュール
+ * English Speech to Text
+ *
+ * 翻訳結果をIndexedDBに保存し、同じ原文の翻訳に再利用する
+ * 配信で繰り返される挨拶や決まり文句をAPIに送らず、利用枠と待ち時間を節約する
+ * 直近に使った翻訳はメモリ上のLRUキャッシュに保持し、IndexedDBへの問い合わせを省く
+ *
+ * 機能概要:
+ * - 正規化した原文・翻訳先言語・モデル・翻訳スタイルをキーにした翻訳の保存と検索
+ * - メモリ上のLRUキャッシュ（件数上限を超えると最も古く使われたものから破棄）
+ * - 保存件数の上限管理（最も古く使われたものから削除）
+ * - ほぼ同じ原文の過去の翻訳の検索（類似度による曖昧一致）
+ * - 一覧取得・訳文の編集・削除・全削除（翻訳メモリの管理画面用）
+ */
+
+// 翻訳メモリ設定定数
+const TRANSLATION_MEMORY_CONSTANTS = {
+    DB_NAME: 'english-speech-to-text-translation-memory', // IndexedDBのデータベース名
+    DB_VERSION: 1,                      // データベースのバージョン
+    STORE_NAME: 'translations',         // 翻訳のオブジェクトストア名
+    LRU_SIZE: 500,                      // メモリ上に保持する件数
+    MAX_ENTRIES: 5000,                  // IndexedDBに保存する最大件数
+    FUZZY_THRESHOLD: 0.85,              // 類似訳として提案する類似度の下限（0〜1）
+    FUZZY_MIN_LENGTH: 8                 // 類似訳を検索する原文の最小文字数（短い文は一致のみ）
+};
+
+class TranslationMemory {
+    constructor() {
+        this.db = null;                // IndexedDB接続
+        this.cache = new Map();        // LRUキャッシュ（キー → 保存データ、末尾が最近使用したもの）
+    }
+
+    /**
+     * データベースを開く
+     *
+     * @returns {Promise<boolean>} 初期化成功可否（失敗時は翻訳メモリなしで動作）
+     */
+    async initialize() {
+        if (!TranslationMemory.isSupported()) {
+            return false;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            return true;
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * ブラウザの対応状況確認
+     *
+     * @returns {boolean} IndexedDBが利用可能か
+     */
+    static isSupported() {
+        return !!window.indexedDB;
+    }
+
+    /**
+     * 翻訳メモリが利用可能か（IndexedDBを開けていて、設定で有効）
+     *
+     * @returns {boolean} 利用可否
+     */
+    isEnabled() {
+        return !!this.db && !!stateManager.getState('config.translationMemoryEnabled');
+    }
+
+    /**
+     * データベースを開く（初回はオブジェクトストアを作成）
+     * @private
+     *
+     * @returns {Promise<IDBDatabase>} データベース接続
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(TRANSLATION_MEMORY_CONSTANTS.DB_NAME, TRANSLATION_MEMORY_CONSTANTS.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(TRANSLATION_MEMORY_CONSTANTS.STORE_NAME)) {
+                    const store = db.createObjectStore(TRANSLATION_MEMORY_CONSTANTS.STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('scope', 'scope');
+                    store.createIndex('lastUsedAt', 'lastUsedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * オブジェクトストアへの単一リクエストを実行
+     * @private
+     *
+     * @param {string} mode - トランザクションモード（readonly, readwrite）
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<any>} リクエストの結果
+     */
+    runRequest(mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('翻訳メモリが利用できません'));
+                return;
+            }
+
+            const transaction = this.db.transaction(TRANSLATION_MEMORY_CONSTANTS.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(TRANSLATION_MEMORY_CONSTANTS.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 原文の正規化（大文字小文字・空白・引用符・文末のピリオドの違いを無視）
+     * 疑問符などは訳が変わるため残す
+     *
+     * @param {string} text - 原文
+     * @returns {string} 正規化した原文
+     */
+    static normalizeText(text) {
+        return String(text || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/\.+$/, '')
+            .trim();
+    }
+
+    /**
+     * 翻訳の条件（翻訳先言語・モデル・翻訳スタイル）を表す文字列
+     * 条件が異なる翻訳は別のものとして保存する
+     *
+     * @param {Object} params - 検索条件（targetLang, model, style）
+     * @returns {string} 条件の文字列
+     */
+    static createScope(params) {
+        return JSON.stringify([params.targetLang || 'ja', params.model || '', params.style || '']);
+    }
+
+    /**
+     * 保存キーの生成
+     *
+     * @param {Object} params - 検索条件（text, targetLang, model, style）
+     * @returns {string} 保存キー
+     */
+    static createKey(params) {
+        return `${TranslationMemory.createScope(params)}\n${TranslationMemory.normalizeText(params.text)}`;
+    }
+
+    /**
+     * LRUキャッシュへの追加（最近使用したものとして末尾に移動）
+     * @private
+     *
+     * @param {Object} record - 保存データ
+     */
+    remember(record) {
+        this.cache.delete(record.key);
+        this.cache.set(record.key, record);
+
+        if (this.cache.size > TRANSLATION_MEMORY_CONSTANTS.LRU_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * 一致する翻訳の検索
+     * LRUキャッシュ、IndexedDBの順に検索し、見つかった翻訳は使用回数と最終使用日時を更新する
+     *
+     * @param {Object} params - 検索条件（text, targetLang, model, style）
+     * @param {Object} [options={}] - 検索オプション
+     * @param {boolean} [options.touch=true] - 使用回数と最終使用日時を更新するか
+     * @returns {Promise<Object|null>} 保存データ（該当なしの場合はnull）
+     */
+    async lookup(params, options = {}) {
+        if (!this.isEnabled()) return null;
+
+        const key = TranslationMemory.createKey(params);
+        let record = this.cache.get(key);
+
+        if (!record) {
+            record = await this.runRequest('readonly', store => store.get(key));
+            if (!record) return null;
+        }
+
+        if (options.touch === false) {
+            return record;
+        }
+
+        record = { ...record, hitCount: (record.hitCount || 0) + 1, lastUsedAt: Date.now() };
+        this.remember(record);
+
+        // 使用状況の更新は翻訳を待たせないよう完了を待たない
+        this.runRequest('readwrite', store => store.put(record)).catch(() => {});
+        return record;
+    }
+
+    /**
+     * ほぼ同じ原文の過去の翻訳の検索（同じ条件の翻訳のみ）
+     * 類似度は正規化した原文の編集距離から求め、下限以上で最も近いものを返す
+     *
+     * @param {Object} params - 検索条件（text, targetLang, model, style）
+     * @returns {Promise<{record: Object, similarity: number}|null>} 最も近い翻訳と類似度（該当なしの場合はnull）
+     */
+    async findSimilar(params) {
+        if (!this.isEnabled()) return null;
+
+        const normalizedText = TranslationMemory.normalizeText(params.text);
+        if (normalizedText.length < TRANSLATION_MEMORY_CONSTANTS.FUZZY_MIN_LENGTH) {
+            return null;
+        }
+
+        const scope = TranslationMemory.createScope(params);
+        const records = await this.runRequest('readonly', store => store.index('scope').getAll(scope));
+
+        let best = null;
+        records.forEach(record => {
+            if (record.normalizedText === normalizedText) return;
+
+            const similarity = TranslationMemory.similarity(normalizedText, record.normalizedText);
+            if (similarity >= TRANSLATION_MEMORY_CONSTANTS.FUZZY_THRESHOLD && (!best || similarity > best.similarity)) {
+                best = { record, similarity };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 2つの文字列の類似度（1 - 編集距離 / 長い方の文字数）
+     * 文字数の差だけで下限を下回る組み合わせは計算を省略する
+     *
+     * @param {string} a - 文字列
+     * @param {string} b - 文字列
+     * @returns {number} 類似度（0〜1）
+     */
+    static similarity(a, b) {
+        const maxLength = Math.max(a.length, b.length);
+        if (maxLength === 0) return 1;
+        if (1 - Math.abs(a.length - b.length) / maxLength < TRANSLATION_MEMORY_CONSTANTS.FUZZY_THRESHOLD) {
+            return 0;
+        }
+
+        // 編集距離（2行分のみ保持する動的計画法）
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / maxLength;
+    }
+
+    /**
+     * 翻訳の保存（同じキーの翻訳は上書きし、保存日時と使用回数は引き継ぐ）
+     * 管理画面で編集した訳は上書きしない（全行の再翻訳などで編集内容を失わないため）
+     * 保存件数が上限を超えた場合は最も古く使われたものから削除する
+     *
+     * @param {Object} params - 保存条件（text, targetLang, model, style）
+     * @param {string} translatedText - 訳文
+     * @returns {Promise<boolean>} 保存成功可否（編集済みの訳を残した場合はfalse）
+     */
+    async store(params, translatedText) {
+        if (!this.isEnabled() || !translatedText) return false;
+
+        const now = Date.now();
+        const key = TranslationMemory.createKey(params);
+
+        let existing;
+        try {
+            existing = this.cache.get(key) || await this.runRequest('readonly', store => store.get(key));
+        } catch (error) {
+            existing = null;
+        }
+        if (existing?.edited) {
+            return false;
+        }
+
+        const record = {
+            key,
+            scope: TranslationMemory.createScope(params),
+            normalizedText: TranslationMemory.normalizeText(params.text),
+            sourceText: params.text,
+            translatedText,
+            targetLang: params.targetLang || 'ja',
+            model: params.model || '',
+            style: params.style || '',
+            createdAt: existing?.createdAt ?? now,
+            lastUsedAt: now,
+            hitCount: existing?.hitCount ?? 0,
+            edited: false
+        };
+
+        try {
+            await this.runRequest('readwrite', store => store.put(record));
+            this.remember(record);
+            await this.prune();
+            return true;
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 保存件数の上限を超えた分を最も古く使われたものから削除
+     * @private
+     *
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const count = await this.runRequest('readonly', store => store.count());
+        const excess = count - TRANSLATION_MEMORY_CONSTANTS.MAX_ENTRIES;
+        if (excess <= 0) return;
+
+        const keys = await this.runRequest('readonly', store => store.index('lastUsedAt').getAllKeys(null, excess));
+        for (const key of keys) {
+            await this.remove(key);
+        }
+    }
+
+    /**
+     * 保存済みの翻訳の一覧取得（最近使用した順）
+     *
+     * @returns {Promise<Array<Object>>} 保存データの配列
+     */
+    async list() {
+        const records = await this.runRequest('readonly', store => store.getAll());
+        return records.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    }
+
+    /**
+     * 訳文の編集（以降の再利用では編集後の訳文を使用）
+     *
+     * @param {string} key - 保存キー
+     * @param {string} translatedText - 新しい訳文
+     * @returns {Promise<void>}
+     */
+    async update(key, translatedText) {
+        const record = await this.runRequest('readonly', store => store.get(key));
+        if (!record) return;
+
+        const updated = { ...record, translatedText, edited: true };
+        await this.runRequest('readwrite', store => store.put(updated));
+
+        if (this.cache.has(key)) {
+            this.cache.set(key, updated);
+        }
+    }
+
+    /**
+     * 翻訳の削除
+     *
+     * @param {string} key - 保存キー
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+        this.cache.delete(key);
+    }
+
+    /**
+     * 全翻訳の削除
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.runRequest('readwrite', store => store.clear());
+        this.cache.clear();
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.translationMemory = new TranslationMemory();
+} catch (error) {
+}
\ No newline at end of file
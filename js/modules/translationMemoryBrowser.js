@@ -0,0 +1,202 @@
+/**
+ * 翻訳メモリ一覧モジュール
+ * English Speech to Text
+ *
+ * TranslationMemoryに保存された翻訳の一覧をモーダルで表示し、
+ * 訳文の編集・削除・全削除を行う
+ *
+ * 機能概要:
+ * - 保存済みの翻訳の一覧（最近使用した順、原文・訳文での絞り込み）
+ * - 訳文のその場編集（入力確定時に保存、以降の再利用に反映）
+ * - 翻訳の削除・全削除
+ */
+
+// 翻訳メモリ一覧設定定数
+const TRANSLATION_MEMORY_BROWSER_CONSTANTS = {
+    MAX_ROWS: 500    // 一覧に表示する最大件数（絞り込みで対象を減らす）
+};
+
+class TranslationMemoryBrowser {
+    constructor() {
+        this.elements = {};
+        this.records = [];    // 一覧表示中の翻訳
+    }
+
+    /**
+     * DOM要素のキャッシュとイベント設定
+     */
+    initialize() {
+        this.elements = {
+            $modal: $('#translationMemoryModal'),
+            $search: $('#translation-memory-search'),
+            $count: $('#translation-memory-count'),
+            $clearBtn: $('#translation-memory-clear-btn'),
+            $table: $('#translation-memory-table'),
+            $tableBody: $('#translation-memory-table tbody'),
+            $emptyMessage: $('#translation-memory-empty-message')
+        };
+
+        this.elements.$modal.on('show.bs.modal', () => {
+            this.render();
+        });
+
+        this.elements.$search.on('input', Utils.debounce(() => {
+            this.renderTable();
+        }, 200));
+
+        this.elements.$clearBtn.on('click', () => {
+            this.clearAll();
+        });
+
+        // 一覧の操作（訳文の編集・削除）
+        this.elements.$tableBody.on('change', '.translation-memory-input', (e) => {
+            const $input = $(e.currentTarget);
+            const translatedText = $input.val().trim();
+            if (translatedText) {
+                this.updateTranslation($input.closest('tr').data('key'), translatedText);
+            }
+        });
+
+        this.elements.$tableBody.on('click', '.translation-memory-delete-btn', (e) => {
+            this.deleteTranslation($(e.currentTarget).closest('tr').data('key'));
+        });
+    }
+
+    /**
+     * 翻訳の一覧の読み込みと描画
+     *
+     * @returns {Promise<void>}
+     */
+    async render() {
+        try {
+            this.records = await translationMemory.list();
+        } catch (error) {
+            this.records = [];
+        }
+
+        this.renderTable();
+    }
+
+    /**
+     * 絞り込み条件に一致する翻訳の一覧表を描画
+     */
+    renderTable() {
+        const query = this.elements.$search.val().trim().toLowerCase();
+        const records = this.records.filter(record => {
+            if (!query) return true;
+            return record.sourceText.toLowerCase().includes(query) ||
+                   record.translatedText.toLowerCase().includes(query);
+        });
+        const visibleRecords = records.slice(0, TRANSLATION_MEMORY_BROWSER_CONSTANTS.MAX_ROWS);
+
+        this.elements.$tableBody.empty();
+        this.elements.$emptyMessage.toggleClass('d-none', records.length > 0);
+        this.elements.$table.toggleClass('d-none', records.length === 0);
+        this.elements.$clearBtn.prop('disabled', this.records.length === 0);
+        this.elements.$count.text(records.length > visibleRecords.length
+            ? `${records.length}件中${visibleRecords.length}件を表示`
+            : `${records.length}件`);
+
+        visibleRecords.forEach(record => {
+            this.elements.$tableBody.append(this.createRecordRow(record));
+        });
+    }
+
+    /**
+     * 翻訳1件分の行を構築
+     *
+     * @param {Object} record - 翻訳メモリの保存データ
+     * @returns {jQuery} 行要素
+     */
+    createRecordRow(record) {
+        const editedBadge = record.edited ? '<span class="badge bg-info text-dark ms-1">編集済み</span>' : '';
+
+        const $row = $(`
+            <tr>
+                <td class="translation-memory-source"></td>
+                <td>
+                    <div class="d-flex align-items-center">
+                        <input type="text" class="form-control form-control-sm translation-memory-input">
+                        ${editedBadge}
+                    </div>
+                </td>
+                <td class="small text-muted">${Utils.escapeHtml(record.model)}<br>${Utils.escapeHtml(record.style)}</td>
+                <td>${record.hitCount || 0}</td>
+                <td class="text-nowrap">${Utils.escapeHtml(new Date(record.lastUsedAt).toLocaleString('ja-JP'))}</td>
+                <td class="text-nowrap text-end">
+                    <button type="button" class="btn btn-outline-danger btn-sm translation-memory-delete-btn" title="この翻訳を削除">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $row.data('key', record.key);
+        $row.find('.translation-memory-source').text(record.sourceText);
+        $row.find('.translation-memory-input').val(record.translatedText);
+
+        return $row;
+    }
+
+    /**
+     * 訳文の保存
+     *
+     * @param {string} key - 保存キー
+     * @param {string} translatedText - 新しい訳文
+     * @returns {Promise<void>}
+     */
+    async updateTranslation(key, translatedText) {
+        try {
+            await translationMemory.update(key, translatedText);
+
+            const record = this.records.find(item => item.key === key);
+            if (record) {
+                Object.assign(record, { translatedText, edited: true });
+            }
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * 翻訳の削除
+     *
+     * @param {string} key - 保存キー
+     * @returns {Promise<void>}
+     */
+    async deleteTranslation(key) {
+        try {
+            await translationMemory.remove(key);
+            this.records = this.records.filter(item => item.key !== key);
+            this.renderTable();
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+
+    /**
+     * 全翻訳の削除（確認あり）
+     *
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        if (this.records.length === 0 || !confirm(`保存された${this.records.length}件の翻訳をすべて削除しますか？この操作は元に戻せません。`)) {
+            return;
+        }
+
+        try {
+            await translationMemory.clear();
+            this.records = [];
+            this.renderTable();
+        } catch (error) {
+            stateManager.setError('SYSTEM', 'STORAGE_ERROR', error.message);
+        }
+    }
+}
+
+// グローバルインスタンス
+try {
+    window.translationMemoryBrowser = new TranslationMemoryBrowser();
+} catch (error) {
+}
\ No newline at end of file
@@ -0,0 +1,765 @@
+/**
+ * 翻訳プロバイダーモジュール
+ * English Speech to Text
+ *
+ * GeminiTranslatorが利用する翻訳サービスの共通インターフェースと各バックエンド実装
+ * プロバイダーはリクエストの組み立てと応答の解釈だけを担当し、
+ * キュー・レート制限・再試行・エラー分類・ストリーミングの受信は翻訳モジュール側で共通に処理する
+ *
+ * 機能概要:
+ * - 翻訳プロバイダーの共通基底クラス（リクエスト・応答・ストリーミングイベントの契約）
+ * - 複数行をまとめて1回で翻訳するバッチリクエスト（LLMはJSON形式の応答、機械翻訳APIは配列での送信）
+ * - Google Gemini API（generateContent / streamGenerateContent）
+ * - OpenAI互換のChat Completions API（OpenAI、Ollama、llama.cppなどのローカルLLM）
+ * - DeepL API
+ * - LibreTranslate
+ * - オフライン確認用の決まった訳を返すモック
+ * - 接続先URLの確認（ページのCSPで接続が許可されないURLは送信前にエラーにする）
+ * - 設定値からプロバイダーインスタンスを生成するファクトリ
+ */
+
+// 翻訳プロバイダー設定定数
+const TRANSLATION_PROVIDER_CONSTANTS = {
+    DEFAULT_PROVIDER: 'gemini',           // デフォルトプロバイダー
+    TEMPERATURE: 0.3,                     // LLMのランダム性設定
+    MAX_OUTPUT_TOKENS: 2048,              // LLMの最大出力トークン数
+    BATCH_MAX_OUTPUT_TOKENS: 8192,        // バッチ翻訳時のLLMの最大出力トークン数
+    DEEPL_FREE_URL: 'https://api-free.deepl.com/v2/translate', // DeepL API Free（キー末尾が:fx）
+    DEEPL_PRO_URL: 'https://api.deepl.com/v2/translate',       // DeepL API Pro
+    MOCK_PREFIX: '【モック訳】',           // モックの訳文の接頭辞
+    MOCK_DELAY: 300,                      // モックの応答までの時間（ミリ秒）
+    MOCK_CHUNK_DELAY: 60                  // モックのストリーミングの単語ごとの間隔（ミリ秒）
+};
+
+/**
+ * 翻訳プロバイダーの基底クラス
+ *
+ * リクエスト契約（translateに渡すrequest）:
+ * - text: 翻訳対象テキスト
+ * - prompt: LLM用の翻訳プロンプト（usesPromptがtrueの場合のみ）
+ * - context: 文脈の行（{originalText, translatedText}の配列）
+ * - sourceLang / targetLang: 言語コード（en-US, ja など）
+ * - items: バッチ翻訳の行（{id, text}の配列、バッチ翻訳時のみ。promptはJSONで応答させるバッチ用のプロンプト）
+ *
+ * エラーはErrorを投げ、翻訳モジュールがメッセージからエラーコードを分類する
+ * （APIキー未設定は「APIキーが設定されていません」を含むメッセージにする）
+ */
+class TranslationProvider {
+    /**
+     * @param {Object} [settings={}] - アプリケーション設定（config）
+     */
+    constructor(settings = {}) {
+        this.settings = settings;
+    }
+
+    /**
+     * 翻訳結果やセッションに記録するモデル名
+     *
+     * @returns {string} モデル名
+     */
+    get modelName() {
+        return '';
+    }
+
+    /**
+     * 翻訳プロンプト（文脈・翻訳スタイルを含む）を使用するか
+     * 機械翻訳APIは原文のみを送信する
+     *
+     * @returns {boolean} プロンプトを使用するか
+     */
+    get usesPrompt() {
+        return true;
+    }
+
+    /**
+     * ストリーミング（Server-Sent Events）に対応しているか
+     *
+     * @returns {boolean} 対応可否
+     */
+    get supportsStreaming() {
+        return false;
+    }
+
+    /**
+     * 接続に必要な設定の確認
+     *
+     * @throws {Error} 設定が不足している場合
+     */
+    validate() {
+    }
+
+    /**
+     * HTTPリクエストの組み立て
+     *
+     * @param {Object} request - 翻訳リクエスト
+     * @param {boolean} stream - ストリーミングで受信するか
+     * @returns {{url: string, headers: Object, body: Object}} リクエスト内容
+     */
+    buildRequest(request, stream) {
+        throw new Error('buildRequest() is not implemented');
+    }
+
+    /**
+     * リクエストの送信
+     * 通常はbuildRequestの内容をfetchで送信する（モックはネットワークを使わずに応答を生成）
+     *
+     * @param {Object} request - 翻訳リクエスト
+     * @param {Object} options - 送信オプション
+     * @param {AbortSignal} options.signal - 中断シグナル（タイムアウトを含む）
+     * @param {boolean} options.stream - ストリーミングで受信するか
+     * @returns {Promise<Response>} fetchのレスポンス
+     */
+    send(request, options) {
+        const { url, headers, body } = this.buildRequest(request, options.stream);
+
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+    }
+
+    /**
+     * 応答からの翻訳テキストの取り出し
+     *
+     * @param {Object} data - 応答のJSON
+     * @returns {string} 翻訳テキスト
+     * @throws {Error} 応答の形式が不正な場合や安全性フィルタで止められた場合
+     */
+    parseResponse(data) {
+        throw new Error('parseResponse() is not implemented');
+    }
+
+    /**
+     * バッチ翻訳の応答からの行ごとの翻訳の取り出し
+     * LLMの応答は {"translations": [{"id": "...", "text": "..."}]} 形式のJSONテキストとして解釈する
+     * 行の欠落・重複の検証は翻訳モジュールで行う
+     *
+     * @param {Object} data - 応答のJSON
+     * @param {Array<{id: string, text: string}>} items - リクエストした行
+     * @returns {Array<{id: string, text: string}>} 行ごとの翻訳
+     * @throws {Error} 応答の形式が不正な場合
+     */
+    parseBatchResponse(data, items) {
+        // コードブロックで囲まれた応答にも対応
+        const text = this.parseResponse(data).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+        const result = Utils.safeJsonParse(text);
+        const translations = Array.isArray(result) ? result : result?.translations;
+
+        if (!Array.isArray(translations)) {
+            throw new Error('翻訳に失敗しました。バッチ翻訳の応答がJSON形式ではありません');
+        }
+
+        return translations
+            .filter(translation => translation && translation.id != null)
+            .map(translation => ({ id: String(translation.id), text: translation.text }));
+    }
+
+    /**
+     * ストリーミングの1イベント分の解釈
+     *
+     * @param {string} data - イベントのdata部分
+     * @returns {{delta: string, done: boolean}} 追加の翻訳テキストと受信完了か
+     * @throws {Error} ストリーム内のエラーや安全性フィルタで止められた場合
+     */
+    parseStreamEvent(data) {
+        throw new Error('parseStreamEvent() is not implemented');
+    }
+
+    /**
+     * エラー応答からのメッセージの取り出し
+     *
+     * @param {Object} errorData - エラー応答のJSON
+     * @returns {string|null} エラーメッセージ
+     */
+    getErrorMessage(errorData) {
+        const error = errorData.error;
+        return (typeof error === 'string' ? error : error?.message) || errorData.message || null;
+    }
+
+    /**
+     * エラー応答の本文で指定された再試行までの待機時間（Retry-Afterヘッダー以外の指定）
+     *
+     * @param {Object} errorData - エラー応答のJSON
+     * @returns {number|null} 待機時間（ms）、指定がない場合はnull
+     */
+    getRetryDelay(errorData) {
+        return null;
+    }
+
+    /**
+     * 設定の必須項目の確認
+     * @protected
+     *
+     * @param {string} value - 設定値
+     * @param {string} message - 未設定時のエラーメッセージ
+     */
+    static require(value, message) {
+        if (!value || !String(value).trim()) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * 接続先URLの確認
+     * index.htmlのCSP（connect-src）で許可されていないURLは通信エラーとして再試行させず、設定の誤りとして送信前にエラーにする
+     * （独自の接続先はconnect-srcへの追加で利用可能。判定はページのCSPを読み取るため、追加した接続先にも追従する）
+     * @protected
+     *
+     * @param {string} url - 接続先URL
+     * @param {string} label - エラーメッセージに表示する設定名
+     */
+    static requireConnectableUrl(url, label) {
+        let parsed;
+        try {
+            parsed = new URL(TranslationProvider.trimUrl(url));
+        } catch (error) {
+            throw new Error(`${label}のURLが不正です: ${url}`);
+        }
+
+        if (!TranslationProvider.isAllowedByCsp(parsed)) {
+            throw new Error(`${label}のURL（${parsed.origin}）には接続できません。index.htmlのContent-Security-Policy（connect-src）に接続先を追加してください`);
+        }
+    }
+
+    /**
+     * URLがページのCSP（connect-src）で許可されているかの判定
+     * CSPまたはconnect-srcの指定がない場合は許可とみなす（パスの指定は考慮しない）
+     * @private
+     *
+     * @param {URL} url - 接続先URL
+     * @returns {boolean} 許可されているか
+     */
+    static isAllowedByCsp(url) {
+        const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+        const directive = (meta?.getAttribute('content') || '')
+            .split(';')
+            .map(part => part.trim().split(/\s+/))
+            .find(tokens => tokens[0] === 'connect-src');
+        if (!directive) {
+            return true;
+        }
+
+        return directive.slice(1).some(source => TranslationProvider.matchesCspSource(source, url));
+    }
+
+    /**
+     * CSPのソース式（'self'・スキームのみ・ホスト指定）とURLの照合
+     * @private
+     *
+     * @param {string} source - ソース式（例: https://api.openai.com、http://localhost:*、*.example.com、https:）
+     * @param {URL} url - 接続先URL
+     * @returns {boolean} 一致するか
+     */
+    static matchesCspSource(source, url) {
+        if (source === '*') {
+            return true;
+        }
+        if (source === "'self'") {
+            return url.origin === location.origin;
+        }
+        if (/^[a-z][a-z0-9+.-]*:$/i.test(source)) {
+            return url.protocol === source.toLowerCase();
+        }
+
+        const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/:]+)(?::(\d+|\*))?/i);
+        if (!match) {
+            return false;
+        }
+
+        const [, scheme, host, port] = match;
+        // スキームの指定がない場合はページと同じスキームかhttps:のみ
+        if (scheme ? url.protocol !== `${scheme.toLowerCase()}:` : (url.protocol !== location.protocol && url.protocol !== 'https:')) {
+            return false;
+        }
+
+        const hostname = host.toLowerCase();
+        const hostMatches = hostname.startsWith('*.')
+            ? url.hostname.endsWith(hostname.slice(1))
+            : url.hostname === hostname;
+        if (!hostMatches) {
+            return false;
+        }
+
+        if (port === '*') {
+            return true;
+        }
+        const defaultPort = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' }[url.protocol] || '';
+        return (url.port || defaultPort) === (port || defaultPort);
+    }
+
+    /**
+     * 末尾のスラッシュを除いたURL
+     * @protected
+     *
+     * @param {string} url - URL
+     * @returns {string} 正規化したURL
+     */
+    static trimUrl(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+}
+
+/**
+ * Google Gemini APIプロバイダー
+ */
+class GeminiTranslationProvider extends TranslationProvider {
+    get modelName() {
+        return this.settings.geminiModel;
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    validate() {
+        TranslationProvider.require(this.settings.geminiApiKey, 'Gemini APIキーが設定されていません');
+    }
+
+    buildRequest(request, stream) {
+        // ストリーミングはServer-Sent Events形式（alt=sse）で受信
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+
+        return {
+            url: `${APP_CONFIG.API_CONFIG.GEMINI_BASE_URL}${this.settings.geminiModel}:${method}key=${this.settings.geminiApiKey}`,
+            headers: {},
+            body: {
+                contents: [{
+                    parts: [{
+                        text: request.prompt
+                    }]
+                }],
+                generationConfig: {
+                    temperature: TRANSLATION_PROVIDER_CONSTANTS.TEMPERATURE,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens: request.items
+                        ? TRANSLATION_PROVIDER_CONSTANTS.BATCH_MAX_OUTPUT_TOKENS
+                        : TRANSLATION_PROVIDER_CONSTANTS.MAX_OUTPUT_TOKENS,
+                    // バッチ翻訳はJSONで応答させる
+                    ...(request.items ? { responseMimeType: 'application/json' } : {})
+                },
+                safetySettings: [
+                    {
+                        category: "HARM_CATEGORY_HARASSMENT",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    },
+                    {
+                        category: "HARM_CATEGORY_HATE_SPEECH",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    },
+                    {
+                        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    },
+                    {
+                        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    }
+                ]
+            }
+        };
+    }
+
+    parseResponse(data) {
+        // プロンプト自体が安全性フィルタでブロックされた場合
+        if (data?.promptFeedback?.blockReason) {
+            throw new Error(`翻訳に失敗しました。blockReason: ${data.promptFeedback.blockReason}`);
+        }
+
+        const candidate = data?.candidates?.[0];
+        if (!candidate) {
+            throw new Error('翻訳に失敗しました。無効なAPI応答です');
+        }
+
+        // Gemini API finishReasonのチェック（STOP以外は異常終了）
+        if (candidate.finishReason && candidate.finishReason !== 'STOP') {
+            throw new Error(`翻訳に失敗しました。finishReason: ${candidate.finishReason}`);
+        }
+
+        if (!candidate.content?.parts?.[0]) {
+            throw new Error('翻訳結果が含まれていません');
+        }
+
+        return candidate.content.parts[0].text;
+    }
+
+    parseStreamEvent(data) {
+        const chunk = Utils.safeJsonParse(data);
+        if (!chunk) {
+            return { delta: '', done: false };
+        }
+
+        if (chunk.error) {
+            const apiError = new Error(`API Error: ${chunk.error.code || ''} - ${chunk.error.message || 'ストリーミング中にエラーが発生しました'}`);
+            apiError.status = chunk.error.code;
+            throw apiError;
+        }
+
+        if (chunk.promptFeedback?.blockReason) {
+            throw new Error(`翻訳に失敗しました。blockReason: ${chunk.promptFeedback.blockReason}`);
+        }
+
+        const candidate = chunk.candidates?.[0];
+        if (!candidate) {
+            return { delta: '', done: false };
+        }
+
+        // 途中で安全性フィルタなどにより終了した場合は、受信済みの部分も破棄して失敗とする
+        if (candidate.finishReason && candidate.finishReason !== 'STOP') {
+            throw new Error(`翻訳に失敗しました。finishReason: ${candidate.finishReason}`);
+        }
+
+        return {
+            delta: (candidate.content?.parts || []).map(part => part.text || '').join(''),
+            done: candidate.finishReason === 'STOP'
+        };
+    }
+
+    getRetryDelay(errorData) {
+        // 例: { "@type": "type.googleapis.com/google.rpc.RetryInfo", "retryDelay": "13s" }
+        const retryInfo = (errorData.error?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+        const retryDelay = parseFloat(retryInfo?.retryDelay);
+
+        return isNaN(retryDelay) ? null : Math.max(0, retryDelay * 1000);
+    }
+}
+
+/**
+ * OpenAI互換のChat Completions APIプロバイダー
+ * OpenAIのほか、Ollama（/v1）やllama.cppのサーバーなどOpenAI互換のエンドポイントを持つローカルLLMに対応
+ */
+class OpenAICompatibleTranslationProvider extends TranslationProvider {
+    get modelName() {
+        return this.settings.openaiModel;
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    validate() {
+        TranslationProvider.require(this.settings.openaiBaseUrl, 'OpenAI互換サーバーのURLが設定されていません');
+        TranslationProvider.require(this.settings.openaiModel, 'OpenAI互換サーバーのモデル名が設定されていません');
+        TranslationProvider.requireConnectableUrl(this.settings.openaiBaseUrl, 'OpenAI互換サーバー');
+    }
+
+    buildRequest(request, stream) {
+        // ローカルサーバーはAPIキー不要のことが多いため、設定時のみ送信
+        const headers = this.settings.openaiApiKey
+            ? { Authorization: `Bearer ${this.settings.openaiApiKey}` }
+            : {};
+
+        return {
+            url: `${TranslationProvider.trimUrl(this.settings.openaiBaseUrl)}/chat/completions`,
+            headers,
+            body: {
+                model: this.settings.openaiModel,
+                messages: [{ role: 'user', content: request.prompt }],
+                temperature: TRANSLATION_PROVIDER_CONSTANTS.TEMPERATURE,
+                max_tokens: request.items
+                    ? TRANSLATION_PROVIDER_CONSTANTS.BATCH_MAX_OUTPUT_TOKENS
+                    : TRANSLATION_PROVIDER_CONSTANTS.MAX_OUTPUT_TOKENS,
+                stream,
+                // バッチ翻訳はJSONで応答させる（JSONモード）
+                ...(request.items ? { response_format: { type: 'json_object' } } : {})
+            }
+        };
+    }
+
+    parseResponse(data) {
+        const choice = data?.choices?.[0];
+        if (!choice) {
+            throw new Error('翻訳に失敗しました。無効なAPI応答です');
+        }
+
+        if (choice.finish_reason && choice.finish_reason !== 'stop') {
+            throw new Error(`翻訳に失敗しました。finish_reason: ${choice.finish_reason}`);
+        }
+
+        if (typeof choice.message?.content !== 'string') {
+            throw new Error('翻訳結果が含まれていません');
+        }
+
+        return choice.message.content;
+    }
+
+    parseStreamEvent(data) {
+        if (data === '[DONE]') {
+            return { delta: '', done: true };
+        }
+
+        const chunk = Utils.safeJsonParse(data);
+        if (chunk?.error) {
+            throw new Error(`API Error: ${chunk.error.code || ''} - ${chunk.error.message || 'ストリーミング中にエラーが発生しました'}`);
+        }
+
+        const choice = chunk?.choices?.[0];
+        if (!choice) {
+            return { delta: '', done: false };
+        }
+
+        if (choice.finish_reason && choice.finish_reason !== 'stop') {
+            throw new Error(`翻訳に失敗しました。finish_reason: ${choice.finish_reason}`);
+        }
+
+        return {
+            delta: choice.delta?.content || '',
+            done: choice.finish_reason === 'stop'
+        };
+    }
+}
+
+/**
+ * DeepL APIプロバイダー
+ * 翻訳プロンプトは使わず、文脈はDeepLのcontextパラメーター（翻訳されない参考テキスト）で渡す
+ */
+class DeepLTranslationProvider extends TranslationProvider {
+    get modelName() {
+        return 'deepl';
+    }
+
+    get usesPrompt() {
+        return false;
+    }
+
+    validate() {
+        TranslationProvider.require(this.settings.deeplApiKey, 'DeepL APIキーが設定されていません');
+        if (TranslationProvider.trimUrl(this.settings.deeplApiUrl)) {
+            TranslationProvider.requireConnectableUrl(this.settings.deeplApiUrl, 'DeepL API');
+        }
+    }
+
+    buildRequest(request) {
+        const apiKey = this.settings.deeplApiKey;
+        const defaultUrl = apiKey.endsWith(':fx')
+            ? TRANSLATION_PROVIDER_CONSTANTS.DEEPL_FREE_URL
+            : TRANSLATION_PROVIDER_CONSTANTS.DEEPL_PRO_URL;
+        const context = (request.context || []).map(line => line.originalText).join('\n');
+
+        return {
+            url: TranslationProvider.trimUrl(this.settings.deeplApiUrl) || defaultUrl,
+            headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+            body: {
+                text: request.items ? request.items.map(item => item.text) : [request.text],
+                source_lang: request.sourceLang.split('-')[0].toUpperCase(),
+                target_lang: request.targetLang.toUpperCase(),
+                ...(context ? { context } : {})
+            }
+        };
+    }
+
+    parseResponse(data) {
+        const translatedText = data?.translations?.[0]?.text;
+        if (typeof translatedText !== 'string') {
+            throw new Error('翻訳結果が含まれていません');
+        }
+        return translatedText;
+    }
+
+    parseBatchResponse(data, items) {
+        // 送信した順に翻訳が返る
+        const translations = data?.translations;
+        if (!Array.isArray(translations)) {
+            throw new Error('翻訳結果が含まれていません');
+        }
+
+        return items.slice(0, translations.length).map((item, index) => ({ id: item.id, text: translations[index]?.text }));
+    }
+}
+
+/**
+ * LibreTranslateプロバイダー
+ * セルフホストのサーバー（例: http://localhost:5000）または公開インスタンスに接続
+ */
+class LibreTranslateTranslationProvider extends TranslationProvider {
+    get modelName() {
+        return 'libretranslate';
+    }
+
+    get usesPrompt() {
+        return false;
+    }
+
+    validate() {
+        TranslationProvider.require(this.settings.libreTranslateUrl, 'LibreTranslateサーバーのURLが設定されていません');
+        TranslationProvider.requireConnectableUrl(this.settings.libreTranslateUrl, 'LibreTranslateサーバー');
+    }
+
+    buildRequest(request) {
+        return {
+            url: `${TranslationProvider.trimUrl(this.settings.libreTranslateUrl)}/translate`,
+            headers: {},
+            body: {
+                q: request.items ? request.items.map(item => item.text) : request.text,
+                source: request.sourceLang.split('-')[0],
+                target: request.targetLang,
+                format: 'text',
+                ...(this.settings.libreTranslateApiKey ? { api_key: this.settings.libreTranslateApiKey } : {})
+            }
+        };
+    }
+
+    parseResponse(data) {
+        if (typeof data?.translatedText !== 'string') {
+            throw new Error('翻訳結果が含まれていません');
+        }
+        return data.translatedText;
+    }
+
+    parseBatchResponse(data, items) {
+        // 配列で送信すると送信した順の配列で返る
+        if (!Array.isArray(data?.translatedText)) {
+            throw new Error('翻訳結果が含まれていません');
+        }
+
+        return items.slice(0, data.translatedText.length).map((item, index) => ({ id: item.id, text: data.translatedText[index] }));
+    }
+}
+
+/**
+ * モックプロバイダー（オフライン確認用）
+ * ネットワークを使わず、原文に接頭辞を付けた決まった訳を返す
+ * ストリーミング時は単語ごとに送信するため、キュー・逐次表示・中断の動作をAPIキーなしで確認できる
+ */
+class MockTranslationProvider extends TranslationProvider {
+    get modelName() {
+        return 'mock';
+    }
+
+    get usesPrompt() {
+        return false;
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * 決まった訳の生成
+     *
+     * @param {string} text - 原文
+     * @returns {string} 訳文
+     */
+    static translateText(text) {
+        return `${TRANSLATION_PROVIDER_CONSTANTS.MOCK_PREFIX}${text}`;
+    }
+
+    send(request, options) {
+        const abortError = () => new DOMException('翻訳が中断されました', 'AbortError');
+        // 待機ごとに中断の監視を登録し、待機が終わったら解除する（同じシグナルでの待機の繰り返しで監視を溜めない）
+        const wait = (ms) => new Promise((resolve, reject) => {
+            if (options.signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                options.signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        });
+
+        // バッチ翻訳は行ごとの訳をまとめて返す
+        if (request.items) {
+            const translations = request.items.map(item => ({ id: item.id, text: MockTranslationProvider.translateText(item.text) }));
+            return wait(TRANSLATION_PROVIDER_CONSTANTS.MOCK_DELAY)
+                .then(() => new Response(JSON.stringify({ translations }), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+        }
+
+        const translatedText = MockTranslationProvider.translateText(request.text);
+        if (!options.stream) {
+            return wait(TRANSLATION_PROVIDER_CONSTANTS.MOCK_DELAY)
+                .then(() => new Response(JSON.stringify({ translatedText }), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+        }
+
+        // 単語ごとのイベントを送信し、最後に完了イベントを送る
+        const encoder = new TextEncoder();
+        const words = translatedText.match(/\S+\s*/g) || [];
+        const body = new ReadableStream({
+            start(controller) {
+                (async () => {
+                    try {
+                        for (const word of words) {
+                            await wait(TRANSLATION_PROVIDER_CONSTANTS.MOCK_CHUNK_DELAY);
+                            controller.enqueue(encoder.encode(`data: ${JSON.stringify({ delta: word })}\n\n`));
+                        }
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ done: true })}\n\n`));
+                        controller.close();
+                    } catch (error) {
+                        controller.error(error);
+                    }
+                })();
+            }
+        });
+
+        return wait(TRANSLATION_PROVIDER_CONSTANTS.MOCK_DELAY)
+            .then(() => new Response(body, { headers: { 'Content-Type': 'text/event-stream' } }));
+    }
+
+    parseResponse(data) {
+        return data.translatedText;
+    }
+
+    parseBatchResponse(data) {
+        return data.translations;
+    }
+
+    parseStreamEvent(data) {
+        const chunk = Utils.safeJsonParse(data) || {};
+        return { delta: chunk.delta || '', done: !!chunk.done };
+    }
+}
+
+/**
+ * 翻訳プロバイダーファクトリ
+ * 設定のプロバイダー種別からプロバイダーインスタンスを生成
+ */
+const TranslationProviderFactory = {
+    // 登録済みプロバイダー
+    providers: {
+        gemini: GeminiTranslationProvider,
+        openai: OpenAICompatibleTranslationProvider,
+        deepl: DeepLTranslationProvider,
+        libretranslate: LibreTranslateTranslationProvider,
+        mock: MockTranslationProvider
+    },
+
+    /**
+     * プロバイダーの登録
+     *
+     * @param {string} type - プロバイダー種別
+     * @param {Function} ProviderClass - TranslationProviderを継承したクラス
+     */
+    register(type, ProviderClass) {
+        this.providers[type] = ProviderClass;
+    },
+
+    /**
+     * プロバイダーインスタンスの生成
+     * 未知の種別はデフォルトプロバイダーとして扱う
+     *
+     * @param {string} type - プロバイダー種別
+     * @param {Object} [settings={}] - アプリケーション設定（config）
+     * @returns {TranslationProvider} プロバイダーインスタンス
+     */
+    create(type, settings = {}) {
+        const ProviderClass = this.providers[type] || this.providers[TRANSLATION_PROVIDER_CONSTANTS.DEFAULT_PROVIDER];
+        return new ProviderClass(settings);
+    }
+};
+
+// グローバルに公開
+window.TranslationProvider = TranslationProvider;
+window.MockTranslationProvider = MockTranslationProvider;
+window.TranslationProviderFactory = TranslationProviderFactory;
\ No newline at end of file
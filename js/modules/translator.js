@@ -2,17 +2,21 @@
  * 翻訳モジュール
  * English Speech to Text
  * 
- * Google Gemini APIを使用して英語テキストを日本語に翻訳するモジュール
- * レート制限、エラーハンドリング、バッチ処理に対応
+ * 翻訳プロバイダー（Gemini、OpenAI互換、DeepL、LibreTranslate、モック）を使用して英語テキストを日本語に翻訳するモジュール
+ * レート制限、エラーハンドリング、バッチ処理に対応（プロバイダーによらず共通）
  * 
  * 機能概要:
- * - Google Gemini APIを使用した高精度な英語→日本語翻訳
+ * - 設定で選択した翻訳プロバイダーによる英語→日本語翻訳（translationProviders.js）
  * - レート制限とタイムアウト処理で安定したAPI呼び出し
+ * - ストリーミング（Server-Sent Events）による翻訳結果の逐次表示
  * - エラータイプに応じた自動リトライとフォールバック
- * - キューシステムによるバッチ処理と同時リクエスト制御
+ * - キューシステムによる順次処理と同時リクエスト制御
+ * - 複数行を1回のリクエストにまとめるバッチ翻訳（JSON形式の応答の検証、欠落した行の分割再送信）
  * - 英語テキストの自動検出と適切なプロンプト生成
- * - 翻訳履歴の管理とコンテキストを考慮した翻訳品質向上
- * - コネクションテストとAPIキー検証機能
+ * - 翻訳履歴の記録（自動翻訳・行の翻訳・手動翻訳の区別、translationHistory.js）とコンテキストを考慮した翻訳品質向上
+ * - 翻訳メモリによる同じ原文の翻訳の再利用と、ほぼ同じ原文の過去の翻訳の提案（translationMemory.js）
+ * - 用語集の訳語の指定（原文に含まれる用語のみプロンプトに含める）と訳文での訳語の確認（glossary.js）
+ * - コネクションテストと接続設定の検証機能
  */
 
 // 翻訳システムの定数定義
@@ -21,9 +25,12 @@ const TRANSLATION_CONSTANTS = {
     MAX_TEXT_LENGTH: 5000,                // 最大テキスト長
     MIN_REQUEST_INTERVAL: 1000,           // 最小リクエスト間隔（ミリ秒）
     QUEUE_PROCESS_DELAY: 500,             // キュー処理間の遅延
-    MAX_RETRY_COUNT: 3,                   // 最大リトライ回数
-    TEMPERATURE: 0.3,                     // AIモデルのランダム性設定
-    MAX_OUTPUT_TOKENS: 2048               // 最大出力トークン数
+    MAX_RETRY_COUNT: 3,                   // 最大リトライ回数（API_CONFIG.MAX_RETRIES未設定時）
+    MAX_RETRY_DELAY: 30000,               // リトライ待機の上限（これより長い待機指定は再試行しない）
+    RETRYABLE_STATUS: [429, 500, 502, 503, 504], // 再試行するHTTPステータス
+    CHARS_PER_TOKEN: 4,                   // トークン数概算用の英数字の文字数（それ以外の文字は1文字1トークン）
+    BATCH_MAX_LINES: 20,                  // バッチ翻訳で1回に送信する最大行数
+    BATCH_MAX_CHARS: 3000                 // バッチ翻訳で1回に送信する原文の最大文字数
 };
 
 class GeminiTranslator {
@@ -42,6 +49,9 @@ class GeminiTranslator {
         // レート制限管理
         this.lastRequestTime = 0;             // 最後のリクエスト時刻
         
+        // 翻訳エリアの翻訳の中断用（新しい翻訳で上書きする場合）
+        this.activeTranslation = null;        // 実行中の翻訳のAbortController
+        
         // 初期化実行
         this.initializeTranslator();
     }
@@ -83,6 +93,215 @@ class GeminiTranslator {
         this.model = model;
     }
 
+    /**
+     * 設定で選択された翻訳プロバイダーの取得
+     * 設定変更を即時反映するため、翻訳ごとに現在の設定から生成する
+     *
+     * @returns {TranslationProvider} 翻訳プロバイダー
+     */
+    getProvider() {
+        const config = stateManager.getState('config') || {};
+
+        return TranslationProviderFactory.create(config.translationProvider, {
+            ...config,
+            geminiApiKey: this.apiKey,
+            geminiModel: this.model
+        });
+    }
+
+    /**
+     * 翻訳結果やセッションに記録するモデル名（選択中のプロバイダーのモデル）
+     *
+     * @returns {string} モデル名
+     */
+    getModelName() {
+        return this.getProvider().modelName;
+    }
+
+    /**
+     * プロバイダーに渡す翻訳リクエストの組み立て
+     * プロンプトを使うプロバイダー（LLM）には文脈と翻訳スタイルを含めたプロンプトを、
+     * 機械翻訳APIには原文と文脈の行をそのまま渡す
+     *
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {string} text - 翻訳対象テキスト
+     * @param {Object} [options={}] - 翻訳オプション（generatePromptと同じ）
+     * @returns {Object} 翻訳リクエスト（text, prompt, context, sourceLang, targetLang）
+     */
+    createRequest(provider, text, options = {}) {
+        const context = options.isTest ? [] : this.getContextLines(text, options.contextBeforeId);
+
+        return {
+            text,
+            prompt: provider.usesPrompt ? this.generatePrompt(text, { ...options, context }) : null,
+            context,
+            sourceLang: options.sourceLang || stateManager.getState('config.language') || 'en-US',
+            targetLang: options.targetLang || 'ja'
+        };
+    }
+
+    /**
+     * プロバイダーに渡すバッチ翻訳リクエストの組み立て
+     * 文脈は先頭の行より前の行から取得する
+     *
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Array<{id: string, text: string}>} items - 翻訳対象の行
+     * @param {Object} [options={}] - 翻訳オプション（contextBeforeIdは先頭の行の行ID）
+     * @returns {Object} 翻訳リクエスト（createRequestの内容とitems）
+     */
+    createBatchRequest(provider, items, options = {}) {
+        const context = this.getContextLines(items[0].text, options.contextBeforeId);
+
+        return {
+            text: items.map(item => item.text).join('\n'),
+            items,
+            prompt: provider.usesPrompt ? this.generateBatchPrompt(items, { ...options, context }) : null,
+            context,
+            sourceLang: options.sourceLang || stateManager.getState('config.language') || 'en-US',
+            targetLang: options.targetLang || 'ja'
+        };
+    }
+
+    /**
+     * 翻訳メモリの検索・保存条件の組み立て
+     * 翻訳スタイルはプロンプトを使うプロバイダーの訳にのみ影響するため、それ以外では条件に含めない
+     *
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {string} text - 翻訳対象テキスト
+     * @param {Object} [options={}] - 翻訳オプション（targetLang）
+     * @returns {Object} 検索・保存条件（text, targetLang, model, style）
+     */
+    getMemoryParams(provider, text, options = {}) {
+        return {
+            text,
+            targetLang: options.targetLang || 'ja',
+            model: provider.modelName,
+            style: provider.usesPrompt ? (stateManager.getState('config.translationStyle') || '') : ''
+        };
+    }
+
+    /**
+     * 翻訳メモリからの一致する翻訳の検索
+     * 接続テストや翻訳メモリを使わない指定の場合、翻訳メモリが利用できない場合は検索しない
+     * 用語集の訳語をプロンプトで指定するプロバイダーでは、用語集の訳語が使われていない訳（保存後に用語を追加・変更した場合など）は
+     * 再利用せずに翻訳し直し、新しい訳で上書きする（翻訳メモリの管理画面で編集した訳はそのまま再利用）
+     *
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Object} params - 検索条件（getMemoryParamsで生成）
+     * @param {Object} [options={}] - 翻訳オプション（isTest, skipMemory）
+     * @returns {Promise<Object|null>} 保存データ（該当なしの場合はnull）
+     */
+    async lookupMemory(provider, params, options = {}) {
+        if (options.isTest || options.skipMemory || !window.translationMemory) {
+            return null;
+        }
+
+        let record;
+        try {
+            record = await window.translationMemory.lookup(params);
+        } catch (error) {
+            return null;
+        }
+
+        if (record && provider.usesPrompt && !record.edited && this.checkGlossary(params.text, record.translatedText).length > 0) {
+            return null;
+        }
+
+        return record;
+    }
+
+    /**
+     * 翻訳結果の翻訳メモリへの保存
+     *
+     * @param {Object} params - 保存条件（getMemoryParamsで生成）
+     * @param {string} translatedText - 訳文
+     * @param {Object} [options={}] - 翻訳オプション（isTestの場合は保存しない）
+     * @returns {Promise<void>}
+     */
+    async storeMemory(params, translatedText, options = {}) {
+        if (options.isTest || !window.translationMemory) {
+            return;
+        }
+
+        await window.translationMemory.store(params, translatedText);
+    }
+
+    /**
+     * 翻訳履歴への記録
+     * 接続テストは記録しない
+     *
+     * @param {Object} params - 翻訳条件（getMemoryParamsで生成）
+     * @param {string} translatedText - 訳文
+     * @param {Object} [options={}] - 翻訳オプション（origin, isTest）
+     * @param {boolean} [fromMemory=false] - 翻訳メモリから再利用した翻訳か
+     */
+    recordHistory(params, translatedText, options = {}, fromMemory = false) {
+        if (options.isTest || !window.translationHistory) {
+            return;
+        }
+
+        window.translationHistory.record({
+            sourceText: params.text,
+            translatedText,
+            model: params.model,
+            style: params.style,
+            origin: options.origin,
+            fromMemory
+        });
+    }
+
+    /**
+     * 翻訳結果の翻訳メモリと翻訳履歴への保存（類似訳を採用した行など、APIを使わずに決まった訳の記録用）
+     *
+     * @param {string} text - 原文
+     * @param {string} translatedText - 訳文
+     * @param {Object} [options={}] - 翻訳オプション（翻訳履歴に記録する翻訳の起点origin）
+     * @returns {Promise<void>}
+     */
+    async rememberTranslation(text, translatedText, options = {}) {
+        const params = this.getMemoryParams(this.getProvider(), Utils.trimText(text));
+        this.recordHistory(params, translatedText, options, true);
+        await this.storeMemory(params, translatedText);
+    }
+
+    /**
+     * 用語集の訳語が訳文で使われているかの確認
+     *
+     * @param {string} text - 原文
+     * @param {string} translatedText - 訳文
+     * @returns {Array<{source: string, target: string}>} 訳語が使われていない用語（用語集がない場合は空配列）
+     */
+    checkGlossary(text, translatedText) {
+        return window.glossary ? window.glossary.checkTranslation(text, translatedText) : [];
+    }
+
+    /**
+     * ほぼ同じ原文の過去の翻訳の検索（類似訳の提案設定が有効な場合のみ）
+     * 完全に一致する翻訳がある場合は翻訳時にそのまま再利用されるため、提案しない
+     *
+     * @param {string} text - 原文
+     * @returns {Promise<Object|null>} 提案（sourceText, translatedText, similarity）、該当なしの場合はnull
+     */
+    async findMemorySuggestion(text) {
+        if (!window.translationMemory || !stateManager.getState('config.translationMemoryFuzzy')) {
+            return null;
+        }
+
+        try {
+            const params = this.getMemoryParams(this.getProvider(), Utils.trimText(text));
+            if (await window.translationMemory.lookup(params, { touch: false })) {
+                return null;
+            }
+
+            const match = await window.translationMemory.findSimilar(params);
+            return match
+                ? { sourceText: match.record.sourceText, translatedText: match.record.translatedText, similarity: match.similarity }
+                : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * 英語テキストの日本語翻訳メイン関数
      * テキストバリデーション、プロンプト生成、API呼び出し、結果処理を一連で実行
@@ -90,15 +309,21 @@ class GeminiTranslator {
      * 
      * @param {string} text - 翻訳対象の英語テキスト
      * @param {Object} [options={}] - 翻訳オプション（言語指定、コンテキストなど）
+     * @param {string} [options.origin='manual'] - 翻訳履歴に記録する翻訳の起点
      * @returns {Promise<Object>} 翻訳結果オブジェクト（success, translatedText, errorなど）
      */
     async translate(text, options = {}) {
+        // 翻訳エリアは最新の翻訳のみを表示するため、実行中の翻訳は中断
+        if (this.activeTranslation) {
+            this.activeTranslation.abort();
+        }
+        const controller = new AbortController();
+        this.activeTranslation = controller;
+
         try {
-            // APIキーチェック
-            if (!this.apiKey) {
-                stateManager.setError('TRANSLATION', 'API_KEY_MISSING');
-                throw new Error('APIキーが設定されていません');
-            }
+            // 接続設定（APIキー・接続先）チェック
+            const provider = this.getProvider();
+            provider.validate();
 
             // テキストバリデーション
             if (!text || typeof text !== 'string') {
@@ -116,28 +341,76 @@ class GeminiTranslator {
                 throw new Error('テキストが長すぎます');
             }
 
+            // 翻訳メモリに同じ原文の翻訳があればAPIを呼ばずに再利用
+            const memoryParams = this.getMemoryParams(provider, trimmedText, options);
+            const remembered = await this.lookupMemory(provider, memoryParams, options);
+            if (remembered && !controller.signal.aborted) {
+                const glossaryViolations = this.checkGlossary(trimmedText, remembered.translatedText);
+                stateManager.updateTranslationState({
+                    isLoading: false,
+                    selectedText: trimmedText,
+                    originalText: trimmedText,
+                    translatedText: remembered.translatedText,
+                    partialText: '',
+                    retryAttempt: 0,
+                    fromMemory: true,
+                    glossaryViolations,
+                    hasError: false,
+                    lastTranslationTime: Date.now()
+                });
+                this.recordHistory(memoryParams, remembered.translatedText, { origin: 'manual', ...options }, true);
+
+                return {
+                    success: true,
+                    originalText: trimmedText,
+                    translatedText: remembered.translatedText,
+                    model: provider.modelName,
+                    fromMemory: true,
+                    glossaryViolations,
+                    timestamp: Date.now()
+                };
+            }
+
             // 翻訳状態を更新
             stateManager.updateTranslationState({
                 isLoading: true,
                 selectedText: trimmedText,
                 originalText: trimmedText,
                 translatedText: '',
+                partialText: '',
+                retryAttempt: 0,
+                fromMemory: false,
+                glossaryViolations: [],
                 lastTranslationTime: Date.now()
             });
 
-            // プロンプト生成
-            const prompt = this.generatePrompt(trimmedText, options);
+            // リクエスト生成（プロンプト・文脈）
+            const request = this.createRequest(provider, trimmedText, options);
 
-            // API呼び出し
-            const response = await this.callGeminiAPI(prompt);
+            // API呼び出し（再試行の状況と受信途中の翻訳を翻訳エリアに表示）
+            const response = await this.requestTranslation(provider, request, {
+                signal: controller.signal,
+                onRetry: (retry) => {
+                    stateManager.updateTranslationState({ retryAttempt: retry.attempt, maxRetries: retry.maxRetries, retryDelay: retry.delay });
+                },
+                onPartial: (partialText) => {
+                    stateManager.updateTranslationState({ partialText });
+                }
+            });
 
             // 結果処理
             const translatedText = this.processResponse(response);
+            await this.storeMemory(memoryParams, translatedText, options);
+            this.recordHistory(memoryParams, translatedText, { origin: 'manual', ...options });
 
             // 状態更新（成功時はエラー状態をクリア）
+            const glossaryViolations = this.checkGlossary(trimmedText, translatedText);
             stateManager.updateTranslationState({
                 isLoading: false,
                 translatedText: translatedText,
+                partialText: '',
+                retryAttempt: 0,
+                glossaryViolations,
                 hasError: false
             });
 
@@ -146,12 +419,24 @@ class GeminiTranslator {
                 success: true,
                 originalText: trimmedText,
                 translatedText: translatedText,
-                model: this.model,
+                model: provider.modelName,
+                glossaryViolations,
                 timestamp: Date.now()
             };
 
         } catch (error) {
             
+            // 新しい翻訳に置き換えられた場合は翻訳エリアを更新しない
+            if (error.aborted) {
+                return {
+                    success: false,
+                    aborted: true,
+                    error: error.message,
+                    originalText: text,
+                    timestamp: Date.now()
+                };
+            }
+            
             // エラーに応じた処理
             this.handleTranslationError(error);
             
@@ -160,6 +445,8 @@ class GeminiTranslator {
                 isLoading: false,
                 originalText: text,
                 translatedText: `翻訳エラー: ${error.message}`,
+                partialText: '',
+                retryAttempt: 0,
                 hasError: true
             });
 
@@ -169,36 +456,134 @@ class GeminiTranslator {
                 originalText: text,
                 timestamp: Date.now()
             };
+
+        } finally {
+            if (this.activeTranslation === controller) {
+                this.activeTranslation = null;
+            }
         }
     }
 
     /**
-     * Gemini AI用の翻訳プロンプト生成
+     * テキスト行の翻訳（翻訳エリアの状態を更新しない）
+     * メインテキストエリアの各行の翻訳に使用し、結果は呼び出し側で行ごとに記録する
+     * 
+     * @param {string} text - 翻訳対象の英語テキスト
+     * @param {Object} [options={}] - 翻訳オプション（generatePromptと同じ）
+     * @param {Function} [options.onPartial] - 受信途中の翻訳テキストを受け取る関数（ストリーミング時）
+     * @param {AbortSignal} [options.signal] - 中断シグナル
+     * @param {boolean} [options.skipMemory] - 翻訳メモリを使わずに翻訳する
+     * @param {string} [options.origin='panel'] - 翻訳履歴に記録する翻訳の起点（auto: 自動翻訳、panel: 行の翻訳）
+     * @returns {Promise<Object>} 翻訳結果オブジェクト（失敗時はerrorCode、中断時はaborted、翻訳メモリの再利用時はfromMemory、成功時は使われていない用語集の訳語glossaryViolationsを含む）
+     */
+    async translateLine(text, options = {}) {
+        try {
+            // 接続設定（APIキー・接続先）チェック
+            const provider = this.getProvider();
+            provider.validate();
+
+            // テキストバリデーション
+            if (!text || typeof text !== 'string') {
+                throw new Error('有効なテキストが指定されていません');
+            }
+
+            const trimmedText = Utils.trimText(text);
+            if (!trimmedText) {
+                throw new Error('翻訳するテキストが空です');
+            }
+
+            // テキスト長制限チェック
+            if (trimmedText.length > TRANSLATION_CONSTANTS.MAX_TEXT_LENGTH) {
+                throw new Error('テキストが長すぎます');
+            }
+
+            // 翻訳メモリに同じ原文の翻訳があればAPIを呼ばずに再利用
+            const memoryParams = this.getMemoryParams(provider, trimmedText, options);
+            const remembered = await this.lookupMemory(provider, memoryParams, options);
+            if (remembered) {
+                this.recordHistory(memoryParams, remembered.translatedText, { origin: 'panel', ...options }, true);
+                return {
+                    success: true,
+                    originalText: trimmedText,
+                    translatedText: remembered.translatedText,
+                    model: provider.modelName,
+                    fromMemory: true,
+                    glossaryViolations: this.checkGlossary(trimmedText, remembered.translatedText),
+                    timestamp: Date.now()
+                };
+            }
+
+            const request = this.createRequest(provider, trimmedText, options);
+            const response = await this.requestTranslation(provider, request, {
+                onRetry: options.onRetry,
+                onPartial: options.onPartial,
+                signal: options.signal
+            });
+            const translatedText = this.processResponse(response);
+            await this.storeMemory(memoryParams, translatedText, options);
+            this.recordHistory(memoryParams, translatedText, { origin: 'panel', ...options });
+
+            return {
+                success: true,
+                originalText: trimmedText,
+                translatedText: translatedText,
+                model: provider.modelName,
+                glossaryViolations: this.checkGlossary(trimmedText, translatedText),
+                timestamp: Date.now()
+            };
+
+        } catch (error) {
+            return this.createErrorResult(error, text);
+        }
+    }
+
+    /**
+     * 行の翻訳の失敗結果の生成（translateLine・translateBatchで共通）
+     * 
+     * @param {Error} error - 翻訳処理中に発生したエラーオブジェクト
+     * @param {string} text - 翻訳対象テキスト
+     * @returns {Object} 翻訳結果オブジェクト（success: false, error, errorCode, aborted）
+     */
+    createErrorResult(error, text) {
+        return {
+            success: false,
+            error: error.message,
+            errorCode: this.classifyError(error),
+            aborted: !!error.aborted,
+            originalText: text,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * LLM（Gemini・OpenAI互換）用の翻訳プロンプト生成
      * 翻訳スタイル設定を考慮した高品質な翻訳プロンプトを作成
      * 英語の方言・文化的ニュアンス、専門用語を考慮
+     * 直前の会話を翻訳しない文脈として区切って含め、代名詞や話題のつながりを踏まえた翻訳にする
+     * 用語集の用語は翻訳対象テキストに含まれるもののみ訳語を指定する
      * 
      * @param {string} text - 翻訳対象テキスト
      * @param {Object} [options={}] - プロンプトオプション
      * @param {string} [options.sourceLang] - ソース言語（en-US, en-GB）
      * @param {string} [options.targetLang] - ターゲット言語（ja）
+     * @param {string} [options.contextBeforeId] - 文脈の基準となるテキスト履歴の行ID（この行より前の行を文脈にする）
+     * @param {boolean} [options.isTest] - 接続テスト（文脈を含めない）
+     * @param {Array<Object>} [options.context] - 取得済みの文脈の行（省略時はgetContextLinesで取得）
      * @returns {string} 生成されたプロンプト文字列
      */
     generatePrompt(text, options = {}) {
-        const sourceLang = options.sourceLang || stateManager.getState('config.language') || 'en-US';
-        const targetLang = options.targetLang || 'ja';
-        
-        const langMap = {
-            'en-US': 'アメリカ英語',
-            'en-GB': 'イギリス英語',
-            'ja': '日本語'
-        };
-
-        const sourceLanguage = langMap[sourceLang] || '英語';
-        const targetLanguage = langMap[targetLang] || '日本語';
+        const { sourceLanguage, targetLanguage } = GeminiTranslator.getLanguageNames(options);
 
         // 翻訳スタイル設定を取得
         const translationStyle = stateManager.getState('config.translationStyle') || '';
 
+        // 直前の会話（文脈）
+        const contextLines = options.context || (options.isTest ? [] : this.getContextLines(text, options.contextBeforeId));
+        const contextBlock = GeminiTranslator.formatContextBlock(contextLines);
+
+        // 翻訳対象テキストに含まれる用語集の用語
+        const glossaryBlock = GeminiTranslator.formatGlossaryBlock(this.findGlossaryTerms(text));
+
         // プロンプト生成
         const prompt = `以下のテキストを${sourceLanguage}から${targetLanguage}に翻訳してください。
 重要な指示:
@@ -206,140 +591,463 @@ class GeminiTranslator {
 - 説明、前置き、確認メッセージなどは一切含めないこと
 - メタ情報や翻訳プロセスの説明は不要
 - 原文の意味を正確に、自然な${targetLanguage}で表現すること
-${translationStyle ? `- スタイル: ${translationStyle}` : ''}
-翻訳対象テキスト:
+${contextBlock ? `- <context>内は直前の会話であり、代名詞・話題・冗談のつながりを判断するためだけに使うこと（翻訳対象テキストのみを翻訳する）\n` : ''}${glossaryBlock ? `- 用語集の用語は必ず指定の訳語で翻訳すること\n` : ''}${translationStyle ? `- スタイル: ${translationStyle}` : ''}
+${contextBlock}${glossaryBlock}翻訳対象テキスト:
 ${text}`;
         return prompt;
     }
 
     /**
-     * Google Gemini APIへの翻訳リクエスト実行
-     * レート制限、タイムアウト、セキュリティ設定を含む安全なAPIコール
-     * AbortControllerでタイムアウト制御、fetch APIでHTTPリクエストを実行
+     * LLM（Gemini・OpenAI互換）用のバッチ翻訳プロンプト生成
+     * 行IDと原文のJSONを渡し、同じ行IDごとの訳をJSONで応答させる
+     * 
+     * @param {Array<{id: string, text: string}>} items - 翻訳対象の行
+     * @param {Object} [options={}] - プロンプトオプション（generatePromptと同じ）
+     * @returns {string} 生成されたプロンプト文字列
+     */
+    generateBatchPrompt(items, options = {}) {
+        const { sourceLanguage, targetLanguage } = GeminiTranslator.getLanguageNames(options);
+        const translationStyle = stateManager.getState('config.translationStyle') || '';
+        const contextBlock = GeminiTranslator.formatContextBlock(options.context || []);
+        const glossaryBlock = GeminiTranslator.formatGlossaryBlock(this.findGlossaryTerms(items.map(item => item.text).join('\n')));
+
+        return `以下のJSONのlinesの各行を${sourceLanguage}から${targetLanguage}に翻訳してください。
+重要な指示:
+- {"translations": [{"id": "行のid", "text": "翻訳結果"}]} 形式のJSONのみを出力すること
+- すべての行について、入力と同じidで翻訳結果を1件ずつ含めること（行の結合・分割・省略をしないこと）
+- 説明、前置き、確認メッセージなどは一切含めないこと
+- 原文の意味を正確に、自然な${targetLanguage}で表現すること
+- 各行は続けて話された会話であり、前後の行のつながりを踏まえて翻訳すること
+${contextBlock ? `- <context>内は直前の会話であり、代名詞・話題・冗談のつながりを判断するためだけに使うこと（linesの行のみを翻訳する）\n` : ''}${glossaryBlock ? `- 用語集の用語は必ず指定の訳語で翻訳すること\n` : ''}${translationStyle ? `- スタイル: ${translationStyle}` : ''}
+${contextBlock}${glossaryBlock}翻訳対象（JSON）:
+${JSON.stringify({ lines: items })}`;
+    }
+
+    /**
+     * プロンプトに含める言語名
+     * 
+     * @param {Object} [options={}] - プロンプトオプション（sourceLang, targetLang）
+     * @returns {{sourceLanguage: string, targetLanguage: string}} 翻訳元・翻訳先の言語名
+     */
+    static getLanguageNames(options = {}) {
+        const sourceLang = options.sourceLang || stateManager.getState('config.language') || 'en-US';
+        const targetLang = options.targetLang || 'ja';
+        
+        const langMap = {
+            'en-US': 'アメリカ英語',
+            'en-GB': 'イギリス英語',
+            'ja': '日本語'
+        };
+
+        return {
+            sourceLanguage: langMap[sourceLang] || '英語',
+            targetLanguage: langMap[targetLang] || '日本語'
+        };
+    }
+
+    /**
+     * プロンプトに含める文脈のブロックの整形
+     * 
+     * @param {Array<Object>} contextLines - 文脈の行（古い順）
+     * @returns {string} 文脈のブロック（文脈がない場合は空文字列）
+     */
+    static formatContextBlock(contextLines) {
+        return contextLines.length > 0
+            ? `文脈（直前の会話。参考にするだけで翻訳・出力はしないこと）:
+<context>
+${contextLines.map(line => GeminiTranslator.formatContextLine(line)).join('\n')}
+</context>
+`
+            : '';
+    }
+
+    /**
+     * プロンプトに含める用語集のブロックの整形
+     * 
+     * @param {Array<Object>} terms - 用語集の用語
+     * @returns {string} 用語集のブロック（用語がない場合は空文字列）
+     */
+    static formatGlossaryBlock(terms) {
+        return terms.length > 0
+            ? `用語集（原語 → 必ず使う訳語）:
+${terms.map(term => `- ${term.source} → ${term.target}${term.notes ? `（${term.notes}）` : ''}`).join('\n')}
+`
+            : '';
+    }
+
+    /**
+     * 翻訳対象テキストに含まれる用語集の用語の取得
+     * 
+     * @param {string} text - 翻訳対象テキスト
+     * @returns {Array<Object>} 用語集の用語（用語集がない場合は空配列）
+     */
+    findGlossaryTerms(text) {
+        return window.glossary ? window.glossary.findTerms(text) : [];
+    }
+
+    /**
+     * 文脈として含める直前の行の取得
+     * 設定の行数とトークン数（概算）の範囲で、翻訳対象に近い行から順に含める
+     * 翻訳済みの行は翻訳も含め、訳語や口調の一貫性を保つ
+     * 
+     * @param {string} text - 翻訳対象テキスト（行IDがない場合に同じ原文の行を探すのに使用）
+     * @param {string} [beforeId] - 翻訳対象のテキスト履歴の行ID
+     * @returns {Array<{originalText: string, translatedText: string|null}>} 文脈の行（古い順）
+     */
+    getContextLines(text, beforeId) {
+        const maxLines = stateManager.getState('config.contextLines') || 0;
+        const tokenBudget = stateManager.getState('config.contextTokenBudget') || 0;
+        if (maxLines <= 0 || tokenBudget <= 0) {
+            return [];
+        }
+
+        // 翻訳対象の行の位置（行IDがない手動翻訳は同じ原文の最新行、見つからなければ最新の行までを文脈にする）
+        const history = stateManager.getState('textHistory') || [];
+        let end = beforeId ? history.findIndex(entry => entry.id === beforeId) : -1;
+        if (end === -1) {
+            const target = Utils.trimText(text);
+            const matchIndex = history.map(entry => Utils.trimText(entry.originalText || '')).lastIndexOf(target);
+            end = matchIndex === -1 ? history.length : matchIndex;
+        }
+
+        const lines = [];
+        let tokens = 0;
+        for (let index = end - 1; index >= 0 && lines.length < maxLines; index--) {
+            const entry = history[index];
+            const line = {
+                originalText: entry.originalText,
+                translatedText: entry.translationStatus === 'done' ? entry.translatedText : null
+            };
+
+            const cost = GeminiTranslator.estimateTokens(line.originalText) + GeminiTranslator.estimateTokens(line.translatedText);
+            if (tokens + cost > tokenBudget) {
+                break;
+            }
+
+            tokens += cost;
+            lines.unshift(line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * 文脈の1行分の整形（区切りタグを含む文字列は除去）
+     * 
+     * @param {Object} line - 文脈の行（originalText, translatedText）
+     * @returns {string} プロンプトに含める文字列
+     */
+    static formatContextLine(line) {
+        const clean = (value) => String(value).replace(/<\/?context>/gi, '');
+        return line.translatedText
+            ? `英: ${clean(line.originalText)}\n訳: ${clean(line.translatedText)}`
+            : `英: ${clean(line.originalText)}`;
+    }
+
+    /**
+     * テキストのトークン数の概算
+     * 英数字はCHARS_PER_TOKEN文字で1トークン、日本語などそれ以外の文字は1文字1トークンとして数える
+     * 
+     * @param {string|null} text - テキスト
+     * @returns {number} 概算トークン数
+     */
+    static estimateTokens(text) {
+        if (!text) return 0;
+
+        const nonAsciiCount = (text.match(/[^\x00-\x7F]/g) || []).length;
+        return Math.ceil((text.length - nonAsciiCount) / TRANSLATION_CONSTANTS.CHARS_PER_TOKEN) + nonAsciiCount;
+    }
+
+    /**
+     * 翻訳プロバイダーへの翻訳リクエスト実行
+     * レート制限、タイムアウト、再試行をプロバイダーによらず共通に処理する
+     * AbortControllerでタイムアウト制御、プロバイダーのsendでHTTPリクエストを実行
      * エラーレスポンスの適切なパーシングとユーザーフレンドリーなメッセージ化
+     * 一時的な失敗（429・5xx・タイムアウト・ネットワークエラー）は指数バックオフで再試行し、
+     * 400・403などの再試行しても解決しないエラーは即座に失敗とする
      * 
-     * @param {string} prompt - Gemini AIに送信するプロンプト
-     * @returns {Promise<Object>} Gemini APIレスポンスオブジェクト
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Object} request - 翻訳リクエスト（createRequestで生成）
+     * @param {Object} [options={}] - 呼び出しオプション
+     * @param {Function} [options.onRetry] - 再試行前に呼ばれる関数（{attempt, maxRetries, delay, error}）
+     * @param {Function} [options.onPartial] - 受信途中の翻訳テキストを受け取る関数（ストリーミング設定が有効で、プロバイダーが対応している場合のみ使用）
+     * @param {AbortSignal} [options.signal] - 呼び出し側からの中断シグナル
+     * @returns {Promise<string|Array<{id: string, text: string}>>} 翻訳テキスト（バッチ翻訳の場合は行ごとの翻訳）
      * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー
      */
-    async callGeminiAPI(prompt) {
-        const url = `${this.config.GEMINI_BASE_URL}${this.model}:generateContent?key=${this.apiKey}`;
-        
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.3,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 2048
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH", 
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    async requestTranslation(provider, request, options = {}) {
+        const stream = !!options.onPartial && provider.supportsStreaming && !!stateManager.getState('config.streamTranslation');
+        const maxRetries = this.config.MAX_RETRIES ?? TRANSLATION_CONSTANTS.MAX_RETRY_COUNT;
+
+        // 途中まで表示した翻訳を再試行で重複させないよう、受信開始後の失敗は再試行しない
+        let hasPartial = false;
+        const onPartial = stream
+            ? (text) => {
+                hasPartial = true;
+                options.onPartial(text);
+            }
+            : null;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(provider, request, { onPartial, signal: options.signal });
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (attempt >= maxRetries || delay === null || hasPartial) {
+                    throw error;
                 }
-            ]
-        };
 
+                if (options.onRetry) {
+                    options.onRetry({ attempt: attempt + 1, maxRetries, delay, error });
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * 翻訳プロバイダーへの1回分のリクエスト送信
+     * 失敗時のエラーには再試行の判定に使う情報（status, retryAfter, retryable）を付与する
+     * タイムアウトはストリーミングの受信完了までを含めて適用する
+     * 
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Object} request - 翻訳リクエスト
+     * @param {Object} [options={}] - 送信オプション
+     * @param {Function|null} [options.onPartial] - 指定時はストリーミングとして受信し、受信途中の翻訳テキストを渡す
+     * @param {AbortSignal} [options.signal] - 呼び出し側からの中断シグナル
+     * @returns {Promise<string|Array<{id: string, text: string}>>} 翻訳テキスト（バッチ翻訳の場合は行ごとの翻訳）
+     * @throws {Error} APIエラー、ネットワークエラー、タイムアウトエラー、中断エラー
+     */
+    async sendRequest(provider, request, options = {}) {
         // レート制限対応
         await this.handleRateLimit();
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.config.REQUEST_TIMEOUT);
+        const abortByCaller = () => controller.abort();
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            }
+            options.signal.addEventListener('abort', abortByCaller);
+        }
 
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
+            const response = await provider.send(request, {
+                signal: controller.signal,
+                stream: !!options.onPartial
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(`API Error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+                const apiError = new Error(`API Error: ${response.status} - ${provider.getErrorMessage(errorData) || response.statusText}`);
+                apiError.status = response.status;
+                apiError.retryAfter = this.parseRetryAfter(response, errorData, provider);
+                throw apiError;
             }
 
-            const data = await response.json();
+            const translatedText = options.onPartial
+                ? await this.readStreamResponse(response, provider, options.onPartial)
+                : await this.parseResponseBody(response, provider, request);
             this.lastRequestTime = Date.now();
             
-            return data;
+            return translatedText;
 
         } catch (error) {
-            clearTimeout(timeoutId);
-            
             if (error.name === 'AbortError') {
-                throw new Error('リクエストがタイムアウトしました');
+                // 呼び出し側による中断は再試行せず、エラー表示もしない
+                if (options.signal?.aborted) {
+                    const abortError = new Error('翻訳が中断されました');
+                    abortError.aborted = true;
+                    throw abortError;
+                }
+
+                const timeoutError = new Error('リクエストがタイムアウトしました');
+                timeoutError.retryable = true;
+                throw timeoutError;
+            }
+
+            // fetch自体の失敗（オフライン・接続断・ローカルサーバー未起動など）
+            if (error.name === 'TypeError' && !error.invalidResponse) {
+                error.retryable = true;
             }
             
             throw error;
+
+        } finally {
+            clearTimeout(timeoutId);
+            options.signal?.removeEventListener('abort', abortByCaller);
         }
     }
 
     /**
-     * Gemini APIレスポンスのパーシングと翻訳テキスト抽出
-     * APIレスポンスの構造を検証し、安全に翻訳結果を取得
-     * 空のレスポンスや不正なフォーマットに対するエラーハンドリング
+     * 応答本文（JSON）からの翻訳結果の取り出し
+     * 解釈できなかった場合のエラーにはinvalidResponseを付与する（バッチ翻訳では行を分けて再送信する判定に使用）
+     * @private
      * 
-     * @param {Object} response - Gemini APIからのレスポンスオブジェクト
-     * @returns {string} 抽出された翻訳テキスト
-     * @throws {Error} レスポンスのパーシングエラー
+     * @param {Response} response - fetchのレスポンス
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Object} request - 翻訳リクエスト
+     * @returns {Promise<string|Array<{id: string, text: string}>>} 翻訳テキスト（バッチ翻訳の場合は行ごとの翻訳）
+     * @throws {Error} 応答がJSONでない場合や形式が不正な場合、受信中の中断エラー
      */
-    processResponse(response) {
+    async parseResponseBody(response, provider, request) {
         try {
-            if (!response || !response.candidates || !response.candidates[0]) {
-                throw new Error('無効なAPI応答です');
+            const data = await response.json();
+
+            // バッチ翻訳は行ごとの翻訳の配列
+            return request.items
+                ? provider.parseBatchResponse(data, request.items)
+                : provider.parseResponse(data);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                error.invalidResponse = true;
             }
+            throw error;
+        }
+    }
 
-            const candidate = response.candidates[0];
-            
-            // Gemini API finishReasonのチェック（STOP以外は異常終了）
-            if (candidate.finishReason && candidate.finishReason !== 'STOP') {
-                throw new Error(`finishReason: ${candidate.finishReason}`);
+    /**
+     * ストリーミングレスポンス（Server-Sent Events）の受信
+     * 各イベントをプロバイダーで解釈して翻訳テキストを連結し、逐次通知する
+     * 途中で安全性フィルタなどにより終了した場合はプロバイダーがエラーを投げ、受信を打ち切る
+     * 
+     * @param {Response} response - fetchのレスポンス
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Function} onPartial - 受信途中の翻訳テキスト（先頭からの全文）を受け取る関数
+     * @returns {Promise<string>} 翻訳テキスト（受信した全文）
+     * @throws {Error} ストリーム内のAPIエラー、受信が途中で途切れた場合のエラー
+     */
+    async readStreamResponse(response, provider, onPartial) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let finished = false;
+
+        const handleEvent = (event) => {
+            const data = GeminiTranslator.parseSseEvent(event);
+            if (!data) return;
+
+            const { delta, done } = provider.parseStreamEvent(data);
+            if (delta) {
+                text += delta;
+                onPartial(text);
             }
-            
-            if (!candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
-                throw new Error('API_RESPONSE_NO_CONTENT');
+            if (done) {
+                finished = true;
             }
+        };
 
-            const translatedText = candidate.content.parts[0].text;
-            
-            if (!translatedText || typeof translatedText !== 'string') {
-                throw new Error('API_RESPONSE_INVALID_TEXT');
+        try {
+            while (!finished) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    if (buffer.trim()) handleEvent(buffer);
+                    break;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+                events.forEach(event => {
+                    if (!finished) handleEvent(event);
+                });
             }
+        } finally {
+            // 打ち切った場合も接続を解放
+            reader.cancel().catch(() => {});
+        }
+
+        if (!finished) {
+            const incompleteError = new Error('翻訳結果の受信が途中で途切れました');
+            incompleteError.retryable = true;
+            throw incompleteError;
+        }
 
-            return translatedText.trim();
+        return text;
+    }
 
-        } catch (error) {
-            // エラータイプに応じて適切なメッセージを生成
-            if (error.message === 'API_RESPONSE_NO_CONTENT') {
-                throw new Error('翻訳結果が含まれていません');
-            } else if (error.message === 'API_RESPONSE_INVALID_TEXT') {
-                throw new Error('翻訳テキストが無効です');
-            } else {
-                throw new Error(`翻訳に失敗しました。${error.message}`);
+    /**
+     * Server-Sent Eventsの1イベント分のデータの取り出し
+     * 
+     * @param {string} event - イベントの文字列（data:行を含む）
+     * @returns {string|null} イベントのデータ（データがない場合はnull）
+     */
+    static parseSseEvent(event) {
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+
+        return data || null;
+    }
+
+    /**
+     * 再試行までの待機時間の算出
+     * サーバーの指定（Retry-After・retryDelay）があれば従い、なければ指数バックオフにジッターを加える
+     * 
+     * @param {Error} error - 失敗したリクエストのエラー
+     * @param {number} attempt - 失敗したリクエストの再試行回数（初回は0）
+     * @returns {number|null} 待機時間（ms）、再試行しない場合はnull
+     */
+    getRetryDelay(error, attempt) {
+        const retryable = error.status
+            ? TRANSLATION_CONSTANTS.RETRYABLE_STATUS.includes(error.status)
+            : !!error.retryable;
+        if (!retryable) {
+            return null;
+        }
+
+        if (error.retryAfter != null) {
+            return error.retryAfter <= TRANSLATION_CONSTANTS.MAX_RETRY_DELAY ? error.retryAfter : null;
+        }
+
+        const baseDelay = Math.min(this.config.RETRY_DELAY * 2 ** attempt, TRANSLATION_CONSTANTS.MAX_RETRY_DELAY);
+        return Math.round(baseDelay / 2 + Math.random() * baseDelay / 2);
+    }
+
+    /**
+     * サーバーが指定した再試行までの待機時間の取得
+     * Retry-Afterヘッダー（秒数またはHTTP日付）と、プロバイダー固有のエラー詳細（Gemini APIのRetryInfo.retryDelayなど）に対応
+     * 
+     * @param {Response} response - fetchのレスポンス
+     * @param {Object} errorData - エラーレスポンスのJSON
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @returns {number|null} 待機時間（ms）、指定がない場合はnull
+     */
+    parseRetryAfter(response, errorData, provider) {
+        const header = response.headers?.get('Retry-After');
+        if (header) {
+            const seconds = Number(header);
+            if (!isNaN(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+
+            const date = Date.parse(header);
+            if (!isNaN(date)) {
+                return Math.max(0, date - Date.now());
             }
         }
+
+        return provider.getRetryDelay(errorData);
+    }
+
+    /**
+     * 翻訳テキストの検証と整形
+     * プロバイダーが取り出した翻訳結果を検証し、前後の空白を除去する
+     * 
+     * @param {string} translatedText - プロバイダーから受け取った翻訳テキスト
+     * @returns {string} 整形された翻訳テキスト
+     * @throws {Error} 翻訳テキストが空または不正な場合
+     */
+    processResponse(translatedText) {
+        if (!translatedText || typeof translatedText !== 'string' || !translatedText.trim()) {
+            throw new Error('翻訳テキストが無効です');
+        }
+
+        return translatedText.trim();
     }
 
     /**
@@ -350,19 +1058,36 @@ ${text}`;
      * @param {Error} error - 翻訳処理中に発生したエラーオブジェクト
      */
     handleTranslationError(error) {
-        const errorMessage = error.message.toLowerCase();
+        const code = this.classifyError(error);
         
-        if (errorMessage.includes('api key')) {
-            stateManager.setError('TRANSLATION', 'API_KEY_MISSING');
-        } else if (errorMessage.includes('quota') || errorMessage.includes('rate limit')) {
-            stateManager.setError('TRANSLATION', 'RATE_LIMIT');
+        stateManager.setError('TRANSLATION', code, ['API_ERROR', 'ENDPOINT_NOT_ALLOWED'].includes(code) ? error.message : null);
+    }
+
+    /**
+     * 翻訳エラーのエラーコードへの分類
+     * 行ごとの翻訳状態にも記録し、失敗の原因（レート制限・タイムアウトなど）を区別する
+     * 
+     * @param {Error} error - 翻訳処理中に発生したエラーオブジェクト
+     * @returns {string} ERROR_MESSAGES.TRANSLATIONのキー
+     */
+    classifyError(error) {
+        const errorMessage = (error.message || '').toLowerCase();
+        
+        if (errorMessage.includes('api key') || errorMessage.includes('apiキー') || errorMessage.includes('設定されていません')) {
+            return 'API_KEY_MISSING';
+        } else if (errorMessage.includes('には接続できません') || errorMessage.includes('urlが不正')) {
+            return 'ENDPOINT_NOT_ALLOWED';
+        } else if (errorMessage.includes('quota') || errorMessage.includes('rate limit') || errorMessage.includes(' 429 ')) {
+            return 'RATE_LIMIT';
+        } else if (errorMessage.includes('timeout') || errorMessage.includes('タイムアウト')) {
+            return 'TIMEOUT';
         } else if (errorMessage.includes('network') || errorMessage.includes('fetch')) {
-            stateManager.setError('TRANSLATION', 'NETWORK_ERROR');
-        } else if (errorMessage.includes('timeout')) {
-            stateManager.setError('TRANSLATION', 'NETWORK_ERROR');
-        } else {
-            stateManager.setError('TRANSLATION', 'API_ERROR', error.message);
+            return 'NETWORK_ERROR';
+        } else if (errorMessage.includes('長すぎ')) {
+            return 'TEXT_TOO_LONG';
         }
+        
+        return 'API_ERROR';
     }
 
     /**
@@ -388,9 +1113,11 @@ ${text}`;
      * 複数の翻訳リクエストをキューに追加し、順次処理でレート制限を回避
      * Promiseベースで非同期処理を実現し、UIブロッキングを防止
      * 
-     * @param {string} text - 翻訳対象テキスト
+     * @param {string|Array<string>} text - 翻訳対象テキスト（バッチ翻訳の場合はテキストの配列）
      * @param {Object} [options={}] - 翻訳オプション
-     * @returns {Promise<Object>} 翻訳結果を含むPromise
+     * @param {boolean} [options.lineOnly] - trueの場合は翻訳エリアを更新せずに翻訳（translateLine）
+     * @param {boolean} [options.batch] - trueの場合は複数行をまとめて翻訳（translateBatch）
+     * @returns {Promise<Object|Array<Object>>} 翻訳結果を含むPromise（バッチ翻訳の場合は各テキストの翻訳結果配列）
      */
     async translateWithQueue(text, options = {}) {
         return new Promise((resolve, reject) => {
@@ -424,16 +1151,23 @@ ${text}`;
         try {
             while (this.requestQueue.length > 0) {
                 const request = this.requestQueue.shift();
+                let result = null;
                 
                 try {
-                    const result = await this.translate(request.text, request.options);
+                    if (request.options.batch) {
+                        result = await this.translateBatch(request.text, request.options);
+                    } else if (request.options.lineOnly) {
+                        result = await this.translateLine(request.text, request.options);
+                    } else {
+                        result = await this.translate(request.text, request.options);
+                    }
                     request.resolve(result);
                 } catch (error) {
                     request.reject(error);
                 }
 
-                // キュー間の待機
-                if (this.requestQueue.length > 0) {
+                // キュー間の待機（翻訳メモリから再利用した場合はAPIを呼んでいないため不要）
+                if (this.requestQueue.length > 0 && !result?.fromMemory) {
                     await new Promise(resolve => setTimeout(resolve, 500));
                 }
             }
@@ -444,59 +1178,218 @@ ${text}`;
 
     /**
      * 複数テキストのバッチ翻訳処理
-     * テキスト配列を受け取り、各テキストをキューシステムで順次翻訳
-     * 全テキストの翻訳結果を配列で返し、エラーハンドリングも含む
-     * バッチ処理の進行状況をリアルタイムで監視可能
+     * 複数行をまとめて1回のリクエストで翻訳し、行ごとの翻訳結果を返す（LLMは行IDごとの訳をJSONで応答）
+     * 翻訳メモリにある行は送信せず、残りの行を行数・文字数の上限ごとに分けて順に送信する
      * 
      * @param {Array<string>} textArray - 翻訳対象テキストの配列
-     * @param {Object} [options={}] - バッチ翻訳オプション
-     * @returns {Promise<Array<Object>>} 各テキストの翻訳結果配列
-     * @throws {Error} バッチ処理全体のエラー
+     * @param {Object} [options={}] - バッチ翻訳オプション（translateLineと同じ、文脈の基準はcontextBeforeIdsで行ごとに指定）
+     * @param {Array<string>} [options.contextBeforeIds] - 各テキストのテキスト履歴の行ID（textArrayと同じ順）
+     * @param {Function} [options.onStart] - 送信前に呼ばれる関数（送信する行のtextArray内の位置の配列）
+     * @param {Function} [options.onResult] - 行の翻訳結果が確定するたびに呼ばれる関数（textArray内の位置, 翻訳結果）
+     * @param {AbortSignal} [options.signal] - 中断シグナル（中断後の行は送信せず、abortedの結果とする）
+     * @returns {Promise<Array<Object>>} 各テキストの翻訳結果配列（translateLineと同じ形式、textArrayと同じ順）
+     * @throws {Error} テキスト配列以外が指定された場合
      */
     async translateBatch(textArray, options = {}) {
+        if (!Array.isArray(textArray)) {
+            throw new Error('テキスト配列が必要です');
+        }
+
+        const results = new Array(textArray.length).fill(null);
+        const setResult = (index, result) => {
+            results[index] = result;
+            if (options.onResult) {
+                options.onResult(index, result);
+            }
+        };
+
+        // 接続設定（APIキー・接続先）チェック
+        let provider;
         try {
-            if (!Array.isArray(textArray)) {
-                throw new Error('テキスト配列が必要です');
+            provider = this.getProvider();
+            provider.validate();
+        } catch (error) {
+            textArray.forEach((text, index) => setResult(index, this.createErrorResult(error, text)));
+            return results;
+        }
+
+        // 翻訳メモリに同じ原文の翻訳がある行は送信しない
+        const lines = [];
+        for (const [index, text] of textArray.entries()) {
+            const trimmedText = typeof text === 'string' ? Utils.trimText(text) : '';
+            if (!trimmedText || trimmedText.length > TRANSLATION_CONSTANTS.MAX_TEXT_LENGTH) {
+                setResult(index, this.createErrorResult(new Error(trimmedText ? 'テキストが長すぎます' : '翻訳するテキストが空です'), text));
+                continue;
             }
 
-            const results = [];
-            
-            for (const text of textArray) {
-                const result = await this.translateWithQueue(text, options);
-                results.push(result);
+            const memoryParams = this.getMemoryParams(provider, trimmedText, options);
+            const remembered = await this.lookupMemory(provider, memoryParams, options);
+            if (remembered) {
+                this.recordHistory(memoryParams, remembered.translatedText, { origin: 'panel', ...options }, true);
+                setResult(index, {
+                    success: true,
+                    originalText: trimmedText,
+                    translatedText: remembered.translatedText,
+                    model: provider.modelName,
+                    fromMemory: true,
+                    glossaryViolations: this.checkGlossary(trimmedText, remembered.translatedText),
+                    timestamp: Date.now()
+                });
+                continue;
             }
 
-            return results;
+            lines.push({ index, text: trimmedText, memoryParams });
+        }
+
+        for (const chunk of GeminiTranslator.createBatchChunks(lines)) {
+            // 中断された場合（テキスト履歴のクリアなど）は残りの行を送信しない
+            if (options.signal?.aborted) {
+                const abortError = new Error('翻訳が中断されました');
+                abortError.aborted = true;
+                chunk.forEach(line => setResult(line.index, this.createErrorResult(abortError, line.text)));
+                continue;
+            }
 
+            await this.translateChunk(provider, chunk, options, setResult);
+        }
+
+        return results;
+    }
+
+    /**
+     * バッチ翻訳の送信単位への分割（行数・原文の文字数の上限ごと）
+     * 
+     * @param {Array<Object>} lines - 翻訳対象の行（text）
+     * @returns {Array<Array<Object>>} 送信単位ごとの行
+     */
+    static createBatchChunks(lines) {
+        const chunks = [];
+        let chunk = [];
+        let chars = 0;
+
+        lines.forEach(line => {
+            if (chunk.length > 0 && (chunk.length >= TRANSLATION_CONSTANTS.BATCH_MAX_LINES || chars + line.text.length > TRANSLATION_CONSTANTS.BATCH_MAX_CHARS)) {
+                chunks.push(chunk);
+                chunk = [];
+                chars = 0;
+            }
+            chunk.push(line);
+            chars += line.text.length;
+        });
+
+        if (chunk.length > 0) {
+            chunks.push(chunk);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * バッチ翻訳の1回分の送信と結果の検証
+     * すべての行IDの訳が返ったかを確認し、欠けた行は再送信する
+     * 応答の形式が不正な場合などすべての行が欠けた場合は半分に分けて再送信し（HTTPエラーやタイムアウトは再送信せず全行を失敗とする）、
+     * 1行になった場合は通常の翻訳（translateLine）で翻訳する
+     * @private
+     * 
+     * @param {TranslationProvider} provider - 翻訳プロバイダー
+     * @param {Array<Object>} lines - 翻訳対象の行（index, text, memoryParams）
+     * @param {Object} options - バッチ翻訳オプション
+     * @param {Function} setResult - 行の翻訳結果の記録関数（textArray内の位置, 翻訳結果）
+     * @returns {Promise<void>}
+     */
+    async translateChunk(provider, lines, options, setResult) {
+        if (options.onStart) {
+            options.onStart(lines.map(line => line.index));
+        }
+
+        const contextBeforeId = options.contextBeforeIds?.[lines[0].index];
+        if (lines.length === 1) {
+            setResult(lines[0].index, await this.translateLine(lines[0].text, { ...options, contextBeforeId, skipMemory: true }));
+            return;
+        }
+
+        const items = lines.map((line, position) => ({ id: String(position + 1), text: line.text }));
+        let translations = [];
+        try {
+            const request = this.createBatchRequest(provider, items, { ...options, contextBeforeId });
+            translations = await this.requestTranslation(provider, request, {
+                onRetry: options.onRetry,
+                signal: options.signal
+            });
         } catch (error) {
-            throw error;
+            // 分けて再送信するのは応答の形式が不正な場合のみ
+            // HTTPエラー・タイムアウト・通信エラー・中断・接続設定の不備は分けて送信しても解決しないため、全行を失敗とする
+            if (!error.invalidResponse) {
+                lines.forEach(line => setResult(line.index, this.createErrorResult(error, line.text)));
+                return;
+            }
+        }
+
+        // 行IDごとの訳（重複した場合は最初の訳）
+        const translatedById = new Map();
+        translations.forEach(translation => {
+            if (!translatedById.has(translation.id)) {
+                translatedById.set(translation.id, translation.text);
+            }
+        });
+
+        const missingLines = [];
+        for (const [position, line] of lines.entries()) {
+            let translatedText;
+            try {
+                translatedText = this.processResponse(translatedById.get(items[position].id));
+            } catch (error) {
+                missingLines.push(line);
+                continue;
+            }
+
+            await this.storeMemory(line.memoryParams, translatedText, options);
+            this.recordHistory(line.memoryParams, translatedText, { origin: 'panel', ...options });
+            setResult(line.index, {
+                success: true,
+                originalText: line.text,
+                translatedText,
+                model: provider.modelName,
+                glossaryViolations: this.checkGlossary(line.text, translatedText),
+                timestamp: Date.now()
+            });
+        }
+
+        if (missingLines.length === 0) {
+            return;
+        }
+
+        // 一部の行が欠けた場合は欠けた行のみ、すべて欠けた場合は半分ずつ再送信
+        if (missingLines.length < lines.length) {
+            await this.translateChunk(provider, missingLines, options, setResult);
+        } else {
+            const half = Math.ceil(lines.length / 2);
+            await this.translateChunk(provider, lines.slice(0, half), options, setResult);
+            await this.translateChunk(provider, lines.slice(half), options, setResult);
         }
     }
 
     /**
-     * 翻訳履歴の取得と管理
-     * ユーザーの翻訳履歴を取得し、統計情報や再翻訳機能で使用
-     * 現在は基本実装のみ、将来的にlocalStorageやサーバー連携で拡張予定
+     * 翻訳履歴の取得
+     * 記録済みの翻訳（原文・訳文・モデル・翻訳スタイル・日時・翻訳の起点）を取得し、再利用や統計情報で使用
      * 
-     * @returns {Array<Object>} 翻訳履歴の配列（現在は空配列）
+     * @param {Object} [filters={}] - 絞り込み条件（query, origin, pinnedOnly、TranslationHistory.listと同じ）
+     * @returns {Array<Object>} 翻訳履歴の配列（ピン留めしたものを先頭に新しい順）
      */
-    getTranslationHistory() {
-        // 実装は省略（必要に応じて追加）
-        return [];
+    getTranslationHistory(filters = {}) {
+        return window.translationHistory ? window.translationHistory.list(filters) : [];
     }
 
     /**
-     * Google Gemini APIの接続テストとAPIキー検証
-     * 簡単なテストテキストでAPIキーの有効性とネットワーク接続を確認
-     * 設定画面でのAPIキー検証やトラブルシューティングに使用
+     * 翻訳プロバイダーの接続テストと接続設定の検証
+     * 簡単なテストテキストでAPIキー・接続先の有効性とネットワーク接続を確認
+     * 設定画面での接続設定の検証やトラブルシューティングに使用
      * 
      * @returns {Promise<Object>} テスト結果オブジェクト（success, message, details）
      */
     async testConnection() {
         try {
-            if (!this.apiKey) {
-                throw new Error('APIキーが設定されていません');
-            }
+            this.getProvider().validate();
 
             const testText = '你好';
             const result = await this.translate(testText, { isTest: true });
@@ -549,7 +1442,8 @@ ${text}`;
             isProcessing: this.isProcessing,
             lastRequestTime: this.lastRequestTime,
             hasApiKey: !!this.apiKey,
-            currentModel: this.model
+            provider: stateManager.getState('config.translationProvider'),
+            currentModel: this.getModelName()
         };
     }
 
@@ -578,6 +1472,11 @@ ${text}`;
      * 未完了のキューリクエストをキャンセルし、メモリリークを防止
      */
     destroy() {
+        // 実行中の翻訳を中断
+        if (this.activeTranslation) {
+            this.activeTranslation.abort();
+        }
+        
         // 未完了のキューリクエストを全てキャンセル
         this.requestQueue.forEach(req => {
             req.reject(new Error('翻訳処理が中断されました'));
@@ -7,6 +7,7 @@
  * 機能概要:
  * - 音声認識ボタン、設定モーダル、テキスト表示エリアなどのメインUI管理
  * - リアルタイムテキスト表示とテキストレンダリング
+ * - 認識信頼度の表示と代替候補による原文差し替え
  * - テキスト選択によるインライン翻訳と原文⇔翻訳切り替え機能
  * - 自動スクロール、テーマ切り替え、フォントサイズ調整などのUI設定
  * - デバウンス、スロットル処理でパフォーマンス最適化
@@ -48,6 +49,7 @@ class UIController {
             'footer',                               // フッター全体
             '.btn',                                 // ボタン要素
             '.badge',                               // バッジ要素
+            '.alternatives-dropdown',               // 代替候補メニュー
             '.alert',                               // アラート要素
             'button'                                // ボタン要素（汎用）
         ];
@@ -55,6 +57,15 @@ class UIController {
         
         // 自動スクロールの状態管理
         this.isAutoScrolling = false;   // プログラム的なスクロール実行中フラグ
+        
+        // テキスト履歴を描画する仮想化リスト
+        this.transcriptView = null;
+        
+        // 実行中のバッチ翻訳の中断用（テキスト履歴のクリア・置き換え時）
+        this.batchTranslations = new Set();   // バッチ翻訳ごとのAbortController
+        
+        // 音声検出インジケーターの再描画タイマー
+        this.voiceActivityTimer = null;
     }
 
     /**
@@ -67,6 +78,7 @@ class UIController {
     async initialize() {
         try {
             this.cacheElements();
+            this.setupTranscriptView();
             this.setupEventListeners();
             this.setupToasts();
             
@@ -86,6 +98,19 @@ class UIController {
         }
     }
 
+    /**
+     * テキスト履歴を描画する仮想化リストの初期化
+     * 表示範囲付近の行のみを描画し、行数が多くても描画負荷を一定に保つ
+     */
+    setupTranscriptView() {
+        this.transcriptView = new TranscriptView({
+            $container: this.elements.$mainTextArea,
+            getEntries: () => stateManager.getState('textHistory'),
+            renderRow: (entry) => this.buildEntryRow(entry)
+        });
+        this.transcriptView.mount();
+    }
+
     /**
      * メインUI要素のjQueryオブジェクトをキャッシュ
      * 频繁なDOM検索を回避し、UI更新のパフォーマンスを大幅改善
@@ -96,8 +121,13 @@ class UIController {
             // ボタン類
             $recognitionBtn: $('#recognition-btn'),
             $clearTextBtn: $('#clear-text-btn'),
+            $retryTranslationsBtn: $('#retry-translations-btn'),
+            $retranslateMenuBtn: $('#retranslate-menu-btn'),
+            $retranslateAllBtn: $('#retranslate-all-btn'),
+            $failedTranslationCount: $('#failed-translation-count'),
             $autoScrollToggle: $('#auto-scroll-toggle'),
             $autoTranslateToggle: $('#auto-translate-toggle'),
+            $timestampModeToggle: $('#timestamp-mode-toggle'),
             $saveSettingsBtn: $('#save-settings'),
             
             // 表示エリア
@@ -110,10 +140,49 @@ class UIController {
             
             // フォーム要素
             $languageSelector: $('input[name="language"]'),
+            $translationProviderSelect: $('#translation-provider'),
+            $translationProviderSettings: $('.translation-provider-settings'),
             $apiKeyInput: $('#gemini-api-key'),
             $geminiModelSelect: $('#gemini-model'),
+            $openaiBaseUrlInput: $('#openai-base-url'),
+            $openaiApiKeyInput: $('#openai-api-key'),
+            $openaiModelInput: $('#openai-model'),
+            $deeplApiKeyInput: $('#deepl-api-key'),
+            $deeplApiUrlInput: $('#deepl-api-url'),
+            $libreTranslateUrlInput: $('#libretranslate-url'),
+            $libreTranslateApiKeyInput: $('#libretranslate-api-key'),
+            $streamTranslationCheckbox: $('#stream-translation'),
             $maxTextLinesInput: $('#max-text-lines'),
             $translationStyleInput: $('#translation-description'),
+            $contextLinesInput: $('#context-lines'),
+            $contextTokenBudgetInput: $('#context-token-budget'),
+            $translationMemoryEnabledCheckbox: $('#translation-memory-enabled'),
+            $translationMemoryFuzzyCheckbox: $('#translation-memory-fuzzy'),
+            $recognitionEngineSelect: $('#recognition-engine'),
+            $recognitionServerUrlInput: $('#recognition-server-url'),
+            $recognitionScriptInput: $('#recognition-script'),
+            $maxAlternativesInput: $('#max-alternatives'),
+            $segmentationModeSelect: $('#segmentation-mode'),
+            $streamStartTimeInput: $('#stream-start-time'),
+            $streamStartNowBtn: $('#stream-start-now'),
+            $streamStartClearBtn: $('#stream-start-clear'),
+            $gaplessHandoverCheckbox: $('#gapless-handover'),
+            $audioMonitorEnabledCheckbox: $('#audio-monitor-enabled'),
+            $silenceAlarmSecondsInput: $('#silence-alarm-seconds'),
+            $silenceAlarmSoundCheckbox: $('#silence-alarm-sound'),
+            $silenceThresholdInput: $('#silence-threshold'),
+            $replacementRulesList: $('#replacement-rules-list'),
+            $replacementRulesStatus: $('#replacement-rules-status'),
+            $addReplacementRuleBtn: $('#add-replacement-rule'),
+            $exportReplacementRulesBtn: $('#export-replacement-rules'),
+            $importReplacementRulesBtn: $('#import-replacement-rules'),
+            $replacementRulesFileInput: $('#replacement-rules-file'),
+            $glossaryTermsList: $('#glossary-terms-list'),
+            $glossaryTermsStatus: $('#glossary-terms-status'),
+            $addGlossaryTermBtn: $('#add-glossary-term'),
+            $exportGlossaryTermsBtn: $('#export-glossary-terms'),
+            $importGlossaryTermsBtn: $('#import-glossary-terms'),
+            $glossaryTermsFileInput: $('#glossary-terms-file'),
             $translationAreaToggle: $('#translation-area-toggle'),
             $translationFooter: $('footer'),
             
@@ -125,6 +194,8 @@ class UIController {
             
             // その他
             $btnText: $('#btn-text'),
+            $voiceActivityIndicator: $('#voice-activity-indicator'),
+            $audioLevelMeter: $('#audio-level-meter'),
             $themeToggle: $('#theme-toggle'),
             $themeIcon: $('#theme-icon'),
         };
@@ -155,6 +226,16 @@ class UIController {
             this.clearMainText();
         });
 
+        // 翻訳に失敗した行・未翻訳の行の一括再翻訳ボタン
+        this.elements.$retryTranslationsBtn.on('click', () => {
+            this.retryFailedTranslations();
+        });
+
+        // 全行の再翻訳（翻訳済みの行も現在の設定で翻訳し直す）
+        this.elements.$retranslateAllBtn.on('click', () => {
+            this.retranslateAll();
+        });
+
         // 自動スクロール機能のオン・オフトグルボタン
         // 新しいテキスト追加時に自動で最新位置にスクロールするかを制御
         this.elements.$autoScrollToggle.on('click', () => {
@@ -167,6 +248,21 @@ class UIController {
             this.toggleAutoTranslate();
         });
 
+        // 行の時刻表示切り替えボタン
+        // 時刻と配信開始からの経過時間（VODとの照合用）を切り替え
+        this.elements.$timestampModeToggle.on('click', () => {
+            this.toggleTimestampMode();
+        });
+
+        // 配信開始時刻の入力補助（現在時刻の入力、自動への切り替え）
+        this.elements.$streamStartNowBtn.on('click', () => {
+            this.elements.$streamStartTimeInput.val(UIController.formatTimeInput(Date.now()));
+        });
+        
+        this.elements.$streamStartClearBtn.on('click', () => {
+            this.elements.$streamStartTimeInput.val('');
+        });
+
         // メインテキストエリアの手動スクロール検出
         // ユーザーが手動でスクロールしたことを検知し、自動スクロールと区別
         this.elements.$mainTextArea.on('scroll', () => {
@@ -209,6 +305,69 @@ class UIController {
             this.loadSettingsToModal();
         });
 
+        // 翻訳サービスの切り替え（選択中のサービスの設定欄のみ表示）
+        this.elements.$translationProviderSelect.on('change', () => {
+            this.updateTranslationProviderSettings();
+        });
+
+        // 語句置換ルールの編集（追加・削除・入力時の検証）
+        this.elements.$addReplacementRuleBtn.on('click', () => {
+            this.elements.$replacementRulesList.append(this.createReplacementRuleRow({ pattern: '', replacement: '' }));
+        });
+        
+        this.elements.$replacementRulesList.on('click', '.remove-replacement-rule', (e) => {
+            $(e.currentTarget).closest('.replacement-rule-row').remove();
+        });
+        
+        this.elements.$replacementRulesList.on('input change', '.replacement-rule-row input', (e) => {
+            this.validateReplacementRuleRow($(e.currentTarget).closest('.replacement-rule-row'));
+        });
+        
+        // 語句置換ルールのエクスポート・インポート
+        this.elements.$exportReplacementRulesBtn.on('click', () => {
+            this.exportReplacementRules();
+        });
+        
+        this.elements.$importReplacementRulesBtn.on('click', () => {
+            this.elements.$replacementRulesFileInput.val('').trigger('click');
+        });
+        
+        this.elements.$replacementRulesFileInput.on('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+                this.importReplacementRules(file);
+            }
+        });
+        
+        // 用語集の編集（追加・削除・入力時の検証）
+        this.elements.$addGlossaryTermBtn.on('click', () => {
+            this.elements.$glossaryTermsList.append(this.createGlossaryTermRow({ source: '', target: '' }));
+        });
+        
+        this.elements.$glossaryTermsList.on('click', '.remove-glossary-term', (e) => {
+            $(e.currentTarget).closest('.glossary-term-row').remove();
+        });
+        
+        this.elements.$glossaryTermsList.on('input change', '.glossary-term-row input', (e) => {
+            this.validateGlossaryTermRow($(e.currentTarget).closest('.glossary-term-row'));
+        });
+        
+        // 用語集のCSVエクスポート・インポート
+        this.elements.$exportGlossaryTermsBtn.on('click', () => {
+            this.exportGlossaryTerms();
+        });
+        
+        this.elements.$importGlossaryTermsBtn.on('click', () => {
+            this.elements.$glossaryTermsFileInput.val('').trigger('click');
+        });
+        
+        this.elements.$glossaryTermsFileInput.on('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+                this.importGlossaryTerms(file);
+            }
+        });
+
         // ライト・ダークモード切り替えボタン
         // CSSテーマを切り替え、設定をlocalStorageに永続化
         this.elements.$themeToggle.on('click', () => {
@@ -227,8 +386,29 @@ class UIController {
         $(document).on('click', '.toggle-area', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            const $panelElement = $(e.currentTarget).siblings('.english-text');
-            this.togglePanelContent($panelElement);
+            this.toggleEntryDisplay($(e.currentTarget).closest('.text-line').attr('data-entry-id'));
+        });
+
+        // 類似訳の提案の採用・翻訳
+        $(document).on('click', '.suggestion-accept-btn', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.acceptTranslationSuggestion($(e.currentTarget).closest('.text-line').attr('data-entry-id'));
+        });
+
+        $(document).on('click', '.suggestion-translate-btn', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.translateEntry($(e.currentTarget).closest('.text-line').attr('data-entry-id'), { skipSuggestion: true });
+        });
+
+        // 代替候補メニューの候補選択
+        // 選択した候補で原文を差し替え、翻訳済みなら再翻訳
+        $(document).on('click', '.alternative-item', (e) => {
+            e.preventDefault();
+            const $item = $(e.currentTarget);
+            const entryId = $item.closest('.text-line').attr('data-entry-id');
+            this.swapAlternative(entryId, parseInt($item.attr('data-alternative-index'), 10));
         });
 
         // 音声認識結果の受信イベント
@@ -237,6 +417,32 @@ class UIController {
             this.displayRecognizedText(data);
         });
 
+        // テキスト履歴の変更を表示に反映（テキスト履歴が表示の唯一の情報源）
+        $(document).on('state:textHistoryChanged', () => {
+            this.clearInitialMessage();
+            this.transcriptView.render();
+            this.updateTranslationSummary();
+        });
+
+        $(document).on('state:textHistoryUpdated', (event, entry) => {
+            this.transcriptView.updateRow(entry.id);
+            this.updateTranslationSummary();
+        });
+
+        // 履歴の置き換え（保存済みセッションの再表示・クリア）
+        // （jQueryのイベント引数では配列が展開されるため、履歴は状態から参照）
+        $(document).on('state:textHistoryReplaced', () => {
+            this.batchTranslations.forEach(controller => controller.abort());
+            this.transcriptView.reset();
+            this.updateTranslationSummary();
+            if (stateManager.getState('textHistory').length === 0) {
+                this.showInitialMessage();
+            } else {
+                this.clearInitialMessage();
+                this.scrollToBottom();
+            }
+        });
+
         // 音声認識中間結果のリアルタイム表示
         // 認識中の一時的な結果をグレーアウトで表示（デバウンス処理）
         $(document).on('interimTextRecognized', Utils.debounce(async (event, data) => {
@@ -259,6 +465,19 @@ class UIController {
         // 認識ボタンの色、テキスト、アニメーションを状態に応じて更新
         $(document).on('state:recognitionStateChanged', (event, state) => {
             this.updateRecognitionButton(state);
+            this.updateVoiceActivityIndicator(state);
+        });
+
+        // 音声入力状態変更イベント
+        // 入力レベルメーターと無音警告の表示を更新
+        $(document).on('state:audioStateChanged', (event, state) => {
+            this.updateAudioLevelMeter(state);
+        });
+
+        // 配信開始時刻の変更イベント
+        // 経過時間表示の行の時刻を新しい基準で再描画
+        $(document).on('state:timingStateChanged', () => {
+            this.refreshLineTimestamps();
         });
 
         // 翻訳状態変更イベント
@@ -306,6 +525,7 @@ class UIController {
         
         // 認識ボタン状態
         this.updateRecognitionButton(state.recognition);
+        this.updateVoiceActivityIndicator(state.recognition);
         
         // 自動スクロールボタン状態
         this.updateAutoScrollButton(state.config.autoScroll);
@@ -313,6 +533,9 @@ class UIController {
         // 自動翻訳ボタン状態
         this.updateAutoTranslateButton(state.config.autoTranslate);
         
+        // 時刻表示ボタン状態
+        this.updateTimestampModeButton(state.config.timestampMode);
+        
         
         // 翻訳エリア
         this.updateTranslationArea(state.translation);
@@ -321,7 +544,7 @@ class UIController {
         this.applyTheme(state.config.theme || 'light');
         
         // 初期メッセージの初期化（テキストが空の場合のみ）
-        const hasTextContent = this.elements.$mainTextArea.find('.text-line').length > 0;
+        const hasTextContent = stateManager.getState('textHistory').length > 0;
         if (!hasTextContent) {
             this.showInitialMessage();
         }
@@ -334,7 +557,9 @@ class UIController {
      */
     toggleRecognition() {
         try {
-            const isListening = stateManager.getState('recognition.isListening');
+            // 再接続待機中・一時停止中（isActiveのみtrue）も停止操作として扱う
+            const isListening = stateManager.getState('recognition.isListening') ||
+                                stateManager.getState('recognition.isActive');
             
             if (isListening) {
                 this.stopRecognition();
@@ -370,11 +595,15 @@ class UIController {
      * 音声認識の停止処理
      * speechRecognitionManagerを使用して認識を停止し、中間結果をクリア
      * UI状態をスタンバイに戻し、一時的な表示要素を除去
+     * 手動停止で記録中のセッションを終了する
      */
     stopRecognition() {
         if (window.speechRecognitionManager) {
             window.speechRecognitionManager.stop();
         }
+        if (window.sessionStore) {
+            window.sessionStore.endCurrentSession();
+        }
         // 中間結果をクリア
         this.elements.$mainTextArea.find('.interim-text').remove();
     }
@@ -411,58 +640,46 @@ class UIController {
 
     /**
      * 音声認識結果のメイン表示処理
-     * 最終確定した認識テキストを表示
-     * タイムスタンプ、原文⇔翻訳切り替えボタン、自動翻訳機能を含む
-     * 自動スクロール、最大行数制限、中間結果クリアを実行
+     * 行の描画はテキスト履歴への追加時に仮想化リストが行い、ここでは確定時の処理を実行
+     * 中間結果クリア、表示時刻の記録、自動翻訳、自動スクロールを実行
      * 
      * @param {Object} data - 認識結果データ
      * @param {string} data.text - 認識テキスト
+     * @param {string} data.id - テキスト履歴のエントリID
+     * @param {number|null} [data.confidence] - 信頼度（0〜1、不明時はnull）
+     * @param {Array<{text: string, confidence: number|null}>} [data.alternatives] - 代替候補
+     * @param {boolean} [data.autoCommitted] - 中断された中間結果を自動確定した行か
+     * @param {string|null} [data.rawText] - 語句置換前の認識テキスト（置換なしの場合はnull）
+     * @param {Array<Object>} [data.appliedRules] - 適用された語句置換ルール
+     * @param {Array<Object>|null} [data.fragments] - 文を構成する元の断片（文単位モードのみ）
+     * @param {number} [data.speechStartTime] - 発話開始時刻（行の時刻表示に使用）
+     * @param {string|null} [data.translatedText] - 翻訳済みのテキスト（読み込んだ行など、指定時は翻訳せずに表示）
+     * @param {boolean} [data.autoTranslate] - falseの場合は自動翻訳しない（一括読み込み時など）
      */
     displayRecognizedText(data) {
         try {
-            const { text } = data;
-            const timestamp = Utils.formatTimestamp(Date.now());
-            
-            // 初期メッセージをクリア
+            // 初期メッセージと中間結果を削除（最終結果が確定したため）
             this.clearInitialMessage();
+            this.elements.$mainTextArea.find('.interim-text').remove();
             
-            // DOM操作をバッチ化して描画の同期性を高める
-            const $mainTextArea = this.elements.$mainTextArea;
-            
-            // 中間結果を即座に削除（最終結果が確定したため）
-            $mainTextArea.find('.interim-text').remove();
-            
-            // HTMLを構築（データ属性に元テキストを保存）
-            const $textLine = $(`
-                <div class="text-line completed mb-2" data-timestamp="${Date.now()}">
-                    <small class="text-muted">${timestamp}</small>
-                    <div class="panel-container">
-                        <div class="english-text" data-panel-state="original">${Utils.escapeHtml(text)}</div>
-                        <div class="toggle-area" title="原文⇔翻訳切り替え">
-                            <div class="toggle-icon">翻訳</div>
-                        </div>
-                    </div>
-                </div>
-            `);
-            
-            // データ属性をjQueryで設定（HTMLエスケープ問題を回避）
-            $textLine.find('.english-text')
-                .attr('data-original-text', text);
-            
-            // 初期状態のボタンを設定
-            this.updateToggleButton($textLine.find('.english-text'), 'original');
-            
-            // 削除と追加を同一フレーム内で実行
-            $mainTextArea.append($textLine);
-            
-            // 強制リフローで描画を確定
-            Utils.forceReflow($mainTextArea);
+            if (!data.id) {
+                return;
+            }
             
-            // 自動翻訳が有効な場合、自動的に翻訳状態に切り替え
-            if (stateManager.getState('config.autoTranslate')) {
-                const $englishText = $textLine.find('.english-text');
+            // 表示時刻をテキスト履歴に記録
+            stateManager.updateTextHistory(data.id, { renderTime: Date.now() });
+            
+            // 翻訳済みの行は翻訳を表示し、自動翻訳が有効な場合は自動的に翻訳状態に切り替え
+            if (data.translatedText) {
+                stateManager.updateTextHistory(data.id, {
+                    translatedText: data.translatedText,
+                    translationStatus: 'done',
+                    displayMode: 'translation'
+                });
+            } else if (stateManager.getState('config.autoTranslate') && data.autoTranslate !== false) {
+                stateManager.updateTextHistory(data.id, { translationStatus: 'pending', displayMode: 'translation' });
                 setTimeout(() => {
-                    this.showTranslationInPanel($englishText, text);
+                    this.translateEntry(data.id, { origin: 'auto' });
                 }, 500); // 少し遅延を入れてから翻訳開始
             }
             
@@ -471,8 +688,220 @@ class UIController {
                 this.scrollToBottom();
             }
             
-            // 最大行数制限
-            this.limitTextLines();
+        } catch (error) {
+        }
+    }
+
+    /**
+     * テキスト履歴のエントリから行要素を構築
+     * 仮想化リストの描画で使用し、行の翻訳状態（翻訳中・翻訳済み・エラー）も復元する
+     * 
+     * @param {Object} entry - テキスト履歴のエントリ
+     * @returns {jQuery} テキスト行要素
+     */
+    buildEntryRow(entry) {
+        const $textLine = this.buildTextLine({
+            id: entry.id,
+            text: entry.originalText,
+            confidence: entry.confidence ?? null,
+            alternatives: entry.alternatives || [],
+            autoCommitted: entry.autoCommitted,
+            rawText: entry.rawText || null,
+            appliedRules: entry.appliedRules || [],
+            fragments: entry.fragments || null,
+            speechStartTime: entry.speechStartTime || entry.timestamp
+        });
+        
+        if (entry.displayMode === 'translation') {
+            const $panelElement = $textLine.find('.english-text');
+            
+            switch (entry.translationStatus) {
+                case 'pending':
+                    this.renderPanelLoading($panelElement, '翻訳待ち...');
+                    break;
+                case 'loading':
+                    this.renderPanelLoading($panelElement, entry.partialTranslation || '翻訳中...');
+                    break;
+                case 'done':
+                    this.renderPanelTranslation($panelElement, entry.translatedText, !!entry.translationFromMemory, entry.translationGlossaryViolations);
+                    break;
+                case 'error':
+                    this.renderPanelError($panelElement, entry.translationError, entry.translationAttempts);
+                    break;
+                case 'none':
+                    if (entry.translationSuggestion) {
+                        this.renderPanelSuggestion($panelElement, entry.translationSuggestion);
+                    }
+                    break;
+            }
+        }
+        
+        return $textLine;
+    }
+
+    /**
+     * 認識結果1行分のDOM要素を構築
+     * タイムスタンプ、信頼度バッジ、代替候補メニュー、置換バッジ、原文⇔翻訳切り替えボタンを含む
+     * 
+     * @param {Object} data - 認識結果データ（displayRecognizedTextと同じ形式）
+     * @returns {jQuery} テキスト行要素
+     */
+    buildTextLine(data) {
+        const { text } = data;
+        const speechStartTime = data.speechStartTime || Date.now();
+        
+        // HTMLを構築（データ属性に元テキストを保存）
+        const $textLine = $(`
+            <div class="text-line completed mb-2" data-timestamp="${Date.now()}" data-speech-start="${speechStartTime}">
+                <small class="text-muted line-timestamp"></small>
+                <div class="panel-container">
+                    <div class="english-text" data-panel-state="original">${Utils.escapeHtml(text)}</div>
+                    <div class="toggle-area" title="原文⇔翻訳切り替え">
+                        <div class="toggle-icon">翻訳</div>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        // 時刻表示（時刻または配信開始からの経過時間）
+        this.renderLineTimestamp($textLine);
+        
+        // データ属性をjQueryで設定（HTMLエスケープ問題を回避）
+        $textLine.attr('data-entry-id', data.id || '');
+        $textLine.find('.english-text')
+            .attr('data-original-text', text);
+        
+        // 信頼度と代替候補の表示
+        $textLine.data('alternatives', data.alternatives || []);
+        this.renderRecognitionInfo($textLine, data.confidence ?? null);
+        
+        // 再起動・セッション終了で自動確定した行の表示
+        if (data.autoCommitted) {
+            $textLine.addClass('auto-committed');
+            $textLine.children('small.text-muted').first()
+                .after('<span class="badge auto-commit-badge bg-secondary ms-2" title="認識の再起動で中断された中間結果を自動確定しました">自動確定</span>');
+        }
+        
+        // 複数の断片から組み立てた文の表示（元の断片をツールチップで確認）
+        if (data.fragments?.length > 1) {
+            const fragmentList = data.fragments.map(fragment => `・${fragment.text}`).join('\n');
+            const $badge = $('<span class="badge fragments-badge bg-light text-secondary ms-2"></span>')
+                .attr('title', `${data.fragments.length}個の認識結果から組み立てました\n${fragmentList}`)
+                .html(`<i class="bi bi-collection"></i> ${data.fragments.length}`);
+            
+            $textLine.children('small.text-muted').first().after($badge);
+        }
+        
+        // 語句置換ルールが適用された行の表示
+        if (data.appliedRules?.length > 0) {
+            const ruleList = data.appliedRules
+                .map(rule => `${rule.pattern} → ${rule.replacement || '（削除）'}${rule.count > 1 ? ` ×${rule.count}` : ''}`)
+                .join('\n');
+            const title = `置換ルールを適用しました\n${ruleList}${data.rawText ? `\n\n認識結果: ${data.rawText}` : ''}`;
+            const $badge = $('<span class="badge replacement-badge bg-info text-dark ms-2"></span>')
+                .attr('title', title)
+                .html(`<i class="bi bi-arrow-left-right"></i> 置換 ${data.appliedRules.length}`);
+            
+            $textLine.children('small.text-muted').first().after($badge);
+        }
+        
+        // 初期状態のボタンを設定
+        this.updateToggleButton($textLine.find('.english-text'), 'original');
+        
+        return $textLine;
+    }
+
+    /**
+     * テキスト行の信頼度バッジと代替候補メニューを描画
+     * 信頼度が閾値未満の行は低信頼度として強調し、代替候補がある場合は候補メニューを表示
+     * 
+     * @param {jQuery} $textLine - 対象のテキスト行
+     * @param {number|null} confidence - 信頼度（0〜1、不明時はnull）
+     */
+    renderRecognitionInfo($textLine, confidence) {
+        const alternatives = $textLine.data('alternatives') || [];
+        const formatConfidence = (value) => (value === null || value === undefined ? '' : `${Math.round(value * 100)}%`);
+        
+        $textLine.find('.confidence-badge, .alternatives-dropdown').remove();
+        
+        // 低信頼度の強調表示
+        const isLowConfidence = confidence !== null && confidence < this.config.lowConfidenceThreshold;
+        $textLine.toggleClass('low-confidence', isLowConfidence);
+        $textLine.attr('data-confidence', confidence ?? '');
+        
+        const $meta = $textLine.children('small.text-muted').first();
+        
+        if (confidence !== null) {
+            const badgeClass = isLowConfidence ? 'bg-warning text-dark' : 'bg-light text-secondary';
+            $meta.after(`<span class="badge confidence-badge ${badgeClass} ms-2" title="認識信頼度">${formatConfidence(confidence)}</span>`);
+        }
+        
+        if (alternatives.length === 0) {
+            return;
+        }
+        
+        // 代替候補メニュー（クリックで原文を差し替え）
+        const items = alternatives.map((alt, index) => `
+            <li>
+                <button type="button" class="dropdown-item alternative-item" data-alternative-index="${index}">
+                    ${Utils.escapeHtml(alt.text)}
+                    <span class="text-muted ms-1">${formatConfidence(alt.confidence)}</span>
+                </button>
+            </li>
+        `).join('');
+        
+        const $dropdown = $(`
+            <div class="dropdown d-inline-block alternatives-dropdown ms-2">
+                <button type="button" class="btn btn-link btn-sm p-0 alternatives-toggle" data-bs-toggle="dropdown" aria-expanded="false" title="認識候補から選択">
+                    <i class="bi bi-list-ul"></i> 候補 ${alternatives.length}
+                </button>
+                <ul class="dropdown-menu">${items}</ul>
+            </div>
+        `);
+        
+        $textLine.find('.confidence-badge').add($meta).last().after($dropdown);
+    }
+
+    /**
+     * 代替候補による原文の差し替え
+     * 選択した候補を原文に、元の原文を候補に入れ替えてテキスト履歴に反映
+     * 翻訳を表示中の行は再翻訳し、それ以外の行は翻訳を破棄
+     * 
+     * @param {string} id - テキスト履歴のエントリID
+     * @param {number} index - 代替候補のインデックス
+     * @returns {Promise<void>}
+     */
+    async swapAlternative(id, index) {
+        try {
+            const entry = stateManager.getTextHistoryEntry(id);
+            const alternatives = [...(entry?.alternatives || [])];
+            const selected = alternatives[index];
+            if (!selected) {
+                return;
+            }
+            
+            // 選択候補と現在の原文を入れ替え
+            alternatives[index] = { text: entry.originalText, confidence: entry.confidence ?? null };
+            const wasTranslated = entry.displayMode === 'translation';
+            
+            stateManager.updateTextHistory(id, {
+                originalText: selected.text,
+                confidence: selected.confidence ?? null,
+                alternatives,
+                translatedText: null,
+                translationStatus: 'none',
+                translationError: null,
+                translationErrorCode: null,
+                translationAttempts: 0,
+                translationFromMemory: false,
+                translationSuggestion: null,
+                translationGlossaryViolations: [],
+                displayMode: 'original'
+            });
+            
+            if (wasTranslated) {
+                await this.translateEntry(id);
+            }
             
         } catch (error) {
         }
@@ -616,31 +1045,28 @@ class UIController {
 
 
     /**
-     * テキストパネルの表示内容切り替え機能
+     * 行の表示内容（原文⇔翻訳）の切り替え
      * 各テキスト行の右端ボタンで原文と翻訳を切り替え
-     * 原文表示時は緑色、翻訳表示時は青色、エラー時はピンク色で表示
-     * 翻訳が未実行の場合は自動で翻訳を実行してから表示
+     * 翻訳済みの行は保持している翻訳を表示し、未翻訳・エラーの行は翻訳を実行
      * 
-     * @param {jQuery} $panelElement - 切り替え対象のテキストパネル要素
+     * @param {string} id - テキスト履歴のエントリID
      * @returns {Promise<void>}
      */
-    async togglePanelContent($panelElement) {
+    async toggleEntryDisplay(id) {
         try {
-            const currentState = $panelElement.attr('data-panel-state');
-            
-            // currentStateがnullの場合は何もしない
-            if (!currentState) {
+            const entry = stateManager.getTextHistoryEntry(id);
+            if (!entry) {
                 return;
             }
             
-            if (currentState === 'original') {
-                // 原文 → 翻訳に切り替え
-                const originalText = $panelElement.attr('data-original-text');
-                await this.showTranslationInPanel($panelElement, originalText);
-            } else {
+            if (entry.displayMode === 'translation') {
                 // 翻訳またはエラー → 原文に切り替え
-                const originalText = $panelElement.attr('data-original-text');
-                this.showOriginalInPanel($panelElement, originalText);
+                stateManager.updateTextHistory(id, { displayMode: 'original' });
+            } else if (entry.translationStatus === 'done') {
+                // 翻訳済み → 保持している翻訳を表示
+                stateManager.updateTextHistory(id, { displayMode: 'translation' });
+            } else {
+                await this.translateEntry(id);
             }
             
         } catch (error) {
@@ -648,147 +1074,383 @@ class UIController {
     }
 
     /**
-     * テキストパネルに翻訳結果を表示
-     * ローディング表示→翻訳実行→結果表示またはエラー表示の流れで処理
+     * 行の翻訳
+     * 翻訳状態をテキスト履歴に記録し、行の表示は履歴の変更から描画する
      * 翻訳エリアを更新せず、パネル専用の翻訳処理で独立して実行
-     * 成功時は青色ボーダー、失敗時はピンク色ボーダーで視覚的フィードバック
+     * 翻訳メモリにほぼ同じ文の過去の翻訳がある場合は、APIを使わずに提案として表示する
      * 
-     * @param {jQuery} $panelElement - 翻訳表示対象のパネル要素
-     * @param {string} originalText - 翻訳元の英語テキスト
+     * @param {string} id - テキスト履歴のエントリID
+     * @param {Object} [options={}] - 翻訳オプション
+     * @param {boolean} [options.skipSuggestion] - 類似訳を提案せずに翻訳する
+     * @param {string} [options.origin='panel'] - 翻訳履歴に記録する翻訳の起点（auto: 自動翻訳、panel: 行の翻訳）
      * @returns {Promise<void>}
      */
-    async showTranslationInPanel($panelElement, originalText) {
+    async translateEntry(id, options = {}) {
+        const entry = stateManager.getTextHistoryEntry(id);
+        if (!entry || entry.translationStatus === 'loading') {
+            return;
+        }
+        
+        const sourceText = entry.originalText;
+        stateManager.updateTextHistory(id, {
+            translationStatus: 'loading',
+            translationError: null,
+            translationErrorCode: null,
+            translationAttempts: (entry.translationAttempts || 0) + 1,
+            translationSuggestion: null,
+            displayMode: 'translation'
+        });
+        
+        let updates;
         try {
-            // ローディング表示とグレー色設定
-            $panelElement.html('<span class="text-muted">翻訳中...</span>');
-            $panelElement.attr('data-panel-state', 'loading');
-            $panelElement.closest('.text-line').css('border-left-color', '#6c757d');
-            
             // 翻訳実行（パネル専用 - 翻訳エリアを更新しない）
             if (!window.geminiTranslator) {
                 throw new Error('翻訳機能が利用できません');
             }
             
-            const cleanText = this.cleanSelectedText(originalText);
+            const cleanText = this.cleanSelectedText(sourceText);
             
             // クリーンアップ後にテキストが空の場合
             if (!cleanText || !cleanText.trim()) {
                 throw new Error('翻訳するテキストが見つかりません');
             }
             
-            const result = await this.translateForPanelOnly(cleanText);
-            
-            if (result.success) {
-                // 翻訳成功 - 青色設定
-                $panelElement.html(`<span class="translation-text">${Utils.escapeHtml(result.translatedText)}</span>`);
-                $panelElement.attr('data-panel-state', 'translation');
-                $panelElement.attr('data-translation', result.translatedText);
-                $panelElement.closest('.text-line').css('border-left-color', '#007bff');
-                
-                // ボタンの表示を更新
-                this.updateToggleButton($panelElement, 'translation');
+            // ほぼ同じ文の過去の翻訳があれば提案として表示（採用するか翻訳するかを選択）
+            const suggestion = options.skipSuggestion ? null : await window.geminiTranslator.findMemorySuggestion(cleanText);
+            if (suggestion) {
+                updates = {
+                    translationStatus: 'none',
+                    translationAttempts: entry.translationAttempts || 0,
+                    translationSuggestion: suggestion
+                };
             } else {
-                // 翻訳失敗 - ピンク色設定
-                const errorIcon = '❌';
-                const errorMessage = result.error || '翻訳に失敗しました';
-                $panelElement.html(`<span class="error-text">${errorIcon} ${errorMessage}</span>`);
-                $panelElement.attr('data-panel-state', 'error');
-                $panelElement.attr('data-error-detail', result.error);
-                $panelElement.closest('.text-line').css('border-left-color', '#e91e63');
+                // ストリーミング時は受信途中の翻訳を行に表示（原文が差し替えられた行には反映しない）
+                const result = await this.translateForPanelOnly(cleanText, {
+                    contextBeforeId: id,
+                    origin: options.origin || 'panel',
+                    onPartial: (partialText) => {
+                        const current = stateManager.getTextHistoryEntry(id);
+                        if (current && current.originalText === sourceText && current.translationStatus === 'loading') {
+                            stateManager.updateTextHistory(id, { partialTranslation: partialText });
+                        }
+                    }
+                });
                 
-                // ボタンの表示を更新
-                this.updateToggleButton($panelElement, 'error');
+                updates = result.success
+                    ? {
+                        translationStatus: 'done',
+                        translatedText: result.translatedText,
+                        translationModel: result.model,
+                        translationFromMemory: !!result.fromMemory,
+                        translationGlossaryViolations: result.glossaryViolations || [],
+                        translatedAt: Date.now()
+                    }
+                    : {
+                        translationStatus: 'error',
+                        translationError: result.error || '翻訳に失敗しました',
+                        translationErrorCode: result.errorCode || 'API_ERROR'
+                    };
             }
             
         } catch (error) {
-            const errorIcon = '❌';
-            const errorMessage = error.message || '翻訳に失敗しました';
-            $panelElement.html(`<span class="error-text">${errorIcon} ${errorMessage}</span>`);
-            $panelElement.attr('data-panel-state', 'error');
-            $panelElement.attr('data-error-detail', error.message);
-            $panelElement.closest('.text-line').css('border-left-color', '#e91e63');
-            
-            // ボタンの表示を更新
-            this.updateToggleButton($panelElement, 'error');
+            updates = {
+                translationStatus: 'error',
+                translationError: error.message || '翻訳に失敗しました',
+                translationErrorCode: window.geminiTranslator ? window.geminiTranslator.classifyError(error) : 'API_ERROR'
+            };
+        }
+        
+        // 翻訳中に原文が差し替えられた場合は古い結果を破棄
+        const current = stateManager.getTextHistoryEntry(id);
+        if (!current || current.originalText !== sourceText) {
+            return;
         }
+        
+        stateManager.updateTextHistory(id, { ...updates, partialTranslation: null });
     }
 
     /**
-     * パネル専用の翻訳処理（メイン翻訳エリアを更新しない）
-     * メイン翻訳エリアと独立した翻訳処理で、状態管理やUI更新を防止
-     * geminiTranslatorのメソッドを直接呼び出して翻訳のみ実行
-     * エラー時は独自のエラーハンドリングで簡潔なメッセージを返す
+     * 類似訳の提案の採用
+     * 提案された訳を行の翻訳とし、この行の原文の翻訳として翻訳メモリにも保存する
      * 
-     * @param {string} text - 翻訳対象テキスト
-     * @returns {Promise<Object>} 翻訳結果オブジェクト
+     * @param {string} id - テキスト履歴のエントリID
+     * @returns {Promise<void>}
      */
-    async translateForPanelOnly(text) {
-        try {
-            // APIキーチェック
-            if (!window.geminiTranslator.apiKey) {
-                throw new Error('APIキーが設定されていません');
-            }
+    async acceptTranslationSuggestion(id) {
+        const entry = stateManager.getTextHistoryEntry(id);
+        if (!entry?.translationSuggestion) {
+            return;
+        }
+        
+        const { translatedText } = entry.translationSuggestion;
+        const cleanText = this.cleanSelectedText(entry.originalText);
+        stateManager.updateTextHistory(id, {
+            translationStatus: 'done',
+            translatedText,
+            translationModel: window.geminiTranslator?.getModelName() ?? null,
+            translationFromMemory: true,
+            translationSuggestion: null,
+            translationGlossaryViolations: window.geminiTranslator?.checkGlossary(cleanText, translatedText) ?? [],
+            translatedAt: Date.now(),
+            displayMode: 'translation'
+        });
+        
+        if (window.geminiTranslator) {
+            await window.geminiTranslator.rememberTranslation(cleanText, translatedText, { origin: 'panel' });
+        }
+    }
 
-            // テキストバリデーション
-            if (!text || typeof text !== 'string') {
-                throw new Error('有効なテキストが指定されていません');
-            }
+    /**
+     * 翻訳に失敗した行と未翻訳の行の一括再翻訳
+     * 対象の行をまとめてバッチ翻訳する（類似訳を提案中の行も提案を使わずに翻訳）
+     * 
+     * @returns {Promise<void>}
+     */
+    async retryFailedTranslations() {
+        const targets = stateManager.getState('textHistory')
+            .filter(entry => entry.translationStatus === 'error' || entry.translationStatus === 'none');
+        
+        await this.translateEntries(targets.map(entry => entry.id));
+    }
 
-            const trimmedText = Utils.trimText(text);
-            if (!trimmedText) {
-                throw new Error('翻訳するテキストが空です');
-            }
+    /**
+     * 全行の再翻訳（確認あり）
+     * 翻訳済みの行も含め、現在の翻訳サービス・モデル・翻訳スタイルでまとめて翻訳し直す（翻訳メモリは使わない）
+     * 
+     * @returns {Promise<void>}
+     */
+    async retranslateAll() {
+        const ids = stateManager.getState('textHistory').map(entry => entry.id);
+        if (ids.length === 0 || !confirm(`表示中の${ids.length}行をすべて現在の設定で再翻訳しますか？`)) {
+            return;
+        }
+        
+        await this.translateEntries(ids, { skipMemory: true });
+    }
 
-            // テキスト長制限チェック
-            if (trimmedText.length > 5000) {
-                throw new Error('テキストが長すぎます');
+    /**
+     * 複数行のバッチ翻訳
+     * 対象の行をすべて翻訳待ちにしてから、古い順に複数行ずつまとめて翻訳する（1行ずつ翻訳するより少ないリクエストで済む）
+     * 自動翻訳と同じ翻訳キューで順番に翻訳し、自動翻訳の翻訳待ち・翻訳中の行は対象にしない
+     * 送信中の行は翻訳中、結果を受け取った行から翻訳済み・失敗として表示する
+     * テキスト履歴のクリア・置き換え時は残りの行を送信せずに中断する
+     * 
+     * @param {Array<string>} ids - テキスト履歴のエントリIDの配列
+     * @param {Object} [options={}] - 翻訳オプション
+     * @param {string} [options.origin='panel'] - 翻訳履歴に記録する翻訳の起点（auto: 自動翻訳、panel: 行の翻訳）
+     * @param {boolean} [options.skipMemory] - 翻訳メモリを使わずに翻訳する
+     * @returns {Promise<void>}
+     */
+    async translateEntries(ids, options = {}) {
+        const targets = ids
+            .map(id => stateManager.getTextHistoryEntry(id))
+            .filter(entry => entry && entry.translationStatus !== 'pending' && entry.translationStatus !== 'loading');
+        if (targets.length === 0) {
+            return;
+        }
+        
+        targets.forEach(entry => {
+            stateManager.updateTextHistory(entry.id, {
+                translationStatus: 'pending',
+                translationSuggestion: null,
+                displayMode: 'translation'
+            });
+        });
+        
+        // 待機中に原文の差し替えや履歴のクリアがあった行は結果を反映しない
+        const isUnchanged = (entry) => {
+            const current = stateManager.getTextHistoryEntry(entry.id);
+            return current && current.originalText === entry.originalText;
+        };
+        
+        const applyResult = (entry, result) => {
+            if (!isUnchanged(entry)) {
+                return;
             }
+            
+            stateManager.updateTextHistory(entry.id, result.success
+                ? {
+                    translationStatus: 'done',
+                    translatedText: result.translatedText,
+                    translationModel: result.model,
+                    translationFromMemory: !!result.fromMemory,
+                    translationGlossaryViolations: result.glossaryViolations || [],
+                    translatedAt: Date.now(),
+                    partialTranslation: null
+                }
+                : {
+                    translationStatus: 'error',
+                    translationError: result.error || '翻訳に失敗しました',
+                    translationErrorCode: result.errorCode || 'API_ERROR',
+                    partialTranslation: null
+                });
+        };
+        
+        if (!window.geminiTranslator) {
+            targets.forEach(entry => applyResult(entry, { success: false, error: '翻訳機能が利用できません' }));
+            return;
+        }
+        
+        const controller = new AbortController();
+        this.batchTranslations.add(controller);
+        try {
+            await window.geminiTranslator.translateWithQueue(targets.map(entry => this.cleanSelectedText(entry.originalText)), {
+                batch: true,
+                signal: controller.signal,
+                origin: options.origin || 'panel',
+                skipMemory: !!options.skipMemory,
+                contextBeforeIds: targets.map(entry => entry.id),
+                onStart: (indexes) => {
+                    indexes.map(index => targets[index]).filter(isUnchanged).forEach(entry => {
+                        const current = stateManager.getTextHistoryEntry(entry.id);
+                        stateManager.updateTextHistory(entry.id, {
+                            translationStatus: 'loading',
+                            translationError: null,
+                            translationErrorCode: null,
+                            translationAttempts: (current.translationAttempts || 0) + 1
+                        });
+                    });
+                },
+                onResult: (index, result) => applyResult(targets[index], result)
+            });
+        } finally {
+            this.batchTranslations.delete(controller);
+        }
+    }
 
-            // プロンプト生成
-            const prompt = window.geminiTranslator.generatePrompt(trimmedText);
-
-            // API呼び出し（翻訳エリア状態更新なし）
-            const response = await window.geminiTranslator.callGeminiAPI(prompt);
-
-            // 結果処理
-            const translatedText = window.geminiTranslator.processResponse(response);
+    /**
+     * 翻訳に失敗した行数の表示と一括再翻訳ボタンの状態更新
+     * 失敗・未翻訳の行がない場合はボタンを無効化（全行の再翻訳は行がない場合のみ無効化）
+     */
+    updateTranslationSummary() {
+        let failedCount = 0;
+        let untranslatedCount = 0;
+        
+        stateManager.getState('textHistory').forEach(entry => {
+            if (entry.translationStatus === 'error') {
+                failedCount++;
+            } else if (entry.translationStatus === 'none') {
+                untranslatedCount++;
+            }
+        });
+        
+        this.elements.$failedTranslationCount
+            .text(failedCount)
+            .toggleClass('d-none', failedCount === 0);
+        this.elements.$retryTranslationsBtn
+            .prop('disabled', failedCount + untranslatedCount === 0)
+            .attr('title', `翻訳に失敗した行（${failedCount}行）と未翻訳の行（${untranslatedCount}行）をまとめて再翻訳`);
+        this.elements.$retranslateMenuBtn.prop('disabled', stateManager.getState('textHistory').length === 0);
+    }
 
-            return {
-                success: true,
-                originalText: trimmedText,
-                translatedText: translatedText,
-                model: window.geminiTranslator.model,
-                timestamp: Date.now()
-            };
+    /**
+     * パネルへの翻訳中の表示（グレーボーダー）
+     * 
+     * @param {jQuery} $panelElement - 表示対象のパネル要素
+     * @param {string} [message='翻訳中...'] - 表示するメッセージ（翻訳待ちの行は「翻訳待ち...」）
+     */
+    renderPanelLoading($panelElement, message = '翻訳中...') {
+        $panelElement.html(`<span class="text-muted">${Utils.escapeHtml(message)}</span>`);
+        $panelElement.attr('data-panel-state', 'loading');
+        $panelElement.closest('.text-line').css('border-left-color', '#6c757d');
+    }
 
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                originalText: text,
-                timestamp: Date.now()
-            };
+    /**
+     * パネルへの翻訳結果の表示（青色ボーダー）
+     * 
+     * @param {jQuery} $panelElement - 翻訳表示対象のパネル要素
+     * @param {string} translatedText - 翻訳テキスト
+     * @param {boolean} [fromMemory=false] - 翻訳メモリから再利用した翻訳か（バッジを表示）
+     * @param {Array<Object>} [glossaryViolations=[]] - 訳文で使われていない用語集の訳語（警告バッジを表示）
+     */
+    renderPanelTranslation($panelElement, translatedText, fromMemory = false, glossaryViolations = []) {
+        const memoryBadge = fromMemory
+            ? ' <span class="badge bg-light text-secondary memory-badge" title="翻訳メモリの翻訳を再利用しました">メモリ</span>'
+            : '';
+        $panelElement.html(`<span class="translation-text">${Utils.escapeHtml(translatedText)}</span>${memoryBadge}`);
+        if (glossaryViolations?.length > 0) {
+            $panelElement.append(' ', this.createGlossaryBadge(glossaryViolations));
         }
+        $panelElement.attr('data-panel-state', 'translation');
+        $panelElement.closest('.text-line').css('border-left-color', '#007bff');
+        
+        // ボタンの表示を更新
+        this.updateToggleButton($panelElement, 'translation');
     }
 
+    /**
+     * 用語集の訳語が使われていないことを示す警告バッジの生成
+     * 
+     * @param {Array<{source: string, target: string}>} glossaryViolations - 訳文で使われていない用語集の訳語
+     * @returns {jQuery} バッジ要素（ツールチップに用語と指定の訳語を表示）
+     */
+    createGlossaryBadge(glossaryViolations) {
+        const terms = glossaryViolations.map(term => `${term.source} → ${term.target}`).join('\n');
+        
+        return $('<span class="badge bg-warning text-dark glossary-badge"><i class="bi bi-exclamation-triangle me-1"></i>用語</span>')
+            .attr('title', `用語集の訳語が使われていません\n${terms}`);
+    }
+
+    /**
+     * パネルへの類似訳の提案の表示（黄色ボーダー）
+     * 
+     * @param {jQuery} $panelElement - 表示対象のパネル要素
+     * @param {Object} suggestion - 提案（sourceText, translatedText, similarity）
+     */
+    renderPanelSuggestion($panelElement, suggestion) {
+        const $suggestion = $(`
+            <span class="translation-suggestion">
+                <span class="badge bg-warning text-dark memory-badge">類似訳 ${Math.round(suggestion.similarity * 100)}%</span>
+                <span class="suggestion-text"></span>
+                <button type="button" class="btn btn-link btn-sm p-0 ms-2 align-baseline suggestion-accept-btn">採用</button>
+                <button type="button" class="btn btn-link btn-sm p-0 ms-2 align-baseline suggestion-translate-btn">翻訳</button>
+            </span>
+        `);
+        $suggestion.find('.memory-badge').attr('title', `翻訳メモリのほぼ同じ文の翻訳です\n原文: ${suggestion.sourceText}`);
+        $suggestion.find('.suggestion-text').text(suggestion.translatedText);
+        
+        $panelElement.empty().append($suggestion);
+        $panelElement.attr('data-panel-state', 'suggestion');
+        $panelElement.closest('.text-line').css('border-left-color', '#ffc107');
+        
+        // ボタンの表示を更新
+        this.updateToggleButton($panelElement, 'translation');
+    }
 
     /**
-     * テキストパネルを原文表示に戻す
-     * 翻訳表示から原文表示に切り替え、ボーダー色を緑色に変更
-     * 保存済みの原文テキストを表示し、ボタン表示も更新
+     * パネルへの翻訳エラーの表示（ピンク色ボーダー）
      * 
-     * @param {jQuery} $panelElement - 原文表示するパネル要素
-     * @param {string} originalText - 原文テキスト
+     * @param {jQuery} $panelElement - 表示対象のパネル要素
+     * @param {string|null} errorMessage - エラーメッセージ
+     * @param {number} [attempts=0] - 翻訳の試行回数（2回以上の場合に表示）
      */
-    showOriginalInPanel($panelElement, originalText) {
-        $panelElement.html(Utils.escapeHtml(originalText));
-        $panelElement.attr('data-panel-state', 'original');
-        $panelElement.closest('.text-line').css('border-left-color', '#28a745');
+    renderPanelError($panelElement, errorMessage, attempts = 0) {
+        const message = errorMessage || '翻訳に失敗しました';
+        const attemptsLabel = attempts > 1 ? `（${attempts}回試行）` : '';
+        $panelElement.html(`<span class="error-text">❌ ${Utils.escapeHtml(message + attemptsLabel)}</span>`);
+        $panelElement.attr('data-panel-state', 'error');
+        $panelElement.attr('data-error-detail', message);
+        $panelElement.closest('.text-line').css('border-left-color', '#e91e63');
         
         // ボタンの表示を更新
-        this.updateToggleButton($panelElement, 'original');
+        this.updateToggleButton($panelElement, 'error');
     }
 
+    /**
+     * パネル専用の翻訳処理（メイン翻訳エリアを更新しない）
+     * メイン翻訳エリアと独立した翻訳処理で、状態管理やUI更新を防止
+     * 翻訳はgeminiTranslatorのキューで実行し、失敗時はエラーコード付きの結果を返す
+     * 
+     * @param {string} text - 翻訳対象テキスト
+     * @param {Object} [options={}] - 翻訳オプション（onPartialなど、GeminiTranslator.translateLineと同じ）
+     * @returns {Promise<Object>} 翻訳結果オブジェクト
+     */
+    async translateForPanelOnly(text, options = {}) {
+        // 翻訳キューを通して順番に翻訳（レート制限を守り、一括再翻訳でも行の順序を保つ）
+        return window.geminiTranslator.translateWithQueue(text, { ...options, lineOnly: true });
+    }
+
+
     /**
      * テキストパネルの切り替えボタン表示更新
      * パネルの現在状態（原文・翻訳・エラー）に応じてボタンの色とテキストを変更
@@ -1040,11 +1702,20 @@ class UIController {
         if (!$btn.length || !$text.length) return;
         
         // クラスリセット
-        $btn.removeClass('btn-secondary btn-success btn-danger');
+        $btn.removeClass('btn-secondary btn-success btn-danger btn-warning');
+        $btn.attr('title', this.getRecognitionPauseMessage(recognitionState));
         
-        if (recognitionState.isListening) {
+        if (recognitionState.circuitState === 'open') {
+            $btn.addClass('btn-warning');
+            $text.text(APP_CONFIG.UI_CONFIG.buttonTexts.paused);
+        } else if (recognitionState.isListening) {
             $btn.addClass('btn-success');
             $text.text(APP_CONFIG.UI_CONFIG.buttonTexts.recognizing);
+        } else if (recognitionState.isActive && (recognitionState.circuitState === 'probing' || recognitionState.nextRetryTime > Date.now())) {
+            $btn.addClass('btn-warning');
+            $text.text(recognitionState.circuitState === 'probing'
+                ? APP_CONFIG.UI_CONFIG.buttonTexts.probing
+                : APP_CONFIG.UI_CONFIG.buttonTexts.reconnecting);
         } else if (recognitionState.errorCount > 0) {
             $btn.addClass('btn-danger');
             $text.text(APP_CONFIG.UI_CONFIG.buttonTexts.error);
@@ -1054,6 +1725,89 @@ class UIController {
         }
     }
 
+    /**
+     * 自動再開の待機・一時停止理由の説明文を生成（認識ボタンのツールチップ用）
+     * 
+     * @param {Object} recognitionState - 音声認識状態オブジェクト
+     * @returns {string} 説明文（待機していない場合は空文字）
+     */
+    getRecognitionPauseMessage(recognitionState) {
+        const retryAt = recognitionState.nextRetryTime > Date.now()
+            ? `${Utils.formatTimestamp(recognitionState.nextRetryTime)}に再試行します`
+            : '';
+        
+        if (recognitionState.circuitState === 'open') {
+            return `エラー（${recognitionState.circuitReason}）が${recognitionState.consecutiveFailures}回連続したため自動再開を一時停止しています。${retryAt}`;
+        }
+        if (recognitionState.consecutiveFailures > 0 && retryAt) {
+            return `エラーが${recognitionState.consecutiveFailures}回連続しています。${retryAt}`;
+        }
+        return '';
+    }
+
+    /**
+     * 音声検出状態インジケーターの更新
+     * 停止中・無音・音声あり・発話中・認識不可の5状態を色とラベルで表示
+     * 認識不可の表示は一定時間後に自動で通常状態へ戻す
+     * 
+     * @param {Object} recognitionState - 音声認識状態オブジェクト
+     */
+    updateVoiceActivityIndicator(recognitionState) {
+        const $indicator = this.elements.$voiceActivityIndicator;
+        if (!$indicator.length) return;
+        
+        const config = APP_CONFIG.UI_CONFIG.voiceActivity;
+        const timeSinceNoMatch = Date.now() - (recognitionState.lastNoMatchTime || 0);
+        
+        let status = 'idle';
+        if (recognitionState.isListening) {
+            if (recognitionState.isSpeechDetected) {
+                status = 'speech';
+            } else if (timeSinceNoMatch < config.noMatchDisplayDuration) {
+                status = 'nomatch';
+            } else if (recognitionState.isSoundDetected) {
+                status = 'sound';
+            } else {
+                status = 'silent';
+            }
+        }
+        
+        $indicator
+            .removeClass('status-idle status-silent status-sound status-speech status-nomatch')
+            .addClass(`status-${status}`)
+            .attr('title', config.descriptions[status]);
+        $indicator.find('.voice-activity-label').text(config.labels[status]);
+        
+        // 認識不可表示の期限切れ後に再描画
+        clearTimeout(this.voiceActivityTimer);
+        if (status === 'nomatch') {
+            this.voiceActivityTimer = setTimeout(() => {
+                this.updateVoiceActivityIndicator(stateManager.state.recognition);
+            }, config.noMatchDisplayDuration - timeSinceNoMatch);
+        }
+    }
+
+    /**
+     * 入力レベルメーターの更新
+     * 監視中のみ表示し、レベルをバー幅で、無音警告を色とラベルで示す
+     * 
+     * @param {Object} audioState - 音声入力状態オブジェクト
+     */
+    updateAudioLevelMeter(audioState) {
+        const $meter = this.elements.$audioLevelMeter;
+        if (!$meter.length) return;
+        
+        $meter.toggleClass('d-none', !audioState.isMonitoring);
+        $meter.toggleClass('alarm', !!audioState.isAlarmActive);
+        $meter.find('.audio-level-bar').css('width', `${Math.round(audioState.level * 100)}%`);
+        $meter.find('.audio-level-warning').toggleClass('d-none', !audioState.isAlarmActive);
+        
+        const levelText = Number.isFinite(audioState.levelDb) ? `${Math.round(audioState.levelDb)} dB` : '無音';
+        $meter.attr('title', audioState.isAlarmActive
+            ? APP_CONFIG.ERROR_MESSAGES.AUDIO.SILENCE_DETECTED
+            : `マイク入力レベル: ${levelText}`);
+    }
+
     /**
      * メイン翻訳エリアの表示内容とスタイル更新
      * 翻訳状態（ローディング・成功・エラー）に応じて表示内容を動的更新
@@ -1070,14 +1824,20 @@ class UIController {
         const currentScrollTop = this.elements.$mainTextArea.scrollTop();
         
         if (translationState.isLoading) {
-            this.showLoadingToast('翻訳処理中...');
-            $placeholder.removeClass('d-none').text('翻訳処理中...');
+            // 一時的なエラーで再試行している場合は回数と待機時間を表示
+            const loadingText = translationState.retryAttempt > 0
+                ? `翻訳処理中...（再試行 ${translationState.retryAttempt}/${translationState.maxRetries}、${Math.ceil(translationState.retryDelay / 1000)}秒後）`
+                : '翻訳処理中...';
+            
+            this.showLoadingToast(loadingText);
+            $placeholder.removeClass('d-none').text(loadingText);
             
             // 処理中は原文を表示し、翻訳部分をグレーに
             if (translationState.originalText) {
                 $content.removeClass('d-none');
                 $content.find('.selected-text').text(translationState.originalText);
-                $content.find('.translated-text').text('翻訳処理中...');
+                // ストリーミング中は受信済みの翻訳を表示
+                $content.find('.translated-text').text(translationState.partialText || loadingText);
                 
                 // 処理中の色設定（ダークモード対応）
                 const isDarkMode = $('html').attr('data-theme') === 'dark';
@@ -1107,6 +1867,18 @@ class UIController {
                 const $translatedSpan = $content.find('.translated-text');
                 $translatedSpan.text(translationState.translatedText);
                 
+                // 翻訳メモリから再利用した翻訳はバッジで示す
+                $translatedSpan.siblings('.memory-badge').remove();
+                if (translationState.fromMemory) {
+                    $translatedSpan.after('<span class="badge bg-light text-secondary ms-1 memory-badge" title="翻訳メモリの翻訳を再利用しました">メモリ</span>');
+                }
+                
+                // 用語集の訳語が使われていない翻訳は警告バッジで示す
+                $translatedSpan.siblings('.glossary-badge').remove();
+                if (!translationState.hasError && translationState.glossaryViolations?.length > 0) {
+                    $translatedSpan.parent().append(this.createGlossaryBadge(translationState.glossaryViolations).addClass('ms-1'));
+                }
+                
                 // 翻訳状態に応じて色を設定
                 const $translatedLine = $content.find('[data-translation-item="translated"]');
                 if (translationState.hasError) {
@@ -1197,17 +1969,23 @@ class UIController {
      * CSSクラスでスタイルされたメッセージで使用方法を案内
      */
     showInitialMessage() {
-        this.elements.$mainTextArea.html('<div class="initial-message text-muted text-center py-5">音声認識を開始してください</div>');
+        if (this.elements.$mainTextArea.find('.initial-message').length > 0) {
+            return;
+        }
+        this.elements.$mainTextArea.append('<div class="initial-message text-muted text-center py-5">音声認識を開始してください</div>');
     }
 
     /**
      * メインテキストエリアの全テキストクリア処理
      * 認識結果履歴、翻訳結果、中間結果を全て削除して初期状態にリセット
      * stateManagerの翻訳状態もクリアし、初期メッセージを再表示
+     * 記録中のセッションは保存して終了し、次の行から新しいセッションを開始する
+     * 
+     * @returns {Promise<void>} セッションの保存完了
      */
     clearMainText() {
-        this.elements.$mainTextArea.empty();
-        this.showInitialMessage();
+        // 行の表示はテキスト履歴のクリアで初期化される
+        this.elements.$mainTextArea.find('.interim-text').remove();
         
         // 翻訳エリアもクリア
         stateManager.updateTranslationState({
@@ -1215,6 +1993,10 @@ class UIController {
             originalText: '',
             translatedText: ''
         });
+        
+        stateManager.clearTextHistory();
+        
+        return window.sessionStore ? window.sessionStore.endCurrentSession() : Promise.resolve();
     }
 
     /**
@@ -1246,18 +2028,14 @@ class UIController {
     }
 
     /**
-     * メインテキストエリアの最大行数制限処理
-     * 設定された最大行数を超えた古いテキスト行を自動削除
-     * メモリ使用量とパフォーマンスを管理し、スムーズなUI操作を保持
+     * 選択中の翻訳サービスの設定欄のみを表示
      */
-    limitTextLines() {
-        const $lines = this.elements.$mainTextArea.find('.text-line');
-        const maxLines = stateManager.getState('config.maxTextLines') || 50;
-        
-        // 0の場合は無制限（制限なし）
-        if (maxLines > 0 && $lines.length > maxLines) {
-            $lines.slice(0, $lines.length - maxLines).remove();
-        }
+    updateTranslationProviderSettings() {
+        const provider = this.elements.$translationProviderSelect.val();
+
+        this.elements.$translationProviderSettings.each((index, element) => {
+            $(element).toggleClass('d-none', $(element).data('provider') !== provider);
+        });
     }
 
     /**
@@ -1268,10 +2046,327 @@ class UIController {
     loadSettingsToModal() {
         const state = stateManager.state.config;
         
+        this.elements.$translationProviderSelect.val(state.translationProvider);
+        this.updateTranslationProviderSettings();
         this.elements.$apiKeyInput.val(state.geminiApiKey);
         this.elements.$geminiModelSelect.val(state.geminiModel);
+        this.elements.$openaiBaseUrlInput.val(state.openaiBaseUrl);
+        this.elements.$openaiApiKeyInput.val(state.openaiApiKey);
+        this.elements.$openaiModelInput.val(state.openaiModel);
+        this.elements.$deeplApiKeyInput.val(state.deeplApiKey);
+        this.elements.$deeplApiUrlInput.val(state.deeplApiUrl);
+        this.elements.$libreTranslateUrlInput.val(state.libreTranslateUrl);
+        this.elements.$libreTranslateApiKeyInput.val(state.libreTranslateApiKey);
+        this.elements.$streamTranslationCheckbox.prop('checked', !!state.streamTranslation);
         this.elements.$maxTextLinesInput.val(state.maxTextLines);
         this.elements.$translationStyleInput.val(state.translationStyle);
+        this.elements.$contextLinesInput.val(state.contextLines);
+        this.elements.$contextTokenBudgetInput.val(state.contextTokenBudget);
+        this.elements.$translationMemoryEnabledCheckbox.prop('checked', !!state.translationMemoryEnabled);
+        this.elements.$translationMemoryFuzzyCheckbox.prop('checked', !!state.translationMemoryFuzzy);
+        this.elements.$recognitionEngineSelect.val(state.recognitionEngine);
+        this.elements.$recognitionServerUrlInput.val(state.recognitionServerUrl);
+        this.elements.$recognitionScriptInput.val(state.recognitionScript);
+        this.elements.$maxAlternativesInput.val(state.maxAlternatives);
+        this.elements.$segmentationModeSelect.val(state.segmentationMode);
+        this.loadStreamStartTime();
+        this.elements.$gaplessHandoverCheckbox.prop('checked', !!state.gaplessHandover);
+        this.elements.$audioMonitorEnabledCheckbox.prop('checked', !!state.audioMonitorEnabled);
+        this.elements.$silenceAlarmSecondsInput.val(state.silenceAlarmSeconds);
+        this.elements.$silenceAlarmSoundCheckbox.prop('checked', !!state.silenceAlarmSound);
+        this.elements.$silenceThresholdInput.val(state.silenceThreshold);
+        this.renderReplacementRules(state.replacementRules || []);
+        this.renderGlossaryTerms(state.glossaryTerms || []);
+    }
+
+    /**
+     * 語句置換ルール一覧の描画
+     * 
+     * @param {Array<Object>} rules - 置換ルールの配列
+     */
+    renderReplacementRules(rules) {
+        const $list = this.elements.$replacementRulesList;
+        
+        $list.empty();
+        this.elements.$replacementRulesStatus.text('');
+        rules.forEach(rule => {
+            $list.append(this.createReplacementRuleRow(rule));
+        });
+    }
+
+    /**
+     * 語句置換ルール1件分の編集行を構築
+     * 
+     * @param {Object} rule - 置換ルール
+     * @returns {jQuery} 編集行要素
+     */
+    createReplacementRuleRow(rule) {
+        const normalized = PhraseReplacer.normalizeRule(rule);
+        const options = [
+            { key: 'enabled', label: '有効' },
+            { key: 'isRegex', label: '正規表現' },
+            { key: 'caseSensitive', label: '大文字小文字を区別' },
+            { key: 'wholeWord', label: '単語単位' }
+        ];
+        
+        const $row = $(`
+            <div class="replacement-rule-row mb-2">
+                <div class="input-group input-group-sm">
+                    <input type="text" class="form-control rule-pattern" placeholder="検索語句">
+                    <span class="input-group-text"><i class="bi bi-arrow-right"></i></span>
+                    <input type="text" class="form-control rule-replacement" placeholder="置換後">
+                    <button type="button" class="btn btn-outline-danger remove-replacement-rule" title="ルールを削除">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+                <div class="rule-options small mt-1">
+                    ${options.map(option => `
+                        <label class="form-check form-check-inline mb-0">
+                            <input class="form-check-input rule-${option.key}" type="checkbox" data-option="${option.key}">
+                            <span class="form-check-label">${option.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="rule-error small text-danger"></div>
+            </div>
+        `);
+        
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $row.attr('data-rule-id', normalized.id);
+        $row.find('.rule-pattern').val(normalized.pattern);
+        $row.find('.rule-replacement').val(normalized.replacement);
+        options.forEach(option => {
+            $row.find(`.rule-${option.key}`).prop('checked', normalized[option.key]);
+        });
+        
+        if (normalized.pattern) {
+            this.validateReplacementRuleRow($row);
+        }
+        
+        return $row;
+    }
+
+    /**
+     * 編集行からルールを読み取り
+     * 
+     * @param {jQuery} $row - 編集行要素
+     * @returns {Object} 置換ルール
+     */
+    readReplacementRuleRow($row) {
+        const rule = {
+            id: $row.attr('data-rule-id'),
+            pattern: $row.find('.rule-pattern').val(),
+            replacement: $row.find('.rule-replacement').val()
+        };
+        
+        $row.find('[data-option]').each((index, checkbox) => {
+            rule[$(checkbox).attr('data-option')] = $(checkbox).prop('checked');
+        });
+        
+        return PhraseReplacer.normalizeRule(rule);
+    }
+
+    /**
+     * 編集行のルール検証とエラー表示
+     * 
+     * @param {jQuery} $row - 編集行要素
+     * @returns {boolean} ルールが有効か
+     */
+    validateReplacementRuleRow($row) {
+        const error = PhraseReplacer.validateRule(this.readReplacementRuleRow($row));
+        
+        $row.find('.rule-pattern').toggleClass('is-invalid', !!error);
+        $row.find('.rule-error').text(error || '');
+        
+        return !error;
+    }
+
+    /**
+     * 編集中の語句置換ルールを収集
+     * 検索語句が空の行は破棄し、不正な正規表現のルールは保存するが適用しない
+     * 
+     * @returns {Array<Object>} 置換ルールの配列
+     */
+    collectReplacementRules() {
+        return this.elements.$replacementRulesList.find('.replacement-rule-row').toArray()
+            .map(row => this.readReplacementRuleRow($(row)))
+            .filter(rule => rule.pattern);
+    }
+
+    /**
+     * 編集中の語句置換ルールをJSONファイルとしてダウンロード
+     */
+    exportReplacementRules() {
+        const replacer = new PhraseReplacer();
+        replacer.setRules(this.collectReplacementRules());
+        
+        Utils.downloadFile(replacer.exportRules(), PHRASE_REPLACER_CONSTANTS.EXPORT_FILE_NAME, 'application/json');
+    }
+
+    /**
+     * JSONファイルから語句置換ルールを読み込み、編集中の一覧に追加
+     * 保存ボタンを押すまで設定には反映しない
+     * 
+     * @param {File} file - インポートするJSONファイル
+     * @returns {Promise<void>}
+     */
+    async importReplacementRules(file) {
+        try {
+            const rules = PhraseReplacer.parseImport(await file.text());
+            
+            rules.forEach(rule => {
+                this.elements.$replacementRulesList.append(this.createReplacementRuleRow(rule));
+            });
+            this.elements.$replacementRulesStatus.text('');
+            
+        } catch (error) {
+            this.elements.$replacementRulesStatus.text(`インポートに失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 用語集の一覧の描画
+     * 
+     * @param {Array<Object>} terms - 用語の配列
+     */
+    renderGlossaryTerms(terms) {
+        const $list = this.elements.$glossaryTermsList;
+        
+        $list.empty();
+        this.elements.$glossaryTermsStatus.text('');
+        terms.forEach(term => {
+            $list.append(this.createGlossaryTermRow(term));
+        });
+    }
+
+    /**
+     * 用語1件分の編集行を構築
+     * 
+     * @param {Object} term - 用語
+     * @returns {jQuery} 編集行要素
+     */
+    createGlossaryTermRow(term) {
+        const normalized = Glossary.normalizeTerm(term);
+        
+        const $row = $(`
+            <div class="glossary-term-row mb-2">
+                <div class="input-group input-group-sm">
+                    <input type="text" class="form-control term-source" placeholder="原語">
+                    <span class="input-group-text"><i class="bi bi-arrow-right"></i></span>
+                    <input type="text" class="form-control term-target" placeholder="訳語">
+                    <button type="button" class="btn btn-outline-danger remove-glossary-term" title="用語を削除">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+                <div class="d-flex align-items-center gap-2 small mt-1">
+                    <label class="form-check form-check-inline mb-0 flex-shrink-0">
+                        <input class="form-check-input term-case-sensitive" type="checkbox">
+                        <span class="form-check-label">大文字小文字を区別</span>
+                    </label>
+                    <input type="text" class="form-control form-control-sm term-notes" placeholder="メモ（翻訳時の補足として指定）">
+                </div>
+                <div class="term-error small text-danger"></div>
+            </div>
+        `);
+        
+        // 値はjQueryで設定（HTMLエスケープ問題を回避）
+        $row.attr('data-term-id', normalized.id);
+        $row.find('.term-source').val(normalized.source);
+        $row.find('.term-target').val(normalized.target);
+        $row.find('.term-case-sensitive').prop('checked', normalized.caseSensitive);
+        $row.find('.term-notes').val(normalized.notes);
+        
+        if (normalized.source) {
+            this.validateGlossaryTermRow($row);
+        }
+        
+        return $row;
+    }
+
+    /**
+     * 編集行から用語を読み取り
+     * 
+     * @param {jQuery} $row - 編集行要素
+     * @returns {Object} 用語
+     */
+    readGlossaryTermRow($row) {
+        return Glossary.normalizeTerm({
+            id: $row.attr('data-term-id'),
+            source: $row.find('.term-source').val(),
+            target: $row.find('.term-target').val(),
+            caseSensitive: $row.find('.term-case-sensitive').prop('checked'),
+            notes: $row.find('.term-notes').val()
+        });
+    }
+
+    /**
+     * 編集行の用語の検証とエラー表示
+     * 
+     * @param {jQuery} $row - 編集行要素
+     * @returns {boolean} 用語が有効か
+     */
+    validateGlossaryTermRow($row) {
+        const term = this.readGlossaryTermRow($row);
+        const error = Glossary.validateTerm(term);
+        
+        $row.find('.term-source').toggleClass('is-invalid', !term.source);
+        $row.find('.term-target').toggleClass('is-invalid', !!term.source && !term.target);
+        $row.find('.term-error').text(error || '');
+        
+        return !error;
+    }
+
+    /**
+     * 編集中の用語集を収集
+     * 原語が空の行は破棄し、訳語が空の用語は保存するが適用しない
+     * 
+     * @returns {Array<Object>} 用語の配列
+     */
+    collectGlossaryTerms() {
+        return this.elements.$glossaryTermsList.find('.glossary-term-row').toArray()
+            .map(row => this.readGlossaryTermRow($(row)))
+            .filter(term => term.source);
+    }
+
+    /**
+     * 編集中の用語集をCSVファイルとしてダウンロード
+     */
+    exportGlossaryTerms() {
+        const glossary = new Glossary();
+        glossary.setTerms(this.collectGlossaryTerms());
+        
+        Utils.downloadFile(glossary.exportCsv(), GLOSSARY_CONSTANTS.EXPORT_FILE_NAME, 'text/csv');
+    }
+
+    /**
+     * CSVファイルから用語集を読み込み、編集中の一覧に反映
+     * 同じ原語（大文字小文字を区別しない）の用語は上書きし、それ以外は追加する
+     * 保存ボタンを押すまで設定には反映しない
+     * 
+     * @param {File} file - インポートするCSVファイル
+     * @returns {Promise<void>}
+     */
+    async importGlossaryTerms(file) {
+        try {
+            const terms = Glossary.parseCsv(await file.text());
+            const $list = this.elements.$glossaryTermsList;
+            
+            terms.forEach(term => {
+                const $existing = $list.find('.glossary-term-row').filter((index, row) =>
+                    this.readGlossaryTermRow($(row)).source.toLowerCase() === term.source.toLowerCase()
+                ).first();
+                
+                if ($existing.length > 0) {
+                    $existing.replaceWith(this.createGlossaryTermRow(term));
+                } else {
+                    $list.append(this.createGlossaryTermRow(term));
+                }
+            });
+            this.elements.$glossaryTermsStatus.text('');
+            
+        } catch (error) {
+            this.elements.$glossaryTermsStatus.text(`インポートに失敗しました: ${error.message}`);
+        }
     }
 
     /**
@@ -1283,12 +2378,42 @@ class UIController {
     saveSettings() {
         try {
             const settings = {
+                translationProvider: this.elements.$translationProviderSelect.val(),
                 apiKey: this.elements.$apiKeyInput.val().trim(),
                 model: this.elements.$geminiModelSelect.val(),
+                openaiBaseUrl: this.elements.$openaiBaseUrlInput.val().trim(),
+                openaiApiKey: this.elements.$openaiApiKeyInput.val().trim(),
+                openaiModel: this.elements.$openaiModelInput.val().trim(),
+                deeplApiKey: this.elements.$deeplApiKeyInput.val().trim(),
+                deeplApiUrl: this.elements.$deeplApiUrlInput.val().trim(),
+                libreTranslateUrl: this.elements.$libreTranslateUrlInput.val().trim(),
+                libreTranslateApiKey: this.elements.$libreTranslateApiKeyInput.val().trim(),
+                streamTranslation: this.elements.$streamTranslationCheckbox.prop('checked'),
                 maxTextLines: parseInt(this.elements.$maxTextLinesInput.val()),
-                translationStyle: this.elements.$translationStyleInput.val().trim()
+                translationStyle: this.elements.$translationStyleInput.val().trim(),
+                contextLines: Math.min(Math.max(parseInt(this.elements.$contextLinesInput.val()) || 0, 0), 20),
+                contextTokenBudget: Math.min(Math.max(parseInt(this.elements.$contextTokenBudgetInput.val()) || 0, 0), 4000),
+                translationMemoryEnabled: this.elements.$translationMemoryEnabledCheckbox.prop('checked'),
+                translationMemoryFuzzy: this.elements.$translationMemoryFuzzyCheckbox.prop('checked'),
+                recognitionEngine: this.elements.$recognitionEngineSelect.val(),
+                recognitionServerUrl: this.elements.$recognitionServerUrlInput.val().trim(),
+                recognitionScript: this.elements.$recognitionScriptInput.val().trim(),
+                maxAlternatives: Math.min(Math.max(parseInt(this.elements.$maxAlternativesInput.val()) || 1, 1), 5),
+                segmentationMode: this.elements.$segmentationModeSelect.val(),
+                gaplessHandover: this.elements.$gaplessHandoverCheckbox.prop('checked'),
+                audioMonitorEnabled: this.elements.$audioMonitorEnabledCheckbox.prop('checked'),
+                silenceAlarmSeconds: Math.min(Math.max(parseInt(this.elements.$silenceAlarmSecondsInput.val()) || 0, 0), 600),
+                silenceAlarmSound: this.elements.$silenceAlarmSoundCheckbox.prop('checked'),
+                silenceThreshold: Math.min(Math.max(parseInt(this.elements.$silenceThresholdInput.val()) || APP_CONFIG.DEFAULT_SETTINGS.silenceThreshold, -90), -10),
+                replacementRules: this.collectReplacementRules(),
+                glossaryTerms: this.collectGlossaryTerms()
             };
             
+            // 認識エンジン設定の変更有無（保存前の値と比較）
+            const engineChanged = settings.recognitionEngine !== stateManager.getState('config.recognitionEngine') ||
+                                  settings.recognitionServerUrl !== stateManager.getState('config.recognitionServerUrl') ||
+                                  settings.recognitionScript !== stateManager.getState('config.recognitionScript');
+            
             // APIキー保存
             stateManager.saveApiKey(settings.apiKey);
             stateManager.setState('config.geminiApiKey', settings.apiKey);
@@ -1296,16 +2421,60 @@ class UIController {
                 window.geminiTranslator.setApiKey(settings.apiKey);
             }
             
+            // 翻訳サービスの設定（APIキーは保存時に簡易暗号化）
+            stateManager.setState('config.translationProvider', settings.translationProvider);
+            stateManager.setState('config.openaiBaseUrl', settings.openaiBaseUrl);
+            stateManager.setState('config.openaiApiKey', settings.openaiApiKey);
+            stateManager.setState('config.openaiModel', settings.openaiModel);
+            stateManager.setState('config.deeplApiKey', settings.deeplApiKey);
+            stateManager.setState('config.deeplApiUrl', settings.deeplApiUrl);
+            stateManager.setState('config.libreTranslateUrl', settings.libreTranslateUrl);
+            stateManager.setState('config.libreTranslateApiKey', settings.libreTranslateApiKey);
+            
             // その他設定更新
             stateManager.setState('config.geminiModel', settings.model);
+            stateManager.setState('config.streamTranslation', settings.streamTranslation);
             stateManager.setState('config.maxTextLines', settings.maxTextLines);
             stateManager.setState('config.translationStyle', settings.translationStyle);
+            stateManager.setState('config.contextLines', settings.contextLines);
+            stateManager.setState('config.contextTokenBudget', settings.contextTokenBudget);
+            stateManager.setState('config.translationMemoryEnabled', settings.translationMemoryEnabled);
+            stateManager.setState('config.translationMemoryFuzzy', settings.translationMemoryFuzzy);
+            stateManager.setState('config.recognitionServerUrl', settings.recognitionServerUrl);
+            stateManager.setState('config.recognitionScript', settings.recognitionScript);
+            stateManager.setState('config.maxAlternatives', settings.maxAlternatives);
+            stateManager.setState('config.segmentationMode', settings.segmentationMode);
+            stateManager.updateTimingState({
+                manualStartTime: UIController.parseTimeInput(this.elements.$streamStartTimeInput.val())
+            });
+            stateManager.setState('config.gaplessHandover', settings.gaplessHandover);
+            stateManager.setState('config.audioMonitorEnabled', settings.audioMonitorEnabled);
+            stateManager.setState('config.silenceAlarmSeconds', settings.silenceAlarmSeconds);
+            stateManager.setState('config.silenceAlarmSound', settings.silenceAlarmSound);
+            stateManager.setState('config.silenceThreshold', settings.silenceThreshold);
+            stateManager.setState('config.replacementRules', settings.replacementRules);
+            stateManager.setState('config.glossaryTerms', settings.glossaryTerms);
+            
+            // 入力レベルメーターの有効・無効を即時反映
+            if (window.audioMonitor) {
+                window.audioMonitor.retry();
+            }
+            
+            // 候補数は次回のセッション開始時に反映
+            if (window.speechRecognitionManager?.recognition) {
+                window.speechRecognitionManager.recognition.maxAlternatives = settings.maxAlternatives;
+            }
             
             // 翻訳機能の設定更新
             if (window.geminiTranslator) {
                 window.geminiTranslator.setModel(settings.model);
             }
             
+            // 認識エンジンの切り替え（変更時のみ再初期化）
+            if (engineChanged && window.speechRecognitionManager) {
+                window.speechRecognitionManager.changeEngine(settings.recognitionEngine);
+            }
+            
             // 設定保存
             stateManager.saveSettings();
             
@@ -1454,6 +2623,123 @@ class UIController {
         this.updateAutoTranslateButton(newState);
     }
 
+    /**
+     * 行の時刻表示の切り替え（時刻⇔配信開始からの経過時間）
+     * 設定をlocalStorageに保存し、表示中の全行の時刻を再描画
+     */
+    toggleTimestampMode() {
+        const newMode = stateManager.getState('config.timestampMode') === 'elapsed' ? 'clock' : 'elapsed';
+        
+        stateManager.setState('config.timestampMode', newMode);
+        stateManager.saveSettings();
+        
+        this.updateTimestampModeButton(newMode);
+        this.refreshLineTimestamps();
+    }
+
+    /**
+     * 時刻表示ボタンの視覚状態更新
+     * 経過時間表示中はストップウォッチアイコンの塗りつぶしスタイルで表示
+     * 
+     * @param {string} mode - 時刻表示モード（clock, elapsed）
+     */
+    updateTimestampModeButton(mode) {
+        const $btn = this.elements.$timestampModeToggle;
+        const isElapsed = mode === 'elapsed';
+        
+        $btn.toggleClass('btn-secondary', isElapsed).toggleClass('btn-outline-secondary', !isElapsed);
+        $btn.find('i').toggleClass('bi-stopwatch', isElapsed).toggleClass('bi-clock', !isElapsed);
+        $btn.find('.timestamp-mode-label').text(isElapsed ? '経過時間' : '時刻');
+    }
+
+    /**
+     * 行の時刻表示文字列を生成
+     * 経過時間モードでは配信開始時刻からの経過（hh:mm:ss）、基準がない場合は時刻を表示
+     * 
+     * @param {number} speechStartTime - 発話開始時刻
+     * @returns {string} 表示用の時刻文字列
+     */
+    formatLineTimestamp(speechStartTime) {
+        const offset = stateManager.getStreamOffset(speechStartTime);
+        
+        if (stateManager.getState('config.timestampMode') === 'elapsed' && offset !== null) {
+            return Utils.formatElapsed(offset);
+        }
+        return Utils.formatTimestamp(speechStartTime);
+    }
+
+    /**
+     * 表示中の全行の時刻を現在の表示モードと基準で再描画
+     */
+    refreshLineTimestamps() {
+        this.elements.$mainTextArea.find('.text-line.completed').each((index, line) => {
+            this.renderLineTimestamp($(line));
+        });
+    }
+
+    /**
+     * テキスト行の時刻表示を描画
+     * ツールチップには時刻と経過時間の両方を表示
+     * 
+     * @param {jQuery} $textLine - 対象のテキスト行
+     */
+    renderLineTimestamp($textLine) {
+        const speechStartTime = Number($textLine.attr('data-speech-start'));
+        const offset = stateManager.getStreamOffset(speechStartTime);
+        const elapsedDescription = offset !== null ? `（配信開始から ${Utils.formatElapsed(offset)}）` : '';
+        
+        $textLine.children('.line-timestamp')
+            .text(this.formatLineTimestamp(speechStartTime))
+            .attr('title', `発話開始 ${Utils.formatTimestamp(speechStartTime)}${elapsedDescription}`);
+    }
+
+    /**
+     * 配信開始時刻を設定モーダルに読み込み
+     * 指定済みの場合は入力欄に、未指定の場合は自動の基準時刻を説明文に表示
+     */
+    loadStreamStartTime() {
+        const { manualStartTime, recognitionStartTime } = stateManager.state.timing;
+        const autoDescription = recognitionStartTime !== null ? `（現在: ${Utils.formatTimestamp(recognitionStartTime)}）` : '';
+        
+        this.elements.$streamStartTimeInput.val(manualStartTime !== null ? UIController.formatTimeInput(manualStartTime) : '');
+        $('#stream-start-help').text(`経過時間表示の基準（00:00:00）。空欄の場合は最初に音声認識を開始した時刻を使用します${autoDescription}`);
+    }
+
+    /**
+     * 時刻入力欄（HH:MM:SS）の値を生成
+     * 
+     * @param {number} timestamp - 時刻
+     * @returns {string} 入力欄の値
+     */
+    static formatTimeInput(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * 時刻入力欄の値を時刻に変換
+     * 当日の時刻として解釈し、未来になる場合は前日とみなす（日付をまたぐ配信向け）
+     * 
+     * @param {string} value - 入力欄の値（HH:MM または HH:MM:SS）
+     * @returns {number|null} 時刻（空欄・不正な値の場合はnull）
+     */
+    static parseTimeInput(value) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+        if (!match) return null;
+        
+        const [hours, minutes, seconds] = [Number(match[1]), Number(match[2]), Number(match[3] || 0)];
+        if (hours > 23 || minutes > 59 || seconds > 59) return null;
+        
+        const date = new Date();
+        date.setHours(hours, minutes, seconds, 0);
+        
+        if (date.getTime() > Date.now()) {
+            date.setDate(date.getDate() - 1);
+        }
+        return date.getTime();
+    }
+
     /**
      * 自動翻訳ボタンの視覚状態更新
      * ボタンの色で自動翻訳のオン・オフ状態を視覚化
@@ -19,6 +19,15 @@ const Utils = {
         });
     },
     
+    // 経過時間フォーマット（hh:mm:ss、負の値は先頭に-）
+    formatElapsed(milliseconds) {
+        const sign = milliseconds < 0 ? '-' : '';
+        const totalSeconds = Math.floor(Math.abs(milliseconds) / 1000);
+        const pad = (value) => String(value).padStart(2, '0');
+        
+        return `${sign}${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+    },
+    
     // エラーメッセージ取得
     getErrorMessage(category, code) {
         return APP_CONFIG.ERROR_MESSAGES[category]?.[code] || 'Unknown error occurred';
@@ -120,6 +129,20 @@ const Utils = {
     // 文字列トリミング
     trimText(text) {
         return text.replace(/^\s+|\s+$/g, '');
+    },
+    
+    // テキストをファイルとしてダウンロード
+    downloadFile(content, fileName, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 };
 